@@ -6,34 +6,72 @@
 const API_BASE = window.location.origin;
 
 /**
- * Fetch all available trading symbols (coins)
- * @returns {Promise<Array<string>>} Array of coin symbols
+ * Fetch the market-data providers the server can build pairs from
+ * @returns {Promise<{providers: Array<Object>, defaultProvider: string}>} Providers and the default id
  */
-export async function fetchSymbols() {
+export async function fetchProviders() {
     try {
-        const response = await fetch(`${API_BASE}/api/symbols`);
+        const response = await fetch(`${API_BASE}/api/providers`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to fetch providers');
+        }
+
+        return { providers: data.providers, defaultProvider: data.default };
+    } catch (error) {
+        console.error('Error fetching providers:', error);
+        throw error;
+    }
+}
+
+/**
+ * Fetch all available trading symbols (coins) and bridge assets of a provider
+ * @param {string} [provider] - Provider id (default: the server's default provider)
+ * @returns {Promise<{coins: Array<string>, bridges: Array<string>}>} Coin symbols and bridges
+ */
+export async function fetchSymbols(provider) {
+    try {
+        const params = new URLSearchParams();
+        appendOptions(params, { provider });
+
+        const response = await fetch(`${API_BASE}/api/symbols?${params}`);
         const data = await response.json();
 
         if (!data.success) {
             throw new Error(data.error || 'Failed to fetch symbols');
         }
 
-        return data.coins;
+        return { coins: data.coins, bridges: data.bridges };
     } catch (error) {
         console.error('Error fetching symbols:', error);
         throw error;
     }
 }
 
+/**
+ * Append optional settings to query params, skipping unset ones
+ * @param {URLSearchParams} params - Params to extend
+ * @param {Object} options - Settings such as { from, to, bridge }
+ */
+function appendOptions(params, options) {
+    Object.entries(options).forEach(([name, value]) => {
+        if (value !== undefined && value !== '') {
+            params.set(name, value.toString());
+        }
+    });
+}
+
 /**
  * Fetch synthetic pair kline data
  * @param {string} coinA - Base coin (e.g., 'BTC')
  * @param {string} coinB - Quote coin (e.g., 'ETH')
  * @param {string} interval - Timeframe (e.g., '1h')
- * @param {number} limit - Number of candles to fetch
- * @returns {Promise<Object>} Kline data and statistics
+ * @param {number} limit - Number of candles to fetch (ignored when options.from is set)
+ * @param {Object} [options] - Optional range in unix seconds, routing and provider ({ from, to, bridge, provider })
+ * @returns {Promise<Object>} Kline data, route and statistics
  */
-export async function fetchKlines(coinA, coinB, interval = '1h', limit = 500) {
+export async function fetchKlines(coinA, coinB, interval = '1h', limit = 500, options = {}) {
     try {
         const params = new URLSearchParams({
             coinA,
@@ -41,6 +79,7 @@ export async function fetchKlines(coinA, coinB, interval = '1h', limit = 500) {
             interval,
             limit: limit.toString()
         });
+        appendOptions(params, options);
 
         const response = await fetch(`${API_BASE}/api/klines?${params}`);
         const data = await response.json();
@@ -56,21 +95,220 @@ export async function fetchKlines(coinA, coinB, interval = '1h', limit = 500) {
     }
 }
 
+/**
+ * Fetch the basis between the spot and perpetual-futures versions of a pair
+ * @param {string} coinA - Base coin
+ * @param {string} coinB - Quote coin
+ * @param {string} interval - Timeframe
+ * @param {Object} [options] - Optional range, routing and futures price source ({ from, to, bridge, priceSource })
+ * @returns {Promise<Object>} Basis points ({ time, spot, futures, basis }), per-leg premiums and stats
+ */
+export async function fetchBasis(coinA, coinB, interval = '1h', options = {}) {
+    try {
+        const params = new URLSearchParams({ coinA, coinB, interval });
+        appendOptions(params, options);
+
+        const response = await fetch(`${API_BASE}/api/basis?${params}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to fetch basis');
+        }
+
+        return data;
+    } catch (error) {
+        console.error('Error fetching basis:', error);
+        throw error;
+    }
+}
+
+/**
+ * Fetch mean-reversion statistics of a pair
+ * @param {string} coinA - Base coin
+ * @param {string} coinB - Quote coin
+ * @param {string} interval - Timeframe
+ * @param {Object} [options] - Optional range, window and provider ({ from, to, window, reference, provider })
+ * @returns {Promise<Object>} Z-scores, hedge ratio, cointegration test and half-life
+ */
+export async function fetchPairStats(coinA, coinB, interval = '1h', options = {}) {
+    try {
+        const params = new URLSearchParams({ coinA, coinB, interval });
+        appendOptions(params, options);
+
+        const response = await fetch(`${API_BASE}/api/pair-stats?${params}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to fetch pair statistics');
+        }
+
+        return data;
+    } catch (error) {
+        console.error('Error fetching pair statistics:', error);
+        throw error;
+    }
+}
+
+/**
+ * Fetch the correlation and cross-rate performance matrices of a coin set
+ * @param {Array<string>} coins - Coins (e.g., ['BTC', 'ETH', 'SOL'])
+ * @param {string} interval - Timeframe
+ * @param {number} limit - Number of candles
+ * @param {Object} [options] - Optional range, reference and provider ({ from, to, reference, provider })
+ * @returns {Promise<Object>} Coins, matrices and coins that could not be priced
+ */
+export async function fetchCorrelation(coins, interval = '1h', limit = 500, options = {}) {
+    try {
+        const params = new URLSearchParams({ coins: coins.join(','), interval, limit: limit.toString() });
+        appendOptions(params, options);
+
+        const response = await fetch(`${API_BASE}/api/correlation?${params}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to fetch correlation');
+        }
+
+        return data;
+    } catch (error) {
+        console.error('Error fetching correlation:', error);
+        throw error;
+    }
+}
+
+/**
+ * Fetch every coin's synthetic pair in a quote coin, ranked by a metric
+ * @param {string} quote - Quote coin (e.g., 'ETH')
+ * @param {string} interval - Timeframe
+ * @param {Object} [options] - Optional window, ranking and provider ({ lookback, period, sort, order, top, breakout, provider })
+ * @returns {Promise<Object>} Ranked rows and coins that could not be screened
+ */
+export async function fetchScreener(quote, interval = '1h', options = {}) {
+    try {
+        const params = new URLSearchParams({ quote, interval });
+        appendOptions(params, options);
+
+        const response = await fetch(`${API_BASE}/api/screener?${params}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to fetch screener');
+        }
+
+        return data;
+    } catch (error) {
+        console.error('Error fetching screener:', error);
+        throw error;
+    }
+}
+
+/**
+ * Fetch pairs rebased to percent change over their shared candles
+ * @param {Array<string>} pairs - Pairs to compare (e.g., ['SOL/ETH', 'AVAX/ETH'])
+ * @param {string} interval - Timeframe
+ * @param {Object} [options] - Optional range, anchor time and provider ({ from, to, anchor, provider, priceSource })
+ * @returns {Promise<Object>} Shared candle times, anchor time and per-pair changes
+ */
+export async function fetchComparison(pairs, interval = '1h', options = {}) {
+    try {
+        const params = new URLSearchParams({ pairs: pairs.join(','), interval });
+        appendOptions(params, options);
+
+        const response = await fetch(`${API_BASE}/api/compare?${params}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to fetch comparison');
+        }
+
+        return data;
+    } catch (error) {
+        console.error('Error fetching comparison:', error);
+        throw error;
+    }
+}
+
+/**
+ * Fetch the backtest strategies and their parameters
+ * @returns {Promise<{strategies: Array<Object>, sides: Array<string>}>} Strategies with parameter bounds, and trade sides
+ */
+export async function fetchStrategies() {
+    try {
+        const response = await fetch(`${API_BASE}/api/strategies`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to fetch strategies');
+        }
+
+        return { strategies: data.strategies, sides: data.sides };
+    } catch (error) {
+        console.error('Error fetching strategies:', error);
+        throw error;
+    }
+}
+
+/**
+ * Backtest a strategy on a pair
+ * @param {string} coinA - Base coin
+ * @param {string} coinB - Quote coin
+ * @param {string} interval - Timeframe
+ * @param {Object} options - Strategy, its parameters, trading settings, range and provider
+ *   ({ strategy, side, size, fee, slippage, capital, from, to, provider, priceSource, ...params })
+ * @returns {Promise<Object>} Trades, equity curve and statistics
+ */
+export async function fetchBacktest(coinA, coinB, interval = '1h', options = {}) {
+    try {
+        const params = new URLSearchParams({ coinA, coinB, interval });
+        appendOptions(params, options);
+
+        const response = await fetch(`${API_BASE}/api/backtest?${params}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to run backtest');
+        }
+
+        return data;
+    } catch (error) {
+        console.error('Error running backtest:', error);
+        throw error;
+    }
+}
+
+/**
+ * Build the download URL of an export
+ * The browser downloads it itself, so long ranges stream straight to disk
+ * @param {string} coinA - Base coin ('' for formulas)
+ * @param {string} coinB - Quote coin
+ * @param {string} interval - Timeframe
+ * @param {Object} [options] - Format, columns, range, routing and provider
+ *   ({ format, timezone, precision, legs, spec, from, to, formula, quote, bridge, wicks, align, provider, priceSource })
+ * @returns {string} Export URL
+ */
+export function getExportUrl(coinA, coinB, interval = '1h', options = {}) {
+    const params = new URLSearchParams({ coinA, coinB, interval });
+    appendOptions(params, options);
+
+    return `${API_BASE}/api/export?${params}`;
+}
+
 /**
  * Force refresh cache for a specific pair
  * @param {string} coinA - Base coin
  * @param {string} coinB - Quote coin
  * @param {string} interval - Timeframe
+ * @param {Object} [options] - Optional range in unix seconds, routing and provider ({ from, to, bridge, provider })
  * @returns {Promise<Object>} Refresh confirmation
  */
-export async function refreshCache(coinA, coinB, interval = '1h') {
+export async function refreshCache(coinA, coinB, interval = '1h', options = {}) {
     try {
         const response = await fetch(`${API_BASE}/api/refresh`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ coinA, coinB, interval })
+            body: JSON.stringify({ coinA, coinB, interval, ...options })
         });
 
         const data = await response.json();
@@ -105,3 +343,33 @@ export async function getCacheStats() {
         throw error;
     }
 }
+
+/**
+ * Subscribe to live synthetic candles over Server-Sent Events
+ * @param {string} coinA - Base coin
+ * @param {string} coinB - Quote coin
+ * @param {string} interval - Timeframe
+ * @param {Object} options - Routing and provider settings ({ bridge, provider })
+ * @param {Function} onCandle - Called with each updated candle
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeKlines(coinA, coinB, interval, options, onCandle) {
+    const params = new URLSearchParams({ coinA, coinB, interval });
+    appendOptions(params, options);
+    const source = new EventSource(`${API_BASE}/api/stream?${params}`);
+
+    source.addEventListener('kline', (event) => {
+        try {
+            onCandle(JSON.parse(event.data));
+        } catch (error) {
+            console.error('Error handling live candle:', error);
+        }
+    });
+
+    // EventSource reconnects on its own, just log the drop
+    source.onerror = () => {
+        console.warn(`Live stream interrupted for ${coinA}/${coinB}, reconnecting...`);
+    };
+
+    return () => source.close();
+}
@@ -1,47 +1,132 @@
 /**
  * Main Application Controller
- * Coordinates between UI, API, and Chart modules
+ * Runs the chart workspace: the control bar edits the active chart panel,
+ * the stats footer and side panels follow it, and panels can share their
+ * crosshair and time range
  */
 
-import { fetchSymbols, fetchKlines, refreshCache } from './api.js';
-import { initChart, updateData, clearChart, addMovingAverage, addExponentialMovingAverage, removeSeries } from './chart.js';
+import { fetchProviders, fetchSymbols } from './api.js';
+import { ChartPanel } from './chart-panel.js';
+import { initHeatmap } from './heatmap.js';
+import { initScreener } from './screener.js';
+import { initBacktestPanel, showBacktestResult } from './backtest-panel.js';
+import { initExportPanel } from './export-panel.js';
+import { initIndicatorPanel, setIndicatorPair, getIndicatorConfigs, toIndicatorSpec, applyIndicatorSpec } from './indicator-panel.js';
+import { initLayoutPanel, getSyncSettings } from './layout-panel.js';
 
 // DOM Elements
+const providerSelect = document.getElementById('provider');
+const priceSourceSelect = document.getElementById('priceSource');
 const coinASelect = document.getElementById('coinA');
 const coinBSelect = document.getElementById('coinB');
 const intervalSelect = document.getElementById('interval');
+const chartTypeSelect = document.getElementById('chartType');
+const bridgeSelect = document.getElementById('bridge');
+const formulaInput = document.getElementById('formula');
+const wicksSelect = document.getElementById('wicks');
+const alignSelect = document.getElementById('align');
+const volumeSelect = document.getElementById('volume');
+const basisSelect = document.getElementById('basis');
+const zScoreSelect = document.getElementById('zscore');
+const compareInput = document.getElementById('compareInput');
+const compareChips = document.getElementById('compareChips');
+const rangeFromInput = document.getElementById('rangeFrom');
+const rangeToInput = document.getElementById('rangeTo');
+const clearRangeBtn = document.getElementById('clearRangeBtn');
 const refreshBtn = document.getElementById('refreshBtn');
-const chartContainer = document.getElementById('chartContainer');
-const loadingOverlay = document.getElementById('loadingOverlay');
+const chartGrid = document.getElementById('chartGrid');
 
 // Stats elements
 const statPair = document.getElementById('statPair');
+const statRoute = document.getElementById('statRoute');
 const statPrice = document.getElementById('statPrice');
 const statChange = document.getElementById('statChange');
 const statHigh = document.getElementById('statHigh');
 const statLow = document.getElementById('statLow');
 const statTime = document.getElementById('statTime');
+const statZScore = document.getElementById('statZScore');
+const statHalfLife = document.getElementById('statHalfLife');
 
 // State
-let currentData = null;
-let indicators = [];
+let panels = []; // Chart panels in grid order
+let activePanel = null; // Panel the control bar edits
+let leadPanel = null; // Panel the pointer was last over, synced panels follow it
+let sync = { crosshair: false, time: false }; // What the panels share
+let providers = []; // Market-data providers ({ id, name, live, intervals })
+let defaultProvider = null; // Provider the server uses unless told otherwise, left out of links
+let pendingIndicatorSpec = null; // Indicators of an opened link, applied once its pair is selected
+let replaceHistory = true; // The next URL update replaces the history entry instead of adding one
+
+const PAGE_TITLE = 'Binance Cross-Pair Chart';
+
+// Every live panel holds a stream open, and browsers allow six connections per host
+const MAX_LIVE_PANELS = 4;
 
 /**
  * Initialize the application
  */
 async function init() {
     try {
-        // Initialize chart
-        initChart(chartContainer);
-
-        // Load available symbols
+        // Indicators are computed from the loaded candles, edits need no reload
+        initIndicatorPanel({
+            onChange: () => {
+                panels.forEach(panel => panel.redrawIndicators());
+                updateUrl();
+            }
+        });
+
+        // Heatmap cells open their pair in the chart
+        initHeatmap({
+            getProvider: () => providerSelect.value || undefined,
+            onSelectPair: openPair
+        });
+
+        // Screener rows open their pair in the chart
+        initScreener({
+            getProvider: () => providerSelect.value || undefined,
+            getQuote: () => coinBSelect.value || 'USDT',
+            onSelectPair: openPair
+        });
+
+        // Backtests run on the loaded candles of every panel and follow them until cleared
+        initBacktestPanel({
+            onRun: () => panels.forEach(panel => panel.loadBacktest()),
+            onClear: () => panels.forEach(panel => panel.setBacktest(null))
+        });
+
+        // Exports cover the active panel's loaded candles and visible indicators
+        initExportPanel({
+            getRequest: () => {
+                if (!activePanel?.data) return null;
+
+                const spec = getIndicatorSpec(activePanel);
+                return { ...activePanel.getRequest(), from: activePanel.data.data[0].time, spec: spec || undefined };
+            }
+        });
+
+        // The workspace shows 1 to 6 panels, saved layouts replace them all
+        initLayoutPanel({
+            onCountChange: setPanelCount,
+            onSyncChange: settings => {
+                sync = settings;
+                if (!sync.crosshair) panels.forEach(panel => panel.chart.hideCrosshair());
+            },
+            getLayout,
+            onOpen: openLayout
+        });
+        sync = getSyncSettings();
+
+        // Load providers, then the symbols of the selected one
+        await loadProviders();
         await loadSymbols();
 
-        // Set default selections
+        // Set default selections, then whatever the link asks for
         setDefaultSelections();
+        await restoreUrlState();
 
-        // Load initial chart data
-        await loadChartData();
+        // Load initial chart data into the first panel
+        await activatePanel(addPanel(readControls()));
+        await loadActive();
 
         // Setup event listeners
         setupEventListeners();
@@ -54,23 +139,118 @@ async function init() {
 }
 
 /**
- * Load symbols and populate dropdowns
+ * Load market-data providers and populate the provider dropdown
+ */
+async function loadProviders() {
+    try {
+        const response = await fetchProviders();
+        providers = response.providers;
+
+        providerSelect.innerHTML = providers.map(provider =>
+            `<option value="${provider.id}">${provider.name}</option>`
+        ).join('');
+        providerSelect.value = response.defaultProvider;
+        defaultProvider = response.defaultProvider;
+
+        updateIntervalOptions();
+        updatePriceSourceOptions();
+    } catch (error) {
+        console.error('Error loading providers:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the selected market-data provider
+ * @returns {Object|undefined} Provider ({ id, name, live, intervals })
+ */
+function getSelectedProvider() {
+    return providers.find(provider => provider.id === providerSelect.value);
+}
+
+/**
+ * Hide the timeframes the selected provider doesn't offer
+ */
+function updateIntervalOptions() {
+    const intervals = getSelectedProvider()?.intervals;
+
+    [...intervalSelect.options].forEach(option => {
+        option.hidden = Boolean(intervals) && !intervals.includes(option.value);
+    });
+
+    if (intervalSelect.selectedOptions[0]?.hidden) {
+        intervalSelect.value = [...intervalSelect.options].find(option => !option.hidden).value;
+    }
+}
+
+/**
+ * Hide the price sources the selected provider doesn't offer
+ */
+function updatePriceSourceOptions() {
+    const priceSources = getSelectedProvider()?.priceSources || ['last'];
+
+    [...priceSourceSelect.options].forEach(option => {
+        option.hidden = !priceSources.includes(option.value);
+    });
+
+    if (priceSourceSelect.selectedOptions[0]?.hidden) {
+        priceSourceSelect.value = 'last';
+    }
+
+    priceSourceSelect.disabled = priceSources.length < 2;
+}
+
+/**
+ * Load symbols of the selected provider and populate dropdowns
+ * Selections the provider also lists are kept
  */
 async function loadSymbols() {
     try {
-        const symbols = await fetchSymbols();
+        const { coins, bridges } = await fetchSymbols(providerSelect.value);
+        const previous = { coinA: coinASelect.value, coinB: coinBSelect.value, bridge: bridgeSelect.value };
 
         // Populate both dropdowns
-        populateDropdown(coinASelect, symbols);
-        populateDropdown(coinBSelect, symbols);
+        populateDropdown(coinASelect, coins);
+        populateDropdown(coinBSelect, coins);
+
+        // Bridge selector keeps its "Auto" option first
+        bridgeSelect.innerHTML = '<option value="">Auto</option>' + bridges.map(bridge =>
+            `<option value="${bridge}">${bridge}</option>`
+        ).join('');
 
-        console.log(`✓ Loaded ${symbols.length} symbols`);
+        if (coins.includes(previous.coinA)) coinASelect.value = previous.coinA;
+        if (coins.includes(previous.coinB)) coinBSelect.value = previous.coinB;
+        if (bridges.includes(previous.bridge)) bridgeSelect.value = previous.bridge;
+
+        console.log(`✓ Loaded ${coins.length} symbols`);
     } catch (error) {
         console.error('Error loading symbols:', error);
         throw error;
     }
 }
 
+/**
+ * Chart a coinA/coinB pair, leaving formula mode
+ * @param {string} coinA - Base coin
+ * @param {string} coinB - Quote coin
+ */
+function openPair(coinA, coinB) {
+    const missing = [coinA, coinB].filter(coin => !coinASelect.querySelector(`option[value="${coin}"]`));
+
+    if (missing.length > 0) {
+        showError(`${missing.join(', ')} not listed by ${getSelectedProvider()?.name}`);
+        return;
+    }
+
+    formulaInput.value = '';
+    coinASelect.disabled = false;
+    coinASelect.value = coinA;
+    coinBSelect.value = coinB;
+
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+    loadActive();
+}
+
 /**
  * Populate a dropdown with options
  * @param {HTMLSelectElement} select - Select element
@@ -97,114 +277,599 @@ function setDefaultSelections() {
 }
 
 /**
- * Load and display chart data
+ * Set the controls from the chart state in the page URL
+ * Values the provider doesn't offer are skipped, keeping the current selection
+ * @param {boolean} [fromHistory] - Whether back or forward opened the URL, rather than the page load
+ * @returns {Promise<void>} Resolves once the link's provider has loaded its symbols
+ */
+async function restoreUrlState(fromHistory = false) {
+    const params = new URLSearchParams(window.location.search);
+
+    // Coins depend on the provider, so it goes first
+    const provider = params.get('provider') || defaultProvider;
+    if (provider !== providerSelect.value && selectOption(providerSelect, provider)) {
+        updateIntervalOptions();
+        updatePriceSourceOptions();
+        await loadSymbols();
+    }
+
+    const formula = params.get('formula');
+    const pair = params.get('pair')?.toUpperCase().split('/');
+
+    if (formula) {
+        formulaInput.value = formula;
+        selectOption(coinBSelect, params.get('quote')?.toUpperCase());
+    } else if (pair?.length === 2) {
+        formulaInput.value = '';
+        selectOption(coinASelect, pair[0]);
+        selectOption(coinBSelect, pair[1]);
+    }
+    coinASelect.disabled = formulaInput.value.trim() !== '';
+
+    selectOption(intervalSelect, params.get('interval'));
+    rangeFromInput.value = toDateInput(parseUrlTime(params.get('from')));
+    rangeToInput.value = toDateInput(parseUrlTime(params.get('to')));
+
+    chartTypeSelect.value = 'candles';
+    selectOption(chartTypeSelect, params.get('type'));
+
+    // An opened link without indicators keeps the pair's saved ones, a history entry without them showed none
+    pendingIndicatorSpec = params.get('indicators') ?? (fromHistory ? '' : null);
+}
+
+/**
+ * Put the active panel's chart in the page URL and title, so the page can be linked to
+ * Adds a history entry unless the URL is unchanged or replaceHistory is set
+ */
+function updateUrl() {
+    const params = [];
+    const { provider, formula, coinA, coinB, interval, from, to, chartType } = activePanel.settings;
+    const indicatorSpec = getIndicatorSpec(activePanel);
+
+    if (provider !== defaultProvider) params.push(['provider', provider]);
+
+    if (formula) {
+        params.push(['formula', formula], ['quote', coinB]);
+    } else {
+        params.push(['pair', `${coinA}/${coinB}`]);
+    }
+
+    params.push(['interval', interval]);
+    if (from !== undefined) params.push(['from', toUrlTime(from)]);
+    if (to !== undefined) params.push(['to', toUrlTime(to)]);
+    if (chartType !== 'candles') params.push(['type', chartType]);
+    if (indicatorSpec) params.push(['indicators', indicatorSpec]);
+
+    // Pairs, times and indicator lists stay readable, e.g. pair=BTC/ETH&indicators=sma(20),rsi(14)
+    const query = params
+        .map(([name, value]) => `${name}=${encodeURIComponent(value).replace(/%2F/g, '/').replace(/%2C/g, ',').replace(/%3A/g, ':')}`)
+        .join('&');
+    const url = `${window.location.pathname}?${query}`;
+
+    if (url !== `${window.location.pathname}${window.location.search}`) {
+        history[replaceHistory ? 'replaceState' : 'pushState'](null, '', url);
+    }
+    replaceHistory = false;
+
+    document.title = `${activePanel.getTitle()} · ${PAGE_TITLE}`;
+}
+
+/**
+ * Build the indicator spec of a panel's visible indicators
+ * @param {ChartPanel} panel - Chart panel
+ * @returns {string} Spec (e.g., 'sma(20),rsi(14)'), empty if none are visible
+ */
+function getIndicatorSpec(panel) {
+    return getIndicatorConfigs(panel.getPairKey())
+        .filter(config => config.visible)
+        .map(toIndicatorSpec)
+        .join(',');
+}
+
+/**
+ * Select an option if the dropdown offers it
+ * @param {HTMLSelectElement} select - Select element
+ * @param {string|null|undefined} value - Option value
+ * @returns {boolean} True if the option was selected
+ */
+function selectOption(select, value) {
+    const option = [...select.options].find(candidate => candidate.value === value && !candidate.hidden);
+    if (!option) return false;
+
+    select.value = value;
+    return true;
+}
+
+/**
+ * Format a time for a link, in UTC so it means the same everywhere
+ * @param {number} seconds - Unix time in seconds
+ * @returns {string} ISO 8601 time to the minute (e.g., '2024-01-01T00:00Z')
+ */
+function toUrlTime(seconds) {
+    return `${new Date(seconds * 1000).toISOString().slice(0, 16)}Z`;
+}
+
+/**
+ * Parse a time from a link
+ * @param {string|null} value - ISO 8601 time or unix seconds
+ * @returns {number|undefined} Unix time in seconds, undefined if missing or invalid
+ */
+function parseUrlTime(value) {
+    if (!value) return undefined;
+
+    const ms = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+    return Number.isNaN(ms) ? undefined : Math.floor(ms / 1000);
+}
+
+/**
+ * Format a time for a datetime-local input, in the browser's timezone
+ * @param {number|undefined} seconds - Unix time in seconds
+ * @returns {string} Input value (e.g., '2024-01-01T01:00'), empty if no time
+ */
+function toDateInput(seconds) {
+    if (seconds === undefined) return '';
+
+    const date = new Date(seconds * 1000);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/**
+ * Create a chart panel at the end of the grid, wired to the workspace
+ * @param {Object} settings - Panel settings (see ChartPanel)
+ * @returns {ChartPanel} Panel
  */
-async function loadChartData(forceRefresh = false) {
-    const coinA = coinASelect.value;
-    const coinB = coinBSelect.value;
-    const interval = intervalSelect.value;
+function addPanel(settings) {
+    const panel = new ChartPanel(chartGrid, { comparePairs: [], ...settings }, {
+        canStreamLive: candidate => Boolean(providers.find(provider => provider.id === candidate.settings.provider)?.live)
+            && panels.filter(other => other !== candidate && other.isLive()).length < MAX_LIVE_PANELS,
+        onChange: handlePanelChange,
+        onError: showError
+    });
+
+    // The panel under the pointer leads the synced ones, a click also makes it the one the control bar edits
+    panel.element.addEventListener('pointerenter', () => {
+        leadPanel = panel;
+    });
+
+    panel.element.addEventListener('pointerdown', () => {
+        leadPanel = panel;
+        activatePanel(panel);
+    });
 
-    // Validation
-    if (!coinA || !coinB) {
-        showError('Please select both coins');
+    panel.chart.onCrosshairMove(time => {
+        if (!sync.crosshair || panel !== leadPanel) return;
+        panels.forEach(other => other !== panel && other.showCrosshairAt(time));
+    });
+
+    panel.chart.onVisibleTimeRangeChange(range => {
+        if (!sync.time || panel !== leadPanel) return;
+        panels.forEach(other => other !== panel && other.showTimeRange(range));
+    });
+
+    panels.push(panel);
+    return panel;
+}
+
+/**
+ * Make a panel the one the control bar edits and the footer describes
+ * @param {ChartPanel} panel - Chart panel
+ */
+async function activatePanel(panel) {
+    if (panel === activePanel) return;
+
+    activePanel?.element.classList.remove('active');
+    activePanel = panel;
+    panel.element.classList.add('active');
+
+    try {
+        updateVolumeOptions(panel.data);
+        await writeControls(panel.settings);
+    } catch (error) {
+        showError(`Failed to load symbols: ${error.message}`);
         return;
     }
 
-    if (coinA === coinB) {
-        showError('Please select different coins');
+    setIndicatorPair(panel.getPairKey());
+    updateStats(panel);
+    updatePairStats(panel.pairStats);
+    renderCompareChips(panel);
+    if (panel.backtest) showBacktestResult(panel.backtest.result, panel.backtest.message);
+
+    // Switching panels shows another chart, it isn't a step to go back to
+    replaceHistory = true;
+    updateUrl();
+}
+
+/**
+ * Show what changed in a panel, if it is the active one
+ * A panel that finished loading takes the lead panel's time range when time is synced
+ * @param {ChartPanel} panel - Chart panel
+ * @param {string} change - 'data', 'stats', 'pairStats', 'backtest' or 'comparison'
+ */
+function handlePanelChange(panel, change) {
+    if (change === 'data' && sync.time) {
+        const leader = leadPanel ?? activePanel;
+        const range = leader !== panel ? leader?.chart.getVisibleTimeRange() : null;
+        if (range) panel.showTimeRange(range);
+    }
+
+    if (panel !== activePanel) return;
+
+    if (change === 'data') {
+        updateVolumeOptions(panel.data);
+        volumeSelect.value = panel.settings.volume;
+        updateStats(panel);
+    } else if (change === 'stats') {
+        updateStats(panel);
+    } else if (change === 'pairStats') {
+        updatePairStats(panel.pairStats);
+    } else if (change === 'backtest' && panel.backtest) {
+        showBacktestResult(panel.backtest.result, panel.backtest.message);
+    } else if (change === 'comparison') {
+        renderCompareChips(panel);
+    }
+}
+
+/**
+ * Read the control bar into the active panel and reload it
+ * @param {boolean} [forceRefresh] - Refresh the server's cache before loading
+ */
+async function loadActive(forceRefresh = false) {
+    const panel = activePanel;
+    panel.settings = { ...panel.settings, ...readControls() };
+
+    const error = panel.validate();
+    if (error) {
+        showError(error);
         return;
     }
 
-    try {
-        showLoading(true);
-        clearIndicators();
+    // Each pair may have its own indicators, a link's replace them once
+    setIndicatorPair(panel.getPairKey());
 
-        // Refresh cache if requested
-        if (forceRefresh) {
-            await refreshCache(coinA, coinB, interval);
-            console.log('✓ Cache refreshed');
+    if (pendingIndicatorSpec !== null) {
+        if (applyIndicatorSpec(pendingIndicatorSpec)) {
+            panels.forEach(other => other !== panel && other.redrawIndicators());
         }
+        pendingIndicatorSpec = null;
+    }
+
+    updateUrl();
+    await panel.load(forceRefresh);
+}
+
+/**
+ * Load a panel that isn't edited through the control bar
+ * @param {ChartPanel} panel - Chart panel
+ */
+function loadPanel(panel) {
+    const error = panel.validate();
 
-        // Fetch data
-        const response = await fetchKlines(coinA, coinB, interval);
-        currentData = response;
+    if (error) {
+        showError(`${panel.getTitle()}: ${error}`);
+        return;
+    }
 
-        // Update chart
-        updateData(response.data);
+    panel.load();
+}
 
-        // Update stats
-        updateStats(response);
+/**
+ * Show 1, 2, 4 or 6 panels
+ * Added panels start as copies of the active one, removed ones are taken from the end
+ * @param {number} count - Number of panels
+ */
+function setPanelCount(count) {
+    chartGrid.className = `chart-grid layout-${count}`;
 
-        // Add default indicators
-        addDefaultIndicators(response.data);
+    while (panels.length > count) {
+        const panel = panels.pop();
+        if (panel === leadPanel) leadPanel = null;
+        panel.destroy();
+    }
 
-        console.log(`✓ Loaded ${response.count} candles for ${response.pair}`);
-    } catch (error) {
-        console.error('Error loading chart data:', error);
-        showError(`Failed to load data: ${error.message}`);
-    } finally {
-        showLoading(false);
+    while (panels.length < count) {
+        loadPanel(addPanel({ ...activePanel.settings, comparePairs: [] }));
     }
+
+    panels.forEach(panel => panel.chart.resize());
+    if (!panels.includes(activePanel)) activatePanel(panels[0]);
 }
 
 /**
- * Update statistics display
- * @param {Object} data - Response data with stats
+ * Describe the workspace for saving
+ * @returns {Object} Layout ({ count, sync, active, panels: [settings] })
  */
-function updateStats(data) {
-    const { pair, stats } = data;
+function getLayout() {
+    return {
+        count: panels.length,
+        sync: { ...sync },
+        active: panels.indexOf(activePanel),
+        panels: panels.map(panel => ({ ...panel.settings, comparePairs: [...panel.settings.comparePairs] }))
+    };
+}
 
-    statPair.textContent = pair;
-    statPrice.textContent = formatNumber(stats.currentPrice, 6);
+/**
+ * Replace every panel with those of a saved layout
+ * Settings go through the control bar, which keeps what the provider no longer offers out
+ * @param {Object} layout - Layout from getLayout
+ */
+async function openLayout(layout) {
+    const settings = [];
 
-    // Price change with color
-    const changeText = `${stats.priceChange >= 0 ? '+' : ''}${formatNumber(stats.priceChange, 6)} (${stats.priceChangePercent >= 0 ? '+' : ''}${stats.priceChangePercent}%)`;
-    statChange.textContent = changeText;
-    statChange.className = `stat-value ${stats.priceChangePercent >= 0 ? 'positive' : 'negative'}`;
+    try {
+        for (const saved of layout.panels) {
+            await writeControls(saved);
+            settings.push({
+                ...readControls(),
+                comparePairs: Array.isArray(saved.comparePairs) ? saved.comparePairs.filter(pair => typeof pair === 'string') : []
+            });
+        }
+    } catch (error) {
+        showError(`Failed to open layout: ${error.message}`);
+        writeControls(activePanel.settings).catch(() => {});
+        return;
+    }
 
-    statHigh.textContent = formatNumber(stats.highPrice, 6);
-    statLow.textContent = formatNumber(stats.lowPrice, 6);
+    sync = { ...layout.sync };
+    panels.forEach(panel => panel.destroy());
+    panels = [];
+    activePanel = null;
+    leadPanel = null;
 
-    // Format timestamp
-    const date = new Date(stats.timestamp * 1000);
-    statTime.textContent = date.toLocaleTimeString();
+    chartGrid.className = `chart-grid layout-${layout.count}`;
+    settings.forEach(panelSettings => addPanel(panelSettings));
+
+    await activatePanel(panels[layout.active] ?? panels[0]);
+    panels.forEach(loadPanel);
+}
+
+/**
+ * Read the control bar into panel settings
+ * @returns {Object} Settings, without the comparison pairs
+ */
+function readControls() {
+    const range = getSelectedRange();
+
+    return {
+        provider: providerSelect.value,
+        priceSource: priceSourceSelect.value,
+        coinA: coinASelect.value,
+        coinB: coinBSelect.value,
+        formula: formulaInput.value.trim(),
+        bridge: bridgeSelect.value,
+        interval: intervalSelect.value,
+        chartType: chartTypeSelect.value,
+        wicks: wicksSelect.value,
+        align: alignSelect.value,
+        volume: volumeSelect.value,
+        basis: basisSelect.value,
+        zscore: zScoreSelect.value,
+        from: range.from,
+        to: range.to
+    };
 }
 
 /**
- * Add default indicators to chart  
+ * Set the control bar to panel settings
+ * Values the provider doesn't offer are skipped, keeping the current selection
+ * @param {Object} settings - Panel settings
+ * @returns {Promise<void>} Resolves once the settings' provider has loaded its symbols
  */
-function addDefaultIndicators(klines) {
-    if (klines.length < 50) return; // Need enough data
+async function writeControls(settings) {
+    // Coins depend on the provider, so it goes first
+    if (settings.provider !== providerSelect.value && selectOption(providerSelect, settings.provider)) {
+        updateIntervalOptions();
+        updatePriceSourceOptions();
+        await loadSymbols();
+    }
 
-    // Add MA20 and EMA50
-    indicators.push(addMovingAverage(klines, 20, '#f0b90b'));
-    indicators.push(addExponentialMovingAverage(klines, 50, '#3861fb'));
+    formulaInput.value = typeof settings.formula === 'string' ? settings.formula : '';
+    selectOption(coinASelect, settings.coinA);
+    selectOption(coinBSelect, settings.coinB);
+    coinASelect.disabled = formulaInput.value.trim() !== '';
+
+    [
+        [priceSourceSelect, settings.priceSource],
+        [bridgeSelect, settings.bridge],
+        [intervalSelect, settings.interval],
+        [chartTypeSelect, settings.chartType],
+        [wicksSelect, settings.wicks],
+        [alignSelect, settings.align],
+        [volumeSelect, settings.volume],
+        [basisSelect, settings.basis],
+        [zScoreSelect, settings.zscore]
+    ].forEach(([select, value]) => selectOption(select, value));
+
+    rangeFromInput.value = toDateInput(Number.isFinite(settings.from) ? settings.from : undefined);
+    rangeToInput.value = toDateInput(Number.isFinite(settings.to) ? settings.to : undefined);
 }
 
 /**
- * Clear all indicators from chart
+ * Label the volume definitions with the units and legs of a loaded pair
+ * @param {Object|null} response - Klines response with route and volumeUnits, null before the first load
  */
-function clearIndicators() {
-    indicators.forEach(indicator => {
-        if (indicator) {
-            removeSeries(indicator);
+function updateVolumeOptions(response) {
+    const { route, volumeUnits } = response ?? {};
+    const legs = volumeUnits ? route.legs : [];
+
+    const labels = {
+        quote: volumeUnits ? `Quote notional (${volumeUnits.quote})` : 'Quote notional',
+        min: volumeUnits ? `Min leg notional (${volumeUnits.min})` : 'Min leg notional',
+        combined: volumeUnits ? `Combined legs (${volumeUnits.combined})` : 'Combined legs',
+        leg0: legs[0] ? `Leg ${legs[0].symbol} (${legs[0].quoteAsset})` : 'Leg 1',
+        leg1: legs[1] ? `Leg ${legs[1].symbol} (${legs[1].quoteAsset})` : 'Leg 2'
+    };
+
+    [...volumeSelect.options].forEach(option => {
+        if (labels[option.value]) option.textContent = labels[option.value];
+
+        // Hide leg options the route doesn't have
+        if (option.value.startsWith('leg')) {
+            option.hidden = Boolean(response) && !legs[parseInt(option.value.slice(3))];
         }
     });
-    indicators = [];
+
+    if (volumeSelect.selectedOptions[0]?.hidden) {
+        volumeSelect.value = 'quote';
+    }
 }
 
 /**
- * Show/hide loading overlay
- * @param {boolean} show - Whether to show loading
+ * Show the latest z-score, half-life and cointegration result in the stats footer
+ * @param {Object|null} stats - /api/pair-stats response, or null to clear
  */
-function showLoading(show) {
-    if (show) {
-        loadingOverlay.classList.remove('hidden');
-    } else {
-        loadingOverlay.classList.add('hidden');
+function updatePairStats(stats) {
+    if (!stats) {
+        statZScore.textContent = '—';
+        statZScore.className = 'stat-value';
+        statHalfLife.textContent = '—';
+        statHalfLife.title = '';
+        return;
+    }
+
+    const { latest, halfLife, hedgeRatio, cointegration } = stats;
+
+    statZScore.textContent = latest.logZScore !== null ? formatNumber(latest.logZScore, 2) : '—';
+    statZScore.className = `stat-value ${Math.abs(latest.logZScore) >= 2 ? (latest.logZScore > 0 ? 'negative' : 'positive') : ''}`;
+
+    statHalfLife.textContent = halfLife
+        ? `${formatNumber(halfLife.candles, 1)} candles${cointegration.cointegrated ? ' · cointegrated' : ''}`
+        : 'Not reverting';
+    statHalfLife.title = [
+        `Hedge ratio ${formatNumber(hedgeRatio.beta, 4)} (R² ${formatNumber(hedgeRatio.r2, 2)})`,
+        `ADF ${formatNumber(cointegration.adfStatistic, 2)} vs ${formatNumber(cointegration.criticalValues['5%'], 2)} at 5%`,
+        `Leg correlation ${latest.correlation !== null ? formatNumber(latest.correlation, 2) : '—'}`
+    ].join('\n');
+}
+
+/**
+ * Show one removable chip per comparison pair of a panel, and the candle they are rebased on
+ * @param {ChartPanel} panel - Chart panel
+ */
+function renderCompareChips(panel) {
+    compareChips.innerHTML = '';
+
+    panel.settings.comparePairs.forEach(pair => {
+        const chip = document.createElement('span');
+        chip.className = 'compare-chip';
+        chip.style.borderColor = panel.getCompareColor(pair);
+        chip.textContent = pair;
+
+        const remove = document.createElement('button');
+        remove.className = 'compare-chip-remove';
+        remove.textContent = '✕';
+        remove.title = `Stop comparing ${pair}`;
+        remove.addEventListener('click', () => removeComparePair(pair));
+
+        chip.appendChild(remove);
+        compareChips.appendChild(chip);
+    });
+
+    if (panel.comparisonAnchor) {
+        const note = document.createElement('span');
+        note.className = 'compare-anchor';
+        note.textContent = `0% at ${new Date(panel.comparisonAnchor * 1000).toLocaleString()}`;
+        note.title = 'Click a candle to rebase the comparison there';
+        compareChips.appendChild(note);
+    }
+}
+
+/**
+ * Add comparison pairs typed into the compare box to the active panel
+ * A bare coin (e.g., 'SOL') is compared in the selected quote coin
+ * @param {string} text - Comma-separated pairs or coins
+ */
+async function addComparePairs(text) {
+    const panel = activePanel;
+    const added = text.toUpperCase().split(',')
+        .map(name => name.trim())
+        .filter(Boolean)
+        .map(name => name.includes('/') ? name : `${name}/${coinBSelect.value}`)
+        .filter(pair => !panel.settings.comparePairs.includes(pair));
+
+    if (added.length === 0) return;
+
+    panel.settings.comparePairs = [...panel.settings.comparePairs, ...added];
+
+    if (!await panel.loadComparison()) {
+        panel.settings.comparePairs = panel.settings.comparePairs.filter(pair => !added.includes(pair));
+        showError(`Could not compare ${added.join(', ')}`);
+        panel.loadComparison();
     }
 }
 
+/**
+ * Stop comparing a pair in the active panel
+ * @param {string} pair - Comparison pair
+ */
+function removeComparePair(pair) {
+    activePanel.settings.comparePairs = activePanel.settings.comparePairs.filter(other => other !== pair);
+    activePanel.loadComparison();
+}
+
+/**
+ * Read the date-range picker
+ * @returns {Object} Time range in unix seconds ({ from, to }), empty fields omitted
+ */
+function getSelectedRange() {
+    const range = {};
+
+    // datetime-local values are parsed in the browser's timezone
+    if (rangeFromInput.value) {
+        range.from = Math.floor(new Date(rangeFromInput.value).getTime() / 1000);
+    }
+
+    if (rangeToInput.value) {
+        range.to = Math.floor(new Date(rangeToInput.value).getTime() / 1000);
+    }
+
+    return range;
+}
+
+/**
+ * Update statistics display from a panel's loaded candles
+ * @param {ChartPanel} panel - Chart panel, its stats are cleared until it has loaded
+ */
+function updateStats(panel) {
+    if (!panel.data) {
+        [statPair, statRoute, statPrice, statChange, statHigh, statLow, statTime].forEach(element => {
+            element.textContent = '—';
+        });
+        statChange.className = 'stat-value';
+        return;
+    }
+
+    const { pair, route, wicks, stats } = panel.data;
+
+    statPair.textContent = pair;
+    statRoute.textContent = route ? `${route.description} (${route.type}${route.bridge ? ` via ${route.bridge}` : ''})` : '—';
+
+    // Accurate wicks report how far the true extremes could still be
+    if (wicks?.mode === 'accurate' && wicks.subInterval) {
+        const error = Math.max(wicks.maxError.high, wicks.maxError.low) * 100;
+        statRoute.textContent += ` · ${wicks.subInterval} wicks ±${error.toFixed(2)}%`;
+    }
+
+    // Missing leg candles, however the selected policy handled them
+    const gapCandles = panel.gaps.reduce((sum, gap) => sum + gap.candles, 0);
+    if (gapCandles > 0) {
+        statRoute.textContent += ` · ${gapCandles} gap candle${gapCandles === 1 ? '' : 's'}`;
+    }
+    statPrice.textContent = formatNumber(stats.currentPrice, 6);
+
+    // Price change with color
+    const changeText = `${stats.priceChange >= 0 ? '+' : ''}${formatNumber(stats.priceChange, 6)} (${stats.priceChangePercent >= 0 ? '+' : ''}${stats.priceChangePercent}%)`;
+    statChange.textContent = changeText;
+    statChange.className = `stat-value ${stats.priceChangePercent >= 0 ? 'positive' : 'negative'}`;
+
+    statHigh.textContent = formatNumber(stats.highPrice, 6);
+    statLow.textContent = formatNumber(stats.lowPrice, 6);
+
+    // Format timestamp
+    const date = new Date(stats.timestamp * 1000);
+    statTime.textContent = date.toLocaleTimeString();
+}
+
 /**
  * Show error message
  * @param {string} message - Error message
@@ -228,19 +893,98 @@ function formatNumber(num, decimals = 2) {
  * Setup event listeners
  */
 function setupEventListeners() {
+    // Provider changes reload the symbol list, then the chart
+    providerSelect.addEventListener('change', async () => {
+        updateIntervalOptions();
+        updatePriceSourceOptions();
+
+        try {
+            await loadSymbols();
+        } catch (error) {
+            activePanel.stopLiveUpdates();
+            showError(`Failed to load symbols: ${error.message}`);
+            return;
+        }
+
+        loadActive();
+    });
+
     // Coin selection changes
-    coinASelect.addEventListener('change', () => loadChartData());
-    coinBSelect.addEventListener('change', () => loadChartData());
+    coinASelect.addEventListener('change', () => loadActive());
+    coinBSelect.addEventListener('change', () => loadActive());
+
+    // Interval, bridge, wick mode, gap policy and price source changes
+    intervalSelect.addEventListener('change', () => loadActive());
+    bridgeSelect.addEventListener('change', () => loadActive());
+    wicksSelect.addEventListener('change', () => loadActive());
+    alignSelect.addEventListener('change', () => loadActive());
+    priceSourceSelect.addEventListener('change', () => loadActive());
+
+    // Basis only changes its pane, the candles stay
+    basisSelect.addEventListener('change', () => {
+        activePanel.settings.basis = basisSelect.value;
+        activePanel.loadBasis();
+    });
+
+    // The z-score window only changes its pane
+    zScoreSelect.addEventListener('change', () => {
+        activePanel.settings.zscore = zScoreSelect.value;
+        activePanel.loadPairStats();
+    });
 
-    // Interval changes
-    intervalSelect.addEventListener('change', () => loadChartData());
+    // Comparison pairs only change their overlay, the main pair stays
+    compareInput.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+
+        addComparePairs(compareInput.value);
+        compareInput.value = '';
+    });
+
+    // Chart type only redraws the price series
+    chartTypeSelect.addEventListener('change', () => {
+        activePanel.setChartType(chartTypeSelect.value);
+        updateUrl();
+    });
+
+    // Back and forward restore the chart of that history entry
+    window.addEventListener('popstate', async () => {
+        replaceHistory = true;
+
+        try {
+            await restoreUrlState(true);
+        } catch (error) {
+            showError(`Failed to load symbols: ${error.message}`);
+            return;
+        }
+
+        loadActive();
+    });
+
+    // Volume definition only changes the histogram, no reload needed
+    volumeSelect.addEventListener('change', () => activePanel.setVolume(volumeSelect.value));
+
+    // Formula mode prices every asset in the quote coin, so base is unused
+    formulaInput.addEventListener('change', () => {
+        coinASelect.disabled = formulaInput.value.trim() !== '';
+        loadActive();
+    });
+
+    // Date range changes
+    rangeFromInput.addEventListener('change', () => loadActive());
+    rangeToInput.addEventListener('change', () => loadActive());
+
+    clearRangeBtn.addEventListener('click', () => {
+        rangeFromInput.value = '';
+        rangeToInput.value = '';
+        loadActive();
+    });
 
     // Refresh button
     refreshBtn.addEventListener('click', async () => {
         refreshBtn.disabled = true;
         refreshBtn.innerHTML = '<span class="btn-icon">⏳</span><span class="btn-text">Refreshing...</span>';
 
-        await loadChartData(true);
+        await loadActive(true);
 
         refreshBtn.disabled = false;
         refreshBtn.innerHTML = '<span class="btn-icon">🔄</span><span class="btn-text">Refresh</span>';
@@ -248,6 +992,9 @@ function setupEventListeners() {
 
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+        // Don't hijack typing in inputs
+        if (e.target.tagName === 'INPUT') return;
+
         // R key to refresh
         if (e.key === 'r' || e.key === 'R') {
             if (!e.ctrlKey && !e.metaKey) {
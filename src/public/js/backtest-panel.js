@@ -0,0 +1,187 @@
+/**
+ * Backtest Panel Module
+ * Picks a strategy, its parameters and the trading settings, and shows the
+ * summary of the last run. A run stays active until cleared, so it is
+ * repeated on the candles of every pair and timeframe the chart loads.
+ */
+
+import { fetchStrategies } from './api.js';
+
+// DOM Elements
+const toggleBtn = document.getElementById('backtestBtn');
+const panel = document.getElementById('backtestPanel');
+const strategySelect = document.getElementById('backtestStrategy');
+const paramsContainer = document.getElementById('backtestParams');
+const sideSelect = document.getElementById('backtestSide');
+const sizeInput = document.getElementById('backtestSize');
+const feeInput = document.getElementById('backtestFee');
+const slippageInput = document.getElementById('backtestSlippage');
+const runBtn = document.getElementById('backtestRunBtn');
+const clearBtn = document.getElementById('backtestClearBtn');
+const status = document.getElementById('backtestStatus');
+const statsGrid = document.getElementById('backtestStats');
+
+// State
+let strategies = []; // Strategies from the server ({ name, label, params })
+let active = false; // Whether runs follow the chart
+let runHandler = null;
+let clearHandler = null;
+
+/**
+ * Wire up the panel and load the strategy list
+ * @param {Object} options - Panel options
+ * @param {Function} options.onRun - Called when a run is requested, read the settings with getBacktestSettings
+ * @param {Function} options.onClear - Called when the run is cleared
+ */
+export function initBacktestPanel({ onRun, onClear }) {
+    runHandler = onRun;
+    clearHandler = onClear;
+
+    toggleBtn.addEventListener('click', () => {
+        panel.classList.toggle('hidden');
+        toggleBtn.classList.toggle('active', !panel.classList.contains('hidden'));
+    });
+
+    strategySelect.addEventListener('change', () => renderParams());
+
+    runBtn.addEventListener('click', () => {
+        active = true;
+        status.textContent = 'Running...';
+        if (runHandler) runHandler();
+    });
+
+    clearBtn.addEventListener('click', () => {
+        active = false;
+        showBacktestResult(null);
+        if (clearHandler) clearHandler();
+    });
+
+    loadStrategies();
+}
+
+/**
+ * Fetch the strategies and fill the strategy dropdown
+ */
+async function loadStrategies() {
+    runBtn.disabled = true;
+
+    try {
+        ({ strategies } = await fetchStrategies());
+
+        strategySelect.innerHTML = strategies.map(({ name, label }) =>
+            `<option value="${name}">${label}</option>`
+        ).join('');
+
+        renderParams();
+        runBtn.disabled = false;
+    } catch (error) {
+        status.textContent = `Could not load strategies: ${error.message}`;
+    }
+}
+
+/**
+ * Draw one input per parameter of the selected strategy, filled with its default
+ */
+function renderParams() {
+    const strategy = strategies.find(({ name }) => name === strategySelect.value);
+    paramsContainer.innerHTML = '';
+    if (!strategy) return;
+
+    strategy.params.forEach(param => {
+        const label = document.createElement('label');
+        label.className = 'backtest-param-label';
+        label.textContent = param.name;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'backtest-param';
+        input.dataset.param = param.name;
+        input.value = param.default;
+        input.min = param.min;
+        input.max = param.max;
+        input.step = param.integer ? 1 : 0.1;
+        input.title = `${param.integer ? 'Integer' : 'Number'} from ${param.min} to ${param.max}`;
+
+        label.appendChild(input);
+        paramsContainer.appendChild(label);
+    });
+}
+
+/**
+ * Get the settings of the active run
+ * @returns {Object|null} Query options for fetchBacktest ({ strategy, side, size, fee, slippage, ...params }),
+ *   or null if no run is active
+ */
+export function getBacktestSettings() {
+    if (!active || !strategySelect.value) return null;
+
+    const params = Object.fromEntries([...paramsContainer.querySelectorAll('.backtest-param')]
+        .map(input => [input.dataset.param, input.value]));
+
+    return {
+        strategy: strategySelect.value,
+        side: sideSelect.value,
+        size: sizeInput.value,
+        fee: feeInput.value,
+        slippage: slippageInput.value,
+        ...params
+    };
+}
+
+/**
+ * Show the summary of a run, or why there is none
+ * @param {Object|null} result - /api/backtest response, or null to clear
+ * @param {string} [message] - Shown instead of the summary, e.g. an error
+ */
+export function showBacktestResult(result, message = '') {
+    statsGrid.innerHTML = '';
+
+    if (!result) {
+        status.textContent = message;
+        return;
+    }
+
+    const { stats, strategy, settings } = result;
+    const params = Object.entries(strategy.params).map(([name, value]) => `${name} ${value}`).join(', ');
+
+    status.textContent = `${strategy.label} (${params}) on ${result.pair}, ${result.count} ${result.interval} candles · `
+        + `${settings.legs} leg${settings.legs === 1 ? '' : 's'} × ${settings.fee + settings.slippage} bps per side`;
+    status.title = `${new Date(result.from * 1000).toLocaleString()} – ${new Date(result.to * 1000).toLocaleString()}\n${result.route}`;
+
+    [
+        ['Return', formatPercent(stats.totalReturn), stats.totalReturn],
+        ['Buy & Hold', stats.buyAndHold === null ? '—' : formatPercent(stats.buyAndHold), stats.buyAndHold],
+        ['Max Drawdown', `${stats.maxDrawdown.toFixed(2)}%`, null],
+        ['Trades', String(stats.trades), null],
+        ['Win Rate', stats.winRate === null ? '—' : `${stats.winRate.toFixed(1)}%`, null],
+        ['Avg Trade', stats.averageTrade === null ? '—' : formatPercent(stats.averageTrade), stats.averageTrade],
+        ['Profit Factor', stats.profitFactor === null ? '—' : stats.profitFactor.toFixed(2), null],
+        ['Sharpe', stats.sharpe === null ? '—' : stats.sharpe.toFixed(2), null],
+        ['Exposure', `${stats.exposure.toFixed(0)}%`, null],
+        ['Fees', stats.fees.toFixed(2), null]
+    ].forEach(([label, value, signed]) => {
+        const item = document.createElement('div');
+        item.className = 'backtest-stat';
+
+        const name = document.createElement('span');
+        name.className = 'stat-label';
+        name.textContent = label;
+
+        const text = document.createElement('span');
+        text.className = 'backtest-stat-value';
+        text.textContent = value;
+        if (signed !== null) text.classList.add(signed >= 0 ? 'positive' : 'negative');
+
+        item.append(name, text);
+        statsGrid.appendChild(item);
+    });
+}
+
+/**
+ * Format a percent change with its sign
+ * @param {number} value - Percent
+ * @returns {string} Formatted value
+ */
+function formatPercent(value) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
@@ -0,0 +1,721 @@
+/**
+ * Chart Panel Module
+ * One chart of the workspace: its settings, loaded candles, live stream,
+ * indicators, comparison lines, statistics and backtest. The app edits the
+ * active panel's settings through the control bar and shows its statistics.
+ */
+
+import { fetchKlines, fetchBasis, fetchComparison, fetchPairStats, fetchBacktest, refreshCache, subscribeKlines } from './api.js';
+import { ChartInstance } from './chart.js';
+import { getBacktestSettings } from './backtest-panel.js';
+import { getIndicatorConfigs, toIndicatorSpec } from './indicator-panel.js';
+import { parseIndicatorSpec, computeIndicators } from '../shared/indicators.js';
+import { getIntervalSeconds } from '../shared/intervals.js';
+
+const HISTORY_BLOCK_SIZE = 500;
+
+// Line colors of comparison pairs, the main pair's line is drawn in MAIN_COMPARE_COLOR
+const COMPARE_COLORS = ['#c084fc', '#22d3ee', '#fb923c', '#0ecb81', '#f6465d', '#a3e635', '#3861fb'];
+const MAIN_COMPARE_COLOR = '#eaecef';
+
+/**
+ * Chart Panel
+ * Settings are the control bar's values ({ provider, priceSource, coinA, coinB,
+ * formula, bridge, interval, chartType, wicks, align, volume, basis, zscore,
+ * from, to, comparePairs }), so a panel can be saved and restored as they are.
+ */
+export class ChartPanel {
+    /**
+     * Create a panel and its chart at the end of the workspace grid
+     * @param {HTMLElement} grid - Workspace grid element
+     * @param {Object} settings - Panel settings
+     * @param {Object} options - Panel callbacks
+     * @param {Function} options.canStreamLive - Called with the panel, true if it may open a live stream
+     * @param {Function} options.onChange - Called with the panel and what changed:
+     *   'data', 'stats', 'pairStats', 'backtest' or 'comparison'
+     * @param {Function} options.onError - Called with a message for the user
+     */
+    constructor(grid, settings, { canStreamLive, onChange, onError }) {
+        this.settings = { ...settings, comparePairs: [...settings.comparePairs] };
+        this.canStreamLive = canStreamLive;
+        this.onChange = onChange;
+        this.onError = onError;
+
+        this.data = null; // Last /api/klines response, with older and live candles merged in
+        this.gaps = []; // Leg gaps reported for every loaded block
+        this.indicators = [];
+        this.unsubscribeLive = null;
+        this.generation = 0; // Bumped on every full reload to discard stale responses
+        this.olderHistory = { loading: false, exhausted: false };
+        this.compareAnchor = undefined; // Candle time comparisons are rebased on, the first shared candle if unset
+        this.comparisonAnchor = null; // Anchor of the drawn comparison, null if none is drawn
+        this.pairStats = null; // Last /api/pair-stats response
+        this.backtest = null; // Last run ({ result, message }), null if none is active
+
+        this.element = document.createElement('div');
+        this.element.className = 'chart-panel';
+
+        const header = document.createElement('div');
+        header.className = 'chart-panel-header';
+
+        this.title = document.createElement('span');
+        this.title.className = 'chart-panel-title';
+        this.title.textContent = this.getTitle();
+        header.appendChild(this.title);
+
+        const container = document.createElement('div');
+        container.className = 'chart-container';
+
+        this.loadingOverlay = document.createElement('div');
+        this.loadingOverlay.className = 'loading-overlay hidden';
+        this.loadingOverlay.innerHTML = '<div class="spinner"></div><p>Loading chart data...</p>';
+        container.appendChild(this.loadingOverlay);
+
+        this.element.append(header, container);
+        grid.appendChild(this.element);
+
+        this.chart = new ChartInstance(container);
+        this.chart.setChartType(this.settings.chartType, []);
+
+        // Clicking a candle rebases the comparison there
+        this.chart.onChartClick(time => {
+            if (this.settings.comparePairs.length === 0) return;
+
+            this.compareAnchor = time;
+            this.loadComparison();
+        });
+    }
+
+    /**
+     * Get the key the panel's indicators are saved under
+     * @returns {string} Pair (e.g., 'BTC/ETH') or formula with its quote (e.g., 'BTC+ETH in USDT')
+     */
+    getPairKey() {
+        const { formula, coinA, coinB } = this.settings;
+        return formula ? `${formula} in ${coinB}` : `${coinA}/${coinB}`;
+    }
+
+    /**
+     * Get the panel's title
+     * @returns {string} Pair and timeframe (e.g., 'BTC/ETH · 1h')
+     */
+    getTitle() {
+        return `${this.getPairKey()} · ${this.settings.interval}`;
+    }
+
+    /**
+     * Turn the settings into a chart request
+     * With a formula, coinB is the coin every asset is priced in
+     * @returns {Object} Request ({ coinA, coinB, interval, options })
+     */
+    getRequest() {
+        const { formula, coinA, coinB, interval, from, to, bridge, wicks, align, provider, priceSource } = this.settings;
+        const options = {
+            bridge: bridge || undefined,
+            wicks: wicks === 'accurate' ? 'accurate' : undefined,
+            align: align !== 'drop' ? align : undefined,
+            provider: provider || undefined,
+            priceSource: priceSource !== 'last' ? priceSource : undefined
+        };
+
+        if (from !== undefined) options.from = from;
+        if (to !== undefined) options.to = to;
+
+        if (formula) {
+            options.formula = formula;
+            options.quote = coinB;
+        }
+
+        return {
+            coinA: formula ? '' : coinA,
+            coinB,
+            interval,
+            options
+        };
+    }
+
+    /**
+     * Check the settings before loading them
+     * @returns {string|null} What is wrong, or null if they can be loaded
+     */
+    validate() {
+        const { coinA, coinB, options } = this.getRequest();
+
+        if (!coinB || (!options.formula && !coinA)) return 'Please select both coins';
+        if (!options.formula && coinA === coinB) return 'Please select different coins';
+
+        if (options.from !== undefined && options.to !== undefined && options.from >= options.to) {
+            return 'Start date must be before end date';
+        }
+
+        return null;
+    }
+
+    /**
+     * Load and display chart data, dropping everything loaded before
+     * Check the settings with validate first
+     * @param {boolean} [forceRefresh] - Refresh the server's cache before loading
+     */
+    async load(forceRefresh = false) {
+        const request = this.getRequest();
+        const { coinA, coinB, interval, options } = request;
+        const generation = ++this.generation;
+
+        try {
+            this.showLoading(true);
+            this.stopLiveUpdates();
+            this.clearIndicators();
+            this.chart.onScrollNearStart(null);
+            this.chart.setChartType(this.settings.chartType, this.data?.data ?? []);
+            this.title.textContent = this.getTitle();
+
+            // Refresh cache if requested
+            if (forceRefresh) {
+                await refreshCache(coinA, coinB, interval, options);
+                console.log('✓ Cache refreshed');
+            }
+
+            // Fetch data
+            const response = await fetchKlines(coinA, coinB, interval, HISTORY_BLOCK_SIZE, options);
+
+            // A newer load started while we were waiting
+            if (generation !== this.generation) return;
+
+            this.data = response;
+            this.gaps = getAlignmentGaps(response.alignment);
+
+            // Leg volumes the route doesn't have fall back to the quote notional
+            const legs = response.volumeUnits ? response.route.legs : [];
+            if (this.settings.volume.startsWith('leg') && !legs[parseInt(this.settings.volume.slice(3))]) {
+                this.settings.volume = 'quote';
+            }
+
+            // Update chart
+            this.chart.updateData(response.data);
+            this.chart.setVolume(response.data, this.settings.volume);
+            this.chart.setGapMarkers(this.gaps, response.data);
+
+            // Add default indicators
+            this.addIndicators(response.data);
+
+            // Keep the forming candle moving between refreshes, unless we're
+            // looking at a range that ends in the past, at a formula, at mark or
+            // index prices, or at a provider without a live feed
+            if (options.to === undefined && !options.formula && !options.priceSource && this.canStreamLive(this)) {
+                this.startLiveUpdates(coinA, coinB, interval, options);
+            }
+
+            this.onChange(this, 'data');
+
+            // The basis and z-score panes and comparison lines load on their own, the chart doesn't wait for them
+            this.loadBasis(request, generation);
+            this.loadPairStats(request, generation);
+            this.loadBacktest(request, generation);
+            this.loadComparison(request, generation);
+
+            // Page in older candles as the user scrolls left, unless a start date pins the range
+            this.olderHistory = { loading: false, exhausted: options.from !== undefined };
+            this.chart.onScrollNearStart(() => this.loadOlderHistory(request, generation));
+
+            console.log(`✓ Loaded ${response.count} candles for ${response.pair}`);
+        } catch (error) {
+            console.error('Error loading chart data:', error);
+            this.onError(`Failed to load data: ${error.message}`);
+        } finally {
+            // Leave the overlay up if a newer load is still running
+            if (generation === this.generation) {
+                this.showLoading(false);
+            }
+        }
+    }
+
+    /**
+     * Fetch the block of candles before the oldest loaded one and prepend it
+     * @param {Object} request - Request the current data was loaded with
+     * @param {number} generation - Load generation the request belongs to
+     */
+    async loadOlderHistory(request, generation) {
+        if (this.olderHistory.loading || this.olderHistory.exhausted || !this.data) return;
+
+        this.olderHistory.loading = true;
+
+        try {
+            const { coinA, coinB, interval, options } = request;
+            const oldestTime = this.data.data[0].time;
+            const response = await fetchKlines(coinA, coinB, interval, HISTORY_BLOCK_SIZE, {
+                ...options,
+                from: undefined,
+                to: oldestTime - 1
+            });
+
+            if (generation !== this.generation) return;
+
+            const olderKlines = response.data.filter(k => k.time < oldestTime);
+
+            // Nothing older means we've reached the listing date
+            if (olderKlines.length === 0) {
+                this.olderHistory.exhausted = true;
+                return;
+            }
+
+            this.data.data = [...olderKlines, ...this.data.data];
+            this.gaps = [...getAlignmentGaps(response.alignment), ...this.gaps];
+            this.chart.prependData(this.data.data, olderKlines.length);
+            this.chart.setGapMarkers(this.gaps, this.data.data);
+            this.recalculateStats();
+
+            // Recalculate indicators over the extended data
+            this.redrawIndicators();
+            this.loadBasis(request, generation);
+            this.loadPairStats(request, generation);
+            this.loadBacktest(request, generation);
+            this.loadComparison(request, generation);
+
+            console.log(`✓ Prepended ${olderKlines.length} older candles`);
+        } catch (error) {
+            // Most likely the listing start (404) or a transient error, stop asking
+            console.warn('Could not load older history:', error.message);
+            this.olderHistory.exhausted = true;
+        } finally {
+            this.olderHistory.loading = false;
+        }
+    }
+
+    /**
+     * Load the spot/futures basis over the loaded candles into its pane
+     * Hidden for formulas and when turned off; a pair without perpetuals just logs a warning
+     * @param {Object} [request] - Request the current data was loaded with, the settings' by default
+     * @param {number} [generation] - Load generation the request belongs to, the current one by default
+     */
+    async loadBasis(request = this.getRequest(), generation = this.generation) {
+        const { coinA, coinB, interval, options } = request;
+
+        if (this.settings.basis !== 'on' || options.formula || !this.data) {
+            this.chart.setBasis(null);
+            return;
+        }
+
+        try {
+            const response = await fetchBasis(coinA, coinB, interval, {
+                from: this.data.data[0].time,
+                to: options.to,
+                bridge: options.bridge,
+                align: options.align,
+                priceSource: options.priceSource
+            });
+
+            if (generation !== this.generation) return;
+
+            this.chart.setBasis(response.data);
+        } catch (error) {
+            console.warn('Could not load basis:', error.message);
+
+            if (generation === this.generation) this.chart.setBasis(null);
+        }
+    }
+
+    /**
+     * Load the rolling z-score of the pair's log ratio into its pane, with the
+     * half-life and cointegration test kept for the stats footer
+     * Hidden for formulas and when turned off
+     * @param {Object} [request] - Request the current data was loaded with, the settings' by default
+     * @param {number} [generation] - Load generation the request belongs to, the current one by default
+     */
+    async loadPairStats(request = this.getRequest(), generation = this.generation) {
+        const { coinA, coinB, interval, options } = request;
+
+        if (this.settings.zscore === 'off' || options.formula || !this.data) {
+            this.chart.setZScore(null);
+            this.setPairStats(null);
+            return;
+        }
+
+        try {
+            const response = await fetchPairStats(coinA, coinB, interval, {
+                from: this.data.data[0].time,
+                to: options.to,
+                window: this.settings.zscore,
+                align: options.align,
+                provider: options.provider,
+                priceSource: options.priceSource
+            });
+
+            if (generation !== this.generation) return;
+
+            this.chart.setZScore(
+                response.times
+                    .map((time, i) => ({ time, value: response.zScore.logRatio[i] }))
+                    .filter(point => point.value !== null),
+                `Z(${response.window})`
+            );
+            this.setPairStats(response);
+        } catch (error) {
+            console.warn('Could not load pair statistics:', error.message);
+
+            if (generation === this.generation) {
+                this.chart.setZScore(null);
+                this.setPairStats(null);
+            }
+        }
+    }
+
+    /**
+     * Keep the latest pair statistics for the stats footer
+     * @param {Object|null} stats - /api/pair-stats response, or null to clear
+     */
+    setPairStats(stats) {
+        this.pairStats = stats;
+        this.onChange(this, 'pairStats');
+    }
+
+    /**
+     * Run the active backtest over the loaded candles, drawing its trades on
+     * the candles and its equity curve in a pane
+     * Formulas have no two legs to trade, so nothing is run on them
+     * @param {Object} [request] - Request the current data was loaded with, the settings' by default
+     * @param {number} [generation] - Load generation the request belongs to, the current one by default
+     */
+    async loadBacktest(request = this.getRequest(), generation = this.generation) {
+        const { coinA, coinB, interval, options } = request;
+        const settings = getBacktestSettings();
+
+        if (!settings || !this.data) {
+            this.setBacktest(null);
+            return;
+        }
+
+        if (options.formula) {
+            this.setBacktest(null, 'Backtests run on a pair, clear the formula to run one');
+            return;
+        }
+
+        try {
+            const response = await fetchBacktest(coinA, coinB, interval, {
+                ...settings,
+                from: this.data.data[0].time,
+                to: options.to,
+                bridge: options.bridge,
+                align: options.align,
+                provider: options.provider,
+                priceSource: options.priceSource
+            });
+
+            if (generation !== this.generation) return;
+
+            this.setBacktest(response);
+        } catch (error) {
+            console.warn('Could not run backtest:', error.message);
+
+            if (generation === this.generation) this.setBacktest(null, error.message);
+        }
+    }
+
+    /**
+     * Draw a backtest run and keep it for the backtest panel
+     * @param {Object|null} result - /api/backtest response, or null to remove the run
+     * @param {string} [message] - Why there is no result, e.g. an error; without one the run is cleared
+     */
+    setBacktest(result, message) {
+        this.chart.setBacktest(result);
+        this.backtest = result || message ? { result, message } : null;
+        this.onChange(this, 'backtest');
+    }
+
+    /**
+     * Load the comparison pairs over the loaded candles, rebased alongside the main pair
+     * Formulas aren't pairs, so only the comparison pairs are drawn next to one
+     * @param {Object} [request] - Request the current data was loaded with, the settings' by default
+     * @param {number} [generation] - Load generation the request belongs to, the current one by default
+     * @returns {Promise<boolean>} False if the comparison could not be loaded
+     */
+    async loadComparison(request = this.getRequest(), generation = this.generation) {
+        const { coinA, coinB, interval, options } = request;
+        const { comparePairs } = this.settings;
+
+        if (comparePairs.length === 0 || !this.data) {
+            this.setComparison(null);
+            return true;
+        }
+
+        const mainPair = options.formula ? null : `${coinA}/${coinB}`;
+
+        try {
+            const response = await fetchComparison(mainPair ? [mainPair, ...comparePairs] : comparePairs, interval, {
+                from: this.data.data[0].time,
+                to: options.to,
+                anchor: this.compareAnchor,
+                align: options.align,
+                provider: options.provider,
+                priceSource: options.priceSource
+            });
+
+            if (generation !== this.generation) return true;
+
+            this.setComparison({
+                times: response.times,
+                lines: response.pairs.map(({ pair, change }) => ({
+                    label: pair,
+                    color: pair === mainPair ? MAIN_COMPARE_COLOR : this.getCompareColor(pair),
+                    values: change
+                }))
+            }, response.anchor);
+            return true;
+        } catch (error) {
+            console.warn('Could not load comparison:', error.message);
+
+            if (generation === this.generation) this.setComparison(null);
+            return false;
+        }
+    }
+
+    /**
+     * Draw comparison lines and keep their anchor for the comparison chips
+     * @param {Object|null} comparison - Lines for ChartInstance.setComparison, or null to remove them
+     * @param {number} [anchor] - Candle time the lines are rebased on
+     */
+    setComparison(comparison, anchor) {
+        this.chart.setComparison(comparison);
+        this.comparisonAnchor = comparison ? anchor : null;
+        this.onChange(this, 'comparison');
+    }
+
+    /**
+     * Get the line color of a comparison pair
+     * @param {string} pair - Comparison pair (e.g., 'SOL/ETH')
+     * @returns {string} Color
+     */
+    getCompareColor(pair) {
+        return COMPARE_COLORS[this.settings.comparePairs.indexOf(pair) % COMPARE_COLORS.length];
+    }
+
+    /**
+     * Switch how the price is drawn
+     * @param {string} type - One of CHART_TYPES
+     */
+    setChartType(type) {
+        this.settings.chartType = type;
+        this.chart.setChartType(type, this.data?.data ?? []);
+    }
+
+    /**
+     * Switch the volume definition, only the histogram is redrawn
+     * @param {string} key - 'quote', 'min', 'combined', 'leg0', 'leg1' or 'off'
+     */
+    setVolume(key) {
+        this.settings.volume = key;
+        if (this.data) this.chart.setVolume(this.data.data, key);
+    }
+
+    /**
+     * Draw the visible indicators of the panel's pair over the loaded candles
+     * Computed in the browser with the same module /api/indicators uses
+     * @param {Array} data - Loaded kline data (gap entries are skipped)
+     */
+    addIndicators(data) {
+        const klines = data.filter(isPriced);
+        const configs = getIndicatorConfigs(this.getPairKey()).filter(config => config.visible);
+        if (configs.length === 0 || klines.length === 0) return;
+
+        let specs;
+
+        try {
+            specs = parseIndicatorSpec(configs.map(toIndicatorSpec).join(','));
+        } catch (error) {
+            console.warn('Invalid indicators:', error.message);
+            return;
+        }
+
+        const times = klines.map(k => k.time);
+        const results = computeIndicators(klines, specs, { intervalSeconds: getIntervalSeconds(this.settings.interval) });
+
+        this.indicators = results.map((result, i) => this.chart.addIndicator(result, times, configs[i].color));
+    }
+
+    /**
+     * Clear all indicators from chart
+     */
+    clearIndicators() {
+        this.indicators.forEach(indicator => this.chart.removeIndicator(indicator));
+        this.indicators = [];
+    }
+
+    /**
+     * Redraw the indicators, e.g. after they were edited
+     */
+    redrawIndicators() {
+        this.clearIndicators();
+        if (this.data) this.addIndicators(this.data.data);
+    }
+
+    /**
+     * Subscribe to live candles for the panel's pair
+     * @param {string} coinA - Base coin
+     * @param {string} coinB - Quote coin
+     * @param {string} interval - Timeframe
+     * @param {Object} options - Chart request options ({ bridge, provider })
+     */
+    startLiveUpdates(coinA, coinB, interval, options) {
+        this.stopLiveUpdates();
+        this.unsubscribeLive = subscribeKlines(coinA, coinB, interval, {
+            bridge: options.bridge,
+            provider: options.provider
+        }, candle => this.applyLiveCandle(candle));
+        this.element.classList.add('live');
+    }
+
+    /**
+     * Close the live candle subscription, if any
+     */
+    stopLiveUpdates() {
+        if (this.unsubscribeLive) {
+            this.unsubscribeLive();
+            this.unsubscribeLive = null;
+        }
+        this.element.classList.remove('live');
+    }
+
+    /**
+     * Check whether the panel has a live candle subscription
+     * @returns {boolean} True while live candles are streamed in
+     */
+    isLive() {
+        return this.unsubscribeLive !== null;
+    }
+
+    /**
+     * Merge a live candle into the loaded data, chart and stats
+     * @param {Object} candle - Forming or just-closed synthetic candle
+     */
+    applyLiveCandle(candle) {
+        if (!this.data || this.data.data.length === 0) return;
+
+        const klines = this.data.data;
+        const lastCandle = klines[klines.length - 1];
+
+        // Ignore late ticks for candles we have already moved past
+        if (candle.time < lastCandle.time) return;
+
+        const isNewCandle = candle.time > lastCandle.time;
+        const replacesGap = !isNewCandle && !isPriced(lastCandle);
+
+        // In accurate mode, track the ratios actually observed on each tick
+        // instead of the leg-extreme wicks the stream reports
+        if (this.data.wicks?.mode === 'accurate' && this.data.route?.legs.length > 1) {
+            candle = isNewCandle || replacesGap
+                ? { ...candle, high: Math.max(candle.open, candle.close), low: Math.min(candle.open, candle.close) }
+                : { ...candle, high: Math.max(lastCandle.high, candle.close), low: Math.min(lastCandle.low, candle.close) };
+        }
+
+        if (isNewCandle) {
+            klines.push(candle);
+        } else {
+            klines[klines.length - 1] = candle;
+        }
+
+        this.chart.updateCandle(candle);
+        this.recalculateStats();
+
+        // Indicators only change meaningfully once a candle is added
+        if (isNewCandle) this.redrawIndicators();
+    }
+
+    /**
+     * Recompute stats from the loaded candles after live or prepended updates
+     * Mirrors the stats block computed by /api/klines
+     */
+    recalculateStats() {
+        const klines = this.data.data.filter(isPriced);
+        if (klines.length === 0) return;
+
+        const firstCandle = klines[0];
+        const latestCandle = klines[klines.length - 1];
+        const priceChange = latestCandle.close - firstCandle.close;
+
+        this.data.count = this.data.data.length;
+        this.data.stats = {
+            currentPrice: latestCandle.close,
+            openPrice: firstCandle.open,
+            highPrice: Math.max(...klines.map(k => k.high)),
+            lowPrice: Math.min(...klines.map(k => k.low)),
+            priceChange,
+            priceChangePercent: parseFloat(((priceChange / firstCandle.close) * 100).toFixed(2)),
+            timestamp: latestCandle.time
+        };
+
+        this.onChange(this, 'stats');
+    }
+
+    /**
+     * Put the crosshair on the candle holding a time, e.g. where another panel's crosshair is
+     * @param {number|null} time - Unix time in seconds, null to remove the crosshair
+     */
+    showCrosshairAt(time) {
+        // Panels may have other timeframes, so the crosshair goes to the candle the time falls in
+        const candle = time === null || !this.data ? undefined : this.data.data.findLast(k => k.time <= time);
+
+        if (!candle || !isPriced(candle) || time >= candle.time + getIntervalSeconds(this.settings.interval)) {
+            this.chart.hideCrosshair();
+            return;
+        }
+
+        this.chart.showCrosshair(candle.time, candle.close);
+    }
+
+    /**
+     * Scroll and zoom to a time range, e.g. the one another panel shows
+     * @param {Object} range - Range ({ from, to } in unix seconds)
+     */
+    showTimeRange(range) {
+        if (!this.data) return;
+
+        try {
+            this.chart.setVisibleTimeRange(range);
+        } catch (error) {
+            // A range the loaded candles don't reach at all
+            console.warn('Could not show time range:', error.message);
+        }
+    }
+
+    /**
+     * Show/hide the panel's loading overlay
+     * @param {boolean} show - Whether to show loading
+     */
+    showLoading(show) {
+        this.loadingOverlay.classList.toggle('hidden', !show);
+    }
+
+    /**
+     * Stop the live stream, drop pending responses and remove the panel
+     */
+    destroy() {
+        this.generation++;
+        this.stopLiveUpdates();
+        this.chart.destroy();
+        this.element.remove();
+    }
+}
+
+/**
+ * Collect the leg gaps reported by the server
+ * Formula instruments report alignment per asset
+ * @param {Object|undefined} alignment - Alignment diagnostics from /api/klines
+ * @returns {Array} Gaps ({ from, to, candles, missingLegs })
+ */
+function getAlignmentGaps(alignment) {
+    if (!alignment) return [];
+
+    if (alignment.assets) {
+        return Object.values(alignment.assets).flatMap(asset => asset.gaps);
+    }
+
+    return alignment.gaps;
+}
+
+/**
+ * Check whether a kline carries prices (gap entries only have a time)
+ * @param {Object} kline - Kline or gap entry
+ * @returns {boolean} True if the kline has OHLC data
+ */
+function isPriced(kline) {
+    return kline.close !== undefined;
+}
@@ -3,270 +3,905 @@
  * Handles chart rendering and updates using Lightweight Charts
  */
 
-let chart = null;
-let candlestickSeries = null;
+// Ways to draw the price series
+export const CHART_TYPES = ['candles', 'bars', 'line', 'area'];
+
+// Bars left of the viewport at which older history is requested
+const SCROLL_START_THRESHOLD = 10;
+
+// Candles built with a forward-filled leg are drawn muted
+const FILLED_CANDLE_COLOR = '#5e6673';
+
+// Secondary lines of an indicator (bands, signal lines) use its color at this alpha
+const SECONDARY_LINE_ALPHA = '99';
+
+// Fraction of the chart height given to each pane below the candles
+const PANE_HEIGHT = 0.2;
+const MAX_PANES_HEIGHT = 0.5;
 
 /**
- * Initialize the chart with dark theme
- * @param {HTMLElement} container - Chart container element
- * @returns {Object} Chart instance
+ * Chart Instance
+ * One Lightweight Charts chart with its price series, the panes stacked
+ * below it, indicators, comparison lines, markers and legend. The workspace
+ * creates one per chart panel.
  */
-export function initChart(container) {
-    // Clear existing chart if any
-    if (chart) {
-        chart.remove();
-    }
-
-    // Create chart with dark theme configuration
-    chart = LightweightCharts.createChart(container, {
-        width: container.clientWidth,
-        height: container.clientHeight,
-        layout: {
-            background: {
-                type: 'solid',
-                color: '#161a1e'
+export class ChartInstance {
+    /**
+     * Create a chart with dark theme in a container
+     * @param {HTMLElement} container - Chart container element
+     */
+    constructor(container) {
+        this.container = container;
+        this.chartType = 'candles';
+        this.priceFormat = null;
+        this.volumeSeries = null;
+        this.volumeKey = 'quote';
+        this.basisSeries = null;
+        this.zScoreSeries = null;
+        this.equitySeries = null;
+        this.equityBaseline = null;
+        this.scrollStartHandler = null;
+        this.clickHandler = null;
+        this.crosshairHandler = null;
+        this.rangeHandler = null;
+
+        // Indicators drawn with addIndicator, in legend order
+        this.indicatorHandles = [];
+        this.indicatorPaneCount = 0;
+
+        // Rebased comparison lines drawn with setComparison ({ series, label, color, latest, unit })
+        this.comparisonLines = [];
+
+        // Price series markers: leg gaps from setGapMarkers, entries and exits from setBacktest
+        this.gapMarkers = [];
+        this.tradeMarkers = [];
+
+        // Price scale ids of the panes stacked below the candles, top to bottom
+        this.subPanes = [];
+
+        // Create chart with dark theme configuration
+        this.chart = LightweightCharts.createChart(container, {
+            width: container.clientWidth,
+            height: container.clientHeight,
+            layout: {
+                background: {
+                    type: 'solid',
+                    color: '#161a1e'
+                },
+                textColor: '#b7bdc6'
             },
-            textColor: '#b7bdc6'
-        },
-        grid: {
-            vertLines: {
-                color: '#2b3139'
+            grid: {
+                vertLines: {
+                    color: '#2b3139'
+                },
+                horzLines: {
+                    color: '#2b3139'
+                }
             },
-            horzLines: {
-                color: '#2b3139'
-            }
-        },
-        crosshair: {
-            mode: LightweightCharts.CrosshairMode.Normal,
-            vertLine: {
-                color: '#f0b90b',
-                width: 1,
-                style: LightweightCharts.LineStyle.Dashed,
-                labelBackgroundColor: '#f0b90b'
+            crosshair: {
+                mode: LightweightCharts.CrosshairMode.Normal,
+                vertLine: {
+                    color: '#f0b90b',
+                    width: 1,
+                    style: LightweightCharts.LineStyle.Dashed,
+                    labelBackgroundColor: '#f0b90b'
+                },
+                horzLine: {
+                    color: '#f0b90b',
+                    width: 1,
+                    style: LightweightCharts.LineStyle.Dashed,
+                    labelBackgroundColor: '#f0b90b'
+                }
             },
-            horzLine: {
-                color: '#f0b90b',
-                width: 1,
-                style: LightweightCharts.LineStyle.Dashed,
-                labelBackgroundColor: '#f0b90b'
-            }
-        },
-        rightPriceScale: {
-            borderColor: '#2b3139',
-            scaleMargins: {
-                top: 0.1,
-                bottom: 0.1
+            rightPriceScale: {
+                borderColor: '#2b3139',
+                scaleMargins: {
+                    top: 0.1,
+                    bottom: 0.1
+                }
+            },
+            timeScale: {
+                borderColor: '#2b3139',
+                timeVisible: true,
+                secondsVisible: false
             }
-        },
-        timeScale: {
-            borderColor: '#2b3139',
-            timeVisible: true,
-            secondsVisible: false
-        }
-    });
-
-    // Create candlestick series
-    candlestickSeries = chart.addCandlestickSeries({
-        upColor: '#0ecb81',
-        downColor: '#f6465d',
-        borderUpColor: '#0ecb81',
-        borderDownColor: '#f6465d',
-        wickUpColor: '#0ecb81',
-        wickDownColor: '#f6465d'
-    });
-
-    // Handle window resize
-    window.addEventListener('resize', () => {
-        if (chart && container) {
-            chart.applyOptions({
-                width: container.clientWidth,
-                height: container.clientHeight
+        });
+
+        this.priceSeries = this.createPriceSeries(this.chartType);
+
+        // Indicator values under the crosshair, or the latest ones without it
+        this.legend = document.createElement('div');
+        this.legend.className = 'chart-legend';
+        container.appendChild(this.legend);
+
+        this.chart.subscribeCrosshairMove(param => {
+            this.renderLegend(param);
+            if (this.crosshairHandler) this.crosshairHandler(param.time ?? null);
+        });
+
+        this.chart.subscribeClick(param => {
+            if (param.time !== undefined && this.clickHandler) this.clickHandler(param.time);
+        });
+
+        // Notify when the user scrolls close to the oldest loaded candle. Fitting the
+        // content also starts at it, so wait until some candles are out of view
+        this.chart.timeScale().subscribeVisibleLogicalRangeChange((range) => {
+            if (!range || range.from >= SCROLL_START_THRESHOLD || !this.scrollStartHandler) return;
+
+            const bars = this.priceSeries.barsInLogicalRange(range);
+            if (bars && bars.barsBefore <= 0 && bars.barsAfter <= 0) return;
+
+            this.scrollStartHandler();
+        });
+
+        this.chart.timeScale().subscribeVisibleTimeRangeChange((range) => {
+            if (range && this.rangeHandler) this.rangeHandler(range);
+        });
+
+        // Handle window resize
+        this.resizeHandler = () => this.resize();
+        window.addEventListener('resize', this.resizeHandler);
+    }
+
+    /**
+     * Fit the chart to its container, e.g. after the workspace layout changed
+     */
+    resize() {
+        this.chart.applyOptions({
+            width: this.container.clientWidth,
+            height: this.container.clientHeight
+        });
+    }
+
+    /**
+     * Remove the chart and its legend from the page
+     */
+    destroy() {
+        window.removeEventListener('resize', this.resizeHandler);
+        this.chart.remove();
+        this.legend.remove();
+    }
+
+    /**
+     * Create the price series of a chart type
+     * @param {string} type - One of CHART_TYPES
+     * @returns {Object} Series
+     */
+    createPriceSeries(type) {
+        if (type === 'bars') {
+            return this.chart.addBarSeries({
+                upColor: '#0ecb81',
+                downColor: '#f6465d',
+                thinBars: false
             });
         }
-    });
 
-    return chart;
-}
+        if (type === 'line') {
+            return this.chart.addLineSeries({
+                color: '#eaecef',
+                lineWidth: 2
+            });
+        }
 
-/**
- * Update chart data with new klines
- * @param {Array} klines - Array of kline objects with OHLC data
- */
-export function updateData(klines) {
-    if (!candlestickSeries) {
-        console.error('Chart not initialized');
-        return;
-    }
-
-    // Determine appropriate precision based on latest price
-    if (klines.length > 0) {
-        const lastClose = klines[klines.length - 1].close;
-        let precision = 2;
-        let minMove = 0.01;
-
-        if (lastClose >= 1000) {
-            precision = 2;
-            minMove = 0.01;
-        } else if (lastClose >= 1) {
-            precision = 4;
-            minMove = 0.0001;
-        } else if (lastClose >= 0.01) {
-            precision = 6;
-            minMove = 0.000001;
-        } else if (lastClose >= 0.0001) {
-            precision = 8;
-            minMove = 0.00000001;
-        } else {
-            precision = 10;
-            minMove = 0.0000000001;
+        if (type === 'area') {
+            return this.chart.addAreaSeries({
+                lineColor: '#eaecef',
+                topColor: 'rgba(234, 236, 239, 0.25)',
+                bottomColor: 'rgba(234, 236, 239, 0)',
+                lineWidth: 2
+            });
         }
 
-        candlestickSeries.applyOptions({
-            priceFormat: {
+        return this.chart.addCandlestickSeries({
+            upColor: '#0ecb81',
+            downColor: '#f6465d',
+            borderUpColor: '#0ecb81',
+            borderDownColor: '#f6465d',
+            wickUpColor: '#0ecb81',
+            wickDownColor: '#f6465d'
+        });
+    }
+
+    /**
+     * Switch how the price is drawn, keeping markers and price format
+     * @param {string} type - One of CHART_TYPES
+     * @param {Array} klines - Loaded kline data, oldest first
+     */
+    setChartType(type, klines) {
+        if (type === this.chartType) return;
+        this.chartType = type;
+
+        this.chart.removeSeries(this.priceSeries);
+        this.priceSeries = this.createPriceSeries(type);
+
+        if (this.priceFormat) this.priceSeries.applyOptions({ priceFormat: this.priceFormat });
+        this.priceSeries.setData(klines.map(kline => this.toPriceData(kline)));
+        this.applyMarkers();
+    }
+
+    /**
+     * Update chart data with new klines
+     * @param {Array} klines - Array of kline objects with OHLC data
+     */
+    updateData(klines) {
+        // Determine appropriate precision based on latest price
+        // (gap entries have no prices, so look for the last priced candle)
+        const lastPriced = klines.findLast(k => k.close !== undefined);
+
+        if (lastPriced) {
+            const lastClose = lastPriced.close;
+            let precision = 2;
+            let minMove = 0.01;
+
+            if (lastClose >= 1000) {
+                precision = 2;
+                minMove = 0.01;
+            } else if (lastClose >= 1) {
+                precision = 4;
+                minMove = 0.0001;
+            } else if (lastClose >= 0.01) {
+                precision = 6;
+                minMove = 0.000001;
+            } else if (lastClose >= 0.0001) {
+                precision = 8;
+                minMove = 0.00000001;
+            } else {
+                precision = 10;
+                minMove = 0.0000000001;
+            }
+
+            this.priceFormat = {
                 type: 'price',
                 precision: precision,
                 minMove: minMove,
-            },
+            };
+            this.priceSeries.applyOptions({ priceFormat: this.priceFormat });
+
+            // Update chart's right price scale to match
+            this.chart.applyOptions({
+                rightPriceScale: {
+                    autoScale: true,
+                    entireTextOnly: true,
+                }
+            });
+        }
+
+        // Set the data
+        this.priceSeries.setData(klines.map(kline => this.toPriceData(kline)));
+        this.setVolumeSeriesData(klines);
+
+        // Fit content to view
+        this.chart.timeScale().fitContent();
+    }
+
+    /**
+     * Replace the series with data that has older candles prepended,
+     * keeping the viewport on the same candles
+     * @param {Array} klines - Full kline array, oldest first
+     * @param {number} addedCount - Number of candles added at the start
+     */
+    prependData(klines, addedCount) {
+        const timeScale = this.chart.timeScale();
+        const visibleRange = timeScale.getVisibleLogicalRange();
+
+        this.priceSeries.setData(klines.map(kline => this.toPriceData(kline)));
+        this.setVolumeSeriesData(klines);
+
+        // Logical indexes shifted by the number of new bars, move the viewport with them
+        if (visibleRange) {
+            timeScale.setVisibleLogicalRange({
+                from: visibleRange.from + addedCount,
+                to: visibleRange.to + addedCount
+            });
+        }
+    }
+
+    /**
+     * Register a handler for when the user scrolls near the oldest candle
+     * @param {Function|null} handler - Called (possibly repeatedly) while near the left edge
+     */
+    onScrollNearStart(handler) {
+        this.scrollStartHandler = handler;
+    }
+
+    /**
+     * Register a handler for clicks on a candle
+     * @param {Function|null} handler - Called with the clicked candle time, or null to clear
+     */
+    onChartClick(handler) {
+        this.clickHandler = handler;
+    }
+
+    /**
+     * Register a handler for crosshair moves
+     * @param {Function|null} handler - Called with the candle time under the crosshair, null once it leaves
+     */
+    onCrosshairMove(handler) {
+        this.crosshairHandler = handler;
+    }
+
+    /**
+     * Register a handler for scrolling and zooming
+     * @param {Function|null} handler - Called with the visible time range ({ from, to } in unix seconds)
+     */
+    onVisibleTimeRangeChange(handler) {
+        this.rangeHandler = handler;
+    }
+
+    /**
+     * Put the crosshair on a candle, as if the pointer were over it
+     * @param {number} time - Candle time
+     * @param {number} price - Price the horizontal line is drawn at
+     */
+    showCrosshair(time, price) {
+        this.chart.setCrosshairPosition(price, time, this.priceSeries);
+    }
+
+    /**
+     * Remove a crosshair placed with showCrosshair
+     */
+    hideCrosshair() {
+        this.chart.clearCrosshairPosition();
+    }
+
+    /**
+     * Get the visible time range
+     * @returns {Object|null} Range ({ from, to } in unix seconds), null without data
+     */
+    getVisibleTimeRange() {
+        return this.chart.timeScale().getVisibleRange();
+    }
+
+    /**
+     * Scroll and zoom to a time range
+     * @param {Object} range - Range ({ from, to } in unix seconds)
+     */
+    setVisibleTimeRange(range) {
+        this.chart.timeScale().setVisibleRange(range);
+    }
+
+    /**
+     * Apply a live candle update without resetting the series
+     * Updates the last bar when times match, otherwise appends a new bar
+     * @param {Object} kline - Kline object with OHLC data
+     */
+    updateCandle(kline) {
+        this.priceSeries.update(this.toPriceData(kline));
+
+        if (this.volumeSeries) {
+            const bar = this.toVolumeBar(kline);
+            if (bar) this.volumeSeries.update(bar);
+        }
+    }
+
+    /**
+     * Convert a kline into price series data of the current chart type
+     * Gap entries stay whitespace and forward-filled candles are greyed out
+     * @param {Object} kline - Kline, or a gap entry with only a time
+     * @returns {Object} Bar, line point or whitespace
+     */
+    toPriceData(kline) {
+        if (kline.close === undefined) {
+            return { time: kline.time };
+        }
+
+        if (this.chartType === 'line' || this.chartType === 'area') {
+            const point = { time: kline.time, value: kline.close };
+            if (kline.filledLegs && this.chartType === 'line') point.color = FILLED_CANDLE_COLOR;
+            return point;
+        }
+
+        const bar = {
+            time: kline.time,
+            open: kline.open,
+            high: kline.high,
+            low: kline.low,
+            close: kline.close
+        };
+
+        if (kline.filledLegs) {
+            bar.color = FILLED_CANDLE_COLOR;
+            bar.borderColor = FILLED_CANDLE_COLOR;
+            bar.wickColor = FILLED_CANDLE_COLOR;
+        }
+
+        return bar;
+    }
+
+    /**
+     * Mark where legs were missing with a marker on the first candle after each gap
+     * @param {Array} gaps - Gaps from the alignment diagnostics ({ from, to, candles, missingLegs })
+     * @param {Array} klines - Loaded kline data, oldest first
+     */
+    setGapMarkers(gaps, klines) {
+        const markers = [];
+
+        gaps.forEach(gap => {
+            const candle = klines.find(k => k.time > gap.to && k.close !== undefined);
+            if (!candle) return;
+
+            markers.push({
+                time: candle.time,
+                position: 'aboveBar',
+                color: FILLED_CANDLE_COLOR,
+                shape: 'arrowDown',
+                text: `gap ${gap.candles} (${gap.missingLegs.join(', ')})`
+            });
         });
 
-        // Update chart's right price scale to match
-        chart.applyOptions({
-            rightPriceScale: {
-                autoScale: true,
-                entireTextOnly: true,
+        // One gap marker per bar is enough
+        const byTime = new Map(markers.map(marker => [marker.time, marker]));
+        this.gapMarkers = [...byTime.values()];
+        this.applyMarkers();
+    }
+
+    /**
+     * Show a backtest's entries and exits on the candles and its equity curve in a pane
+     * @param {Object|null} result - /api/backtest response, or null to remove both
+     */
+    setBacktest(result) {
+        if (!result) {
+            this.tradeMarkers = [];
+            this.applyMarkers();
+
+            if (this.equitySeries) {
+                this.chart.removeSeries(this.equitySeries);
+                this.equitySeries = null;
+                this.equityBaseline = null;
+                this.removePane('equity');
             }
+            return;
+        }
+
+        this.tradeMarkers = result.trades.flatMap(trade => {
+            const isLong = trade.side === 'long';
+
+            return [
+                {
+                    time: trade.entryTime,
+                    position: isLong ? 'belowBar' : 'aboveBar',
+                    color: isLong ? '#0ecb81' : '#f6465d',
+                    shape: isLong ? 'arrowUp' : 'arrowDown',
+                    text: isLong ? 'Long' : 'Short'
+                },
+                {
+                    time: trade.exitTime,
+                    position: isLong ? 'aboveBar' : 'belowBar',
+                    color: trade.pnl >= 0 ? '#0ecb81' : '#f6465d',
+                    shape: 'circle',
+                    text: `${formatPercent(trade.returnPct)}${trade.exitReason === 'bust' ? ' bust' : ''}`
+                }
+            ];
         });
+        this.applyMarkers();
+
+        if (!this.equitySeries) {
+            this.equitySeries = this.chart.addLineSeries({
+                priceScaleId: 'equity',
+                color: '#c084fc',
+                lineWidth: 1,
+                priceFormat: { type: 'price', precision: 2, minMove: 0.01 },
+                priceLineVisible: false,
+                title: 'Equity'
+            });
+
+            this.equityBaseline = this.equitySeries.createPriceLine({
+                price: result.stats.capital,
+                color: '#474d57',
+                lineWidth: 1,
+                lineStyle: LightweightCharts.LineStyle.Dashed,
+                axisLabelVisible: false,
+                title: ''
+            });
+
+            this.addPane('equity');
+        }
+
+        this.equityBaseline.applyOptions({ price: result.stats.capital });
+        this.equitySeries.setData(result.equity);
     }
 
-    // Set the data
-    candlestickSeries.setData(klines);
+    /**
+     * Draw the gap and trade markers together
+     * Markers must be sorted by time
+     */
+    applyMarkers() {
+        this.priceSeries.setMarkers([...this.gapMarkers, ...this.tradeMarkers].sort((a, b) => a.time - b.time));
+    }
 
-    // Fit content to view
-    chart.timeScale().fitContent();
-}
+    /**
+     * Clear all chart data
+     */
+    clearChart() {
+        this.priceSeries.setData([]);
+        this.gapMarkers = [];
+        this.tradeMarkers = [];
+        this.priceSeries.setMarkers([]);
+
+        if (this.volumeSeries) {
+            this.volumeSeries.setData([]);
+        }
+    }
 
-/**
- * Clear all chart data
- */
-export function clearChart() {
-    if (candlestickSeries) {
-        candlestickSeries.setData([]);
+    /**
+     * Show synthetic volume as a histogram pane under the candles
+     * @param {Array} klines - Kline data with volumes and legVolumes
+     * @param {string} key - 'quote', 'min', 'combined', 'leg0', 'leg1' or 'off'
+     */
+    setVolume(klines, key) {
+        this.volumeKey = key;
+
+        // Formula instruments and 'off' have nothing to show
+        const hasVolume = key !== 'off' && klines.some(k => this.toVolumeBar(k));
+
+        if (!hasVolume) {
+            if (this.volumeSeries) {
+                this.chart.removeSeries(this.volumeSeries);
+                this.volumeSeries = null;
+                this.removePane('volume');
+            }
+            return;
+        }
+
+        if (!this.volumeSeries) {
+            this.volumeSeries = this.chart.addHistogramSeries({
+                priceScaleId: 'volume',
+                priceFormat: { type: 'volume' },
+                priceLineVisible: false,
+                lastValueVisible: true
+            });
+            this.addPane('volume');
+        }
+
+        this.setVolumeSeriesData(klines);
     }
-}
 
-/**
- * Add a simple moving average indicator
- * @param {Array} klines - Kline data
- * @param {number} period - MA period (e.g., 20, 50, 200)
- * @param {string} color - Line color
- * @returns {Object} Line series
- */
-export function addMovingAverage(klines, period = 20, color = '#f0b90b') {
-    if (!chart) {
-        console.error('Chart not initialized');
-        return null;
+    /**
+     * Refresh the volume histogram from klines, if it is shown
+     * @param {Array} klines - Kline data
+     */
+    setVolumeSeriesData(klines) {
+        if (!this.volumeSeries) return;
+
+        this.volumeSeries.setData(klines.map(kline => this.toVolumeBar(kline)).filter(Boolean));
     }
 
-    // Calculate SMA
-    const maData = [];
+    /**
+     * Convert a kline into a volume histogram bar for the selected definition
+     * @param {Object} kline - Kline with volumes and legVolumes
+     * @returns {Object|null} Histogram bar, or null if the kline has no such volume
+     */
+    toVolumeBar(kline) {
+        const value = this.volumeKey.startsWith('leg')
+            ? kline.legVolumes?.[parseInt(this.volumeKey.slice(3))]?.quoteVolume
+            : kline.volumes?.[this.volumeKey];
+
+        if (value === undefined || value === null) return null;
+
+        return {
+            time: kline.time,
+            value,
+            color: kline.close >= kline.open ? 'rgba(14, 203, 129, 0.5)' : 'rgba(246, 70, 93, 0.5)'
+        };
+    }
 
-    for (let i = period - 1; i < klines.length; i++) {
-        let sum = 0;
-        for (let j = 0; j < period; j++) {
-            sum += klines[i - j].close;
+    /**
+     * Show the spot/futures basis as a line pane under the candles
+     * @param {Array|null} points - Basis points ({ time, basis } in percent), or null to remove the pane
+     */
+    setBasis(points) {
+        if (!points) {
+            if (this.basisSeries) {
+                this.chart.removeSeries(this.basisSeries);
+                this.basisSeries = null;
+                this.removePane('basis');
+            }
+            return;
         }
-        const avg = sum / period;
 
-        maData.push({
-            time: klines[i].time,
-            value: avg
+        if (!this.basisSeries) {
+            this.basisSeries = this.chart.addLineSeries({
+                priceScaleId: 'basis',
+                color: '#3861fb',
+                lineWidth: 1,
+                title: 'Basis %',
+                priceFormat: { type: 'price', precision: 3, minMove: 0.001 },
+                priceLineVisible: false
+            });
+            this.addPane('basis');
+        }
+
+        this.basisSeries.setData(points.map(point => ({ time: point.time, value: point.basis })));
+    }
+
+    /**
+     * Show a rolling z-score as a line pane under the candles, with ±1σ and ±2σ bands
+     * @param {Array|null} points - Z-score points ({ time, value }), or null to remove the pane
+     * @param {string} [title] - Series title (e.g., 'Z(50)')
+     */
+    setZScore(points, title = 'Z') {
+        if (!points) {
+            if (this.zScoreSeries) {
+                this.chart.removeSeries(this.zScoreSeries);
+                this.zScoreSeries = null;
+                this.removePane('zscore');
+            }
+            return;
+        }
+
+        if (!this.zScoreSeries) {
+            this.zScoreSeries = this.chart.addLineSeries({
+                priceScaleId: 'zscore',
+                color: '#22d3ee',
+                lineWidth: 1,
+                priceFormat: { type: 'price', precision: 2, minMove: 0.01 },
+                priceLineVisible: false
+            });
+
+            [[2, '#f6465d'], [1, '#474d57'], [0, '#2b3139'], [-1, '#474d57'], [-2, '#0ecb81']].forEach(([price, color]) => {
+                this.zScoreSeries.createPriceLine({
+                    price,
+                    color,
+                    lineWidth: 1,
+                    lineStyle: price === 0 ? LightweightCharts.LineStyle.Solid : LightweightCharts.LineStyle.Dashed,
+                    axisLabelVisible: price !== 0,
+                    title: price === 0 ? '' : `${price > 0 ? '+' : ''}${price}σ`
+                });
+            });
+
+            this.addPane('zscore');
+        }
+
+        this.zScoreSeries.applyOptions({ title });
+        this.zScoreSeries.setData(points);
+    }
+
+    /**
+     * Add a pane below the candles for an overlay price scale
+     * @param {string} priceScaleId - Price scale id of the pane's series
+     */
+    addPane(priceScaleId) {
+        if (!this.subPanes.includes(priceScaleId)) {
+            this.subPanes.push(priceScaleId);
+        }
+        this.layoutPanes();
+    }
+
+    /**
+     * Remove a pane added with addPane
+     * @param {string} priceScaleId - Price scale id of the pane's series
+     */
+    removePane(priceScaleId) {
+        this.subPanes = this.subPanes.filter(id => id !== priceScaleId);
+        this.layoutPanes();
+    }
+
+    /**
+     * Stack the candles and every pane vertically using price scale margins
+     * Lightweight Charts 4 has no native panes, so each pane is an overlay
+     * price scale squeezed into its own horizontal band
+     */
+    layoutPanes() {
+        const paneHeight = Math.min(PANE_HEIGHT, MAX_PANES_HEIGHT / Math.max(this.subPanes.length, 1));
+        const panesHeight = paneHeight * this.subPanes.length;
+
+        // Comparison lines share the candles' band on the left scale
+        ['right', 'left'].forEach(id => this.chart.priceScale(id).applyOptions({
+            scaleMargins: {
+                top: 0.1,
+                bottom: panesHeight + 0.05
+            }
+        }));
+
+        this.subPanes.forEach((id, i) => {
+            const top = 1 - panesHeight + i * paneHeight;
+            this.chart.priceScale(id).applyOptions({
+                scaleMargins: {
+                    top: top + 0.02, // Leave a small gap above each pane
+                    bottom: Math.max(0, 1 - (top + paneHeight))
+                }
+            });
         });
     }
 
-    // Add line series
-    const lineSeries = chart.addLineSeries({
-        color: color,
-        lineWidth: 2,
-        title: `MA${period}`
-    });
+    /**
+     * Draw a computed indicator: price-pane indicators overlay the candles,
+     * oscillators get their own pane below them
+     * @param {Object} result - Indicator from computeIndicators ({ id, label, pane, lines })
+     * @param {Array<number>} times - Candle times the line values belong to
+     * @param {string} color - Line color as #rrggbb, secondary lines get a lighter shade
+     * @returns {Object} Handle for removeIndicator ({ series, paneId, result, color, latest })
+     */
+    addIndicator(result, times, color) {
+        // Numbered, the same indicator may be added twice
+        const paneId = result.pane === 'oscillator' ? `indicator-${++this.indicatorPaneCount}` : null;
+        const lineNames = Object.keys(result.lines);
+
+        const series = lineNames.map((name, i) => {
+            const options = {
+                priceScaleId: paneId ?? 'right',
+                color: i === 0 ? color : `${color}${SECONDARY_LINE_ALPHA}`,
+                priceLineVisible: false,
+                lastValueVisible: Boolean(paneId),
+                title: i === 0 ? result.id : name
+            };
+
+            // MACD's histogram reads better as bars
+            const lineSeries = name === 'histogram'
+                ? this.chart.addHistogramSeries({ ...options, color: 'rgba(183, 189, 198, 0.4)' })
+                : this.chart.addLineSeries({ ...options, lineWidth: paneId || i === 0 ? 2 : 1 });
+
+            lineSeries.setData(result.lines[name]
+                .map((value, j) => ({ time: times[j], value }))
+                .filter(point => point.value !== null));
+
+            return lineSeries;
+        });
 
-    lineSeries.setData(maData);
+        // Values shown in the legend while the crosshair is off the chart
+        const latest = lineNames.map(name => result.lines[name][result.lines[name].length - 1] ?? null);
 
-    return lineSeries;
-}
+        // Overbought and oversold guides
+        const guides = { rsi: [70, 30], stoch: [80, 20] }[result.name] || [];
 
-/**
- * Add exponential moving average
- * @param {Array} klines - Kline data
- * @param {number} period - EMA period
- * @param {string} color - Line color
- * @returns {Object} Line series
- */
-export function addExponentialMovingAverage(klines, period = 20, color = '#3861fb') {
-    if (!chart) {
-        console.error('Chart not initialized');
-        return null;
-    }
-
-    // Calculate EMA
-    const multiplier = 2 / (period + 1);
-    const emaData = [];
-
-    // Start with SMA for first value
-    let sum = 0;
-    for (let i = 0; i < period; i++) {
-        sum += klines[i].close;
-    }
-    let ema = sum / period;
-
-    emaData.push({
-        time: klines[period - 1].time,
-        value: ema
-    });
-
-    // Calculate EMA for remaining values
-    for (let i = period; i < klines.length; i++) {
-        ema = (klines[i].close - ema) * multiplier + ema;
-        emaData.push({
-            time: klines[i].time,
-            value: ema
+        guides.forEach(price => series[0].createPriceLine({
+            price,
+            color: '#474d57',
+            lineWidth: 1,
+            lineStyle: LightweightCharts.LineStyle.Dashed,
+            axisLabelVisible: false
+        }));
+
+        if (paneId) this.addPane(paneId);
+
+        const handle = { series, paneId, result, label: result.id, color, latest };
+        this.indicatorHandles.push(handle);
+        this.renderLegend();
+
+        return handle;
+    }
+
+    /**
+     * Remove an indicator drawn with addIndicator, and its pane
+     * @param {Object} handle - Handle returned by addIndicator
+     */
+    removeIndicator(handle) {
+        if (!handle) return;
+
+        handle.series.forEach(series => this.chart.removeSeries(series));
+        if (handle.paneId) this.removePane(handle.paneId);
+
+        this.indicatorHandles = this.indicatorHandles.filter(other => other !== handle);
+        this.renderLegend();
+    }
+
+    /**
+     * List every indicator with its values at the crosshair
+     * @param {Object} [param] - Crosshair move event, the latest values are shown without one
+     */
+    renderLegend(param) {
+        const atCrosshair = param && param.time !== undefined;
+
+        const entries = [...this.comparisonLines, ...this.indicatorHandles];
+
+        this.legend.innerHTML = '';
+        this.legend.classList.toggle('hidden', entries.length === 0);
+
+        entries.forEach(handle => {
+            const values = handle.series.map((series, i) => {
+                const value = atCrosshair ? param.seriesData.get(series)?.value : handle.latest[i];
+                return formatLegendValue(value, handle.unit);
+            });
+
+            const entry = document.createElement('div');
+            entry.className = 'chart-legend-entry';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'chart-legend-swatch';
+            swatch.style.background = handle.color;
+
+            const label = document.createElement('span');
+            label.className = 'chart-legend-label';
+            label.textContent = handle.label;
+
+            const value = document.createElement('span');
+            value.className = 'chart-legend-value';
+            value.textContent = values.join('  ');
+
+            entry.append(swatch, label, value);
+            this.legend.appendChild(entry);
         });
     }
 
-    // Add line series
-    const lineSeries = chart.addLineSeries({
-        color: color,
-        lineWidth: 2,
-        title: `EMA${period}`
-    });
+    /**
+     * Overlay pairs rebased to percent change on a left-hand scale
+     * @param {Object|null} comparison - Lines to draw ({ times, lines: [{ label, color, values }] }), or null to remove them
+     */
+    setComparison(comparison) {
+        this.comparisonLines.forEach(line => this.chart.removeSeries(line.series[0]));
+        this.comparisonLines = [];
+
+        this.chart.applyOptions({ leftPriceScale: { visible: Boolean(comparison), borderColor: '#2b3139' } });
+        this.legend.classList.toggle('beside-left-scale', Boolean(comparison));
+
+        if (comparison) {
+            this.comparisonLines = comparison.lines.map((line, i) => {
+                const series = this.chart.addLineSeries({
+                    priceScaleId: 'left',
+                    color: line.color,
+                    lineWidth: 2,
+                    priceLineVisible: false,
+                    title: line.label,
+                    priceFormat: { type: 'custom', formatter: formatPercent, minMove: 0.01 }
+                });
+
+                series.setData(line.values.map((value, j) => ({ time: comparison.times[j], value })));
+
+                // Every line crosses zero at the anchor candle
+                if (i === 0) {
+                    series.createPriceLine({
+                        price: 0,
+                        color: '#474d57',
+                        lineWidth: 1,
+                        lineStyle: LightweightCharts.LineStyle.Dashed,
+                        axisLabelVisible: false
+                    });
+                }
+
+                return { series: [series], label: line.label, color: line.color, latest: [line.values[line.values.length - 1]], unit: '%' };
+            });
 
-    lineSeries.setData(emaData);
+            this.layoutPanes();
+        }
 
-    return lineSeries;
-}
+        this.renderLegend();
+    }
 
-/**
- * Remove a series from the chart
- * @param {Object} series - Series to remove
- */
-export function removeSeries(series) {
-    if (chart && series) {
-        chart.removeSeries(series);
+    /**
+     * Remove a series from the chart
+     * @param {Object} series - Series to remove
+     */
+    removeSeries(series) {
+        if (series) {
+            this.chart.removeSeries(series);
+        }
+    }
+
+    /**
+     * Get the Lightweight Charts chart
+     * @returns {Object} Chart
+     */
+    getChart() {
+        return this.chart;
+    }
+
+    /**
+     * Get the price series (candles, bars, line or area)
+     * @returns {Object} Price series
+     */
+    getPriceSeries() {
+        return this.priceSeries;
     }
 }
 
 /**
- * Get the chart instance
- * @returns {Object} Chart instance
+ * Format a legend value: percentages with a sign and two decimals,
+ * anything else with six significant digits
+ * @param {number|null|undefined} value - Value, missing while warming up
+ * @param {string} [unit] - '%' for percentages
+ * @returns {string} Formatted value
  */
-export function getChart() {
-    return chart;
+function formatLegendValue(value, unit) {
+    if (value === null || value === undefined) return '—';
+    if (unit === '%') return formatPercent(value);
+    return Number(value.toPrecision(6)).toString();
 }
 
 /**
- * Get the candlestick series
- * @returns {Object} Candlestick series
+ * Format a percent change with its sign
+ * @param {number} value - Change in percent
+ * @returns {string} e.g. '+1.25%'
  */
-export function getCandlestickSeries() {
-    return candlestickSeries;
+function formatPercent(value) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
 }
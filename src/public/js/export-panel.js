@@ -0,0 +1,99 @@
+/**
+ * Export Panel Module
+ * Downloads the charted candles as CSV, JSON or NDJSON, optionally with the
+ * legs' candles and the drawn indicators as extra columns.
+ */
+
+import { getExportUrl } from './api.js';
+
+// DOM Elements
+const toggleBtn = document.getElementById('exportBtn');
+const panel = document.getElementById('exportPanel');
+const formatSelect = document.getElementById('exportFormat');
+const timezoneInput = document.getElementById('exportTimezone');
+const precisionSelect = document.getElementById('exportPrecision');
+const legsCheckbox = document.getElementById('exportLegs');
+const indicatorsCheckbox = document.getElementById('exportIndicators');
+const downloadBtn = document.getElementById('exportDownloadBtn');
+const status = document.getElementById('exportStatus');
+
+// State
+let getExportRequest = () => null;
+
+/**
+ * Wire up the panel
+ * @param {Object} options - Panel options
+ * @param {Function} options.getRequest - Returns what the chart shows
+ *   ({ coinA, coinB, interval, options, from, spec }), or null if nothing is loaded
+ */
+export function initExportPanel({ getRequest }) {
+    getExportRequest = getRequest;
+
+    // Dates default to the browser's timezone
+    timezoneInput.value = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+    toggleBtn.addEventListener('click', () => {
+        panel.classList.toggle('hidden');
+        toggleBtn.classList.toggle('active', !panel.classList.contains('hidden'));
+    });
+
+    downloadBtn.addEventListener('click', () => download());
+}
+
+/**
+ * Start the download of the charted candles
+ */
+function download() {
+    const request = getExportRequest();
+    const timezone = timezoneInput.value.trim() || 'UTC';
+
+    if (!request) {
+        status.textContent = 'Nothing to export yet';
+        return;
+    }
+
+    if (!isValidTimezone(timezone)) {
+        status.textContent = `Unknown timezone: ${timezone}`;
+        return;
+    }
+
+    // Formulas are priced from several pairs, there are no two legs to add
+    if (legsCheckbox.checked && request.options.formula) {
+        status.textContent = 'Leg columns are only available for pairs';
+        return;
+    }
+
+    const url = getExportUrl(request.coinA, request.coinB, request.interval, {
+        ...request.options,
+        from: request.from,
+        format: formatSelect.value,
+        timezone,
+        precision: precisionSelect.value,
+        legs: legsCheckbox.checked ? 'true' : undefined,
+        spec: indicatorsCheckbox.checked ? request.spec : undefined
+    });
+
+    // The server names the file, the link only starts the download
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    status.textContent = `Downloading ${formatSelect.value.toUpperCase()} from ${new Date(request.from * 1000).toLocaleString()}`;
+}
+
+/**
+ * Check whether the browser knows a timezone, as the server does
+ * @param {string} timezone - IANA timezone
+ * @returns {boolean} True if dates can be formatted in it
+ */
+function isValidTimezone(timezone) {
+    try {
+        Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
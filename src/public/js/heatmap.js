@@ -0,0 +1,167 @@
+/**
+ * Heatmap Module
+ * Correlation and cross-rate performance matrices of a coin set, drawn as
+ * a colored table. Clicking a cell opens that pair in the main chart.
+ */
+
+import { fetchCorrelation } from './api.js';
+
+// DOM Elements
+const toggleBtn = document.getElementById('heatmapBtn');
+const section = document.getElementById('heatmapSection');
+const coinsInput = document.getElementById('heatmapCoins');
+const intervalSelect = document.getElementById('heatmapInterval');
+const limitSelect = document.getElementById('heatmapLimit');
+const matrixSelect = document.getElementById('heatmapMatrix');
+const loadBtn = document.getElementById('heatmapLoadBtn');
+const status = document.getElementById('heatmapStatus');
+const grid = document.getElementById('heatmapGrid');
+
+// Cell colors at +1 and -1 (correlation) or at the largest gain and loss (performance)
+const POSITIVE_RGB = '14, 203, 129';
+const NEGATIVE_RGB = '246, 70, 93';
+
+// State
+let result = null;
+let getProviderId = () => undefined;
+let selectHandler = null;
+
+/**
+ * Wire up the heatmap view
+ * @param {Object} options - Heatmap options
+ * @param {Function} options.getProvider - Returns the provider id to load coins from
+ * @param {Function} options.onSelectPair - Called with (coinA, coinB) when a cell is clicked
+ */
+export function initHeatmap({ getProvider, onSelectPair }) {
+    getProviderId = getProvider;
+    selectHandler = onSelectPair;
+
+    toggleBtn.addEventListener('click', () => {
+        section.classList.toggle('hidden');
+        toggleBtn.classList.toggle('active', !section.classList.contains('hidden'));
+
+        // Load on first open
+        if (!section.classList.contains('hidden') && !result) loadHeatmap();
+    });
+
+    loadBtn.addEventListener('click', () => loadHeatmap());
+    coinsInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') loadHeatmap();
+    });
+
+    // Both matrices come with one response
+    matrixSelect.addEventListener('change', () => renderGrid());
+}
+
+/**
+ * Fetch the matrices of the listed coins
+ */
+async function loadHeatmap() {
+    const coins = coinsInput.value.toUpperCase().split(/[\s,]+/).filter(Boolean);
+
+    loadBtn.disabled = true;
+    status.textContent = `Loading ${coins.length} coins...`;
+
+    try {
+        result = await fetchCorrelation(coins, intervalSelect.value, parseInt(limitSelect.value), {
+            provider: getProviderId()
+        });
+
+        const span = `${new Date(result.from * 1000).toLocaleString()} – ${new Date(result.to * 1000).toLocaleString()}`;
+        const missing = result.missing.length > 0
+            ? ` · skipped ${result.missing.map(({ coin }) => coin).join(', ')}`
+            : '';
+
+        status.textContent = `${result.count} ${result.interval} candles in ${result.reference}, ${span}${missing}`;
+        status.title = result.missing.map(({ coin, error }) => `${coin}: ${error}`).join('\n');
+    } catch (error) {
+        result = null;
+        status.textContent = error.message;
+        status.title = '';
+    } finally {
+        loadBtn.disabled = false;
+    }
+
+    renderGrid();
+}
+
+/**
+ * Draw the selected matrix as a table
+ */
+function renderGrid() {
+    grid.innerHTML = '';
+    if (!result) return;
+
+    const isCorrelation = matrixSelect.value === 'correlation';
+    const matrix = isCorrelation ? result.correlation : result.performance;
+
+    // Performance colors scale with the largest move in the matrix
+    const scale = isCorrelation ? 1 : Math.max(...matrix.flat().map(Math.abs), 1e-9);
+
+    const table = document.createElement('table');
+    table.className = 'heatmap-table';
+
+    const header = table.insertRow();
+    header.appendChild(document.createElement('th'));
+    result.coins.forEach(coin => {
+        const th = document.createElement('th');
+        th.textContent = coin;
+        header.appendChild(th);
+    });
+
+    result.coins.forEach((rowCoin, i) => {
+        const row = table.insertRow();
+        const th = document.createElement('th');
+        th.textContent = rowCoin;
+        row.appendChild(th);
+
+        result.coins.forEach((colCoin, j) => {
+            const value = matrix[i][j];
+            const cell = row.insertCell();
+
+            cell.textContent = formatCell(value, isCorrelation);
+
+            if (i === j) {
+                cell.className = 'heatmap-diagonal';
+                return;
+            }
+
+            cell.style.background = getCellColor(value, scale);
+
+            cell.className = 'heatmap-cell';
+            cell.title = isCorrelation
+                ? `${rowCoin} vs ${colCoin}: correlation ${formatCell(value, true)} · click to chart ${rowCoin}/${colCoin}`
+                : `${rowCoin}/${colCoin}: ${formatCell(value, false)} · click to chart`;
+            cell.addEventListener('click', () => {
+                if (selectHandler) selectHandler(rowCoin, colCoin);
+            });
+        });
+    });
+
+    grid.appendChild(table);
+}
+
+/**
+ * Format a matrix value
+ * @param {number|null} value - Correlation, or percent change
+ * @param {boolean} isCorrelation - Whether the value is a correlation
+ * @returns {string} Formatted value
+ */
+function formatCell(value, isCorrelation) {
+    if (value === null) return '—';
+    if (isCorrelation) return value.toFixed(2);
+    return `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
+
+/**
+ * Background color of a cell, stronger the further the value is from zero
+ * @param {number|null} value - Matrix value
+ * @param {number} scale - Magnitude drawn at full strength
+ * @returns {string} CSS color
+ */
+function getCellColor(value, scale) {
+    if (value === null) return 'transparent';
+
+    const strength = Math.min(Math.abs(value) / scale, 1) * 0.75;
+    return `rgba(${value >= 0 ? POSITIVE_RGB : NEGATIVE_RGB}, ${strength.toFixed(3)})`;
+}
@@ -0,0 +1,332 @@
+/**
+ * Indicator Panel Module
+ * Lets the user add, remove, tune, recolor and hide chart indicators.
+ * Configurations are kept in localStorage: one global list, plus lists for
+ * pairs that were given their own. Pair lists don't depend on the provider
+ * or timeframe, so they survive switching either.
+ */
+
+import { INDICATORS, INDICATOR_SOURCES, parseIndicatorSpec } from '../shared/indicators.js';
+
+const STORAGE_KEY = 'crossPairChart.indicators';
+
+// Shown until the user saves a list of their own
+const DEFAULT_INDICATORS = [
+    { name: 'sma', params: { period: 20 }, source: 'close', color: '#f0b90b', visible: true },
+    { name: 'ema', params: { period: 50 }, source: 'close', color: '#3861fb', visible: true }
+];
+
+// Colors given to added indicators, in order
+const COLOR_PALETTE = ['#f0b90b', '#3861fb', '#c084fc', '#0ecb81', '#f6465d', '#22d3ee', '#fb923c', '#a3e635'];
+
+// DOM Elements
+const toggleBtn = document.getElementById('indicatorsBtn');
+const panel = document.getElementById('indicatorPanel');
+const pairLabel = document.getElementById('indicatorPair');
+const pairOnlyCheckbox = document.getElementById('indicatorPairOnly');
+const list = document.getElementById('indicatorList');
+const typeSelect = document.getElementById('indicatorType');
+const addBtn = document.getElementById('addIndicatorBtn');
+
+// State
+let settings = loadSettings(); // { global: [...], pairs: { key: [...] } }
+let pairKey = null;
+let changeHandler = null;
+
+/**
+ * Wire up the panel
+ * @param {Object} options - Panel options
+ * @param {Function} options.onChange - Called after any edit that changes what is drawn
+ */
+export function initIndicatorPanel({ onChange }) {
+    changeHandler = onChange;
+
+    typeSelect.innerHTML = Object.entries(INDICATORS).map(([name, definition]) =>
+        `<option value="${name}">${definition.label}</option>`
+    ).join('');
+
+    toggleBtn.addEventListener('click', () => {
+        panel.classList.toggle('hidden');
+        toggleBtn.classList.toggle('active', !panel.classList.contains('hidden'));
+    });
+
+    addBtn.addEventListener('click', () => {
+        const configs = getIndicatorConfigs();
+        const definition = INDICATORS[typeSelect.value];
+
+        configs.push({
+            name: typeSelect.value,
+            params: Object.fromEntries(definition.params),
+            source: 'close',
+            color: COLOR_PALETTE[configs.length % COLOR_PALETTE.length],
+            visible: true
+        });
+
+        saveConfigs(configs);
+        renderList();
+        notifyChange();
+    });
+
+    // Copying the global list makes a pair list, unticking falls back to the global one
+    pairOnlyCheckbox.addEventListener('change', () => {
+        if (pairOnlyCheckbox.checked) {
+            settings.pairs[pairKey] = cloneConfigs(settings.global ?? DEFAULT_INDICATORS);
+        } else {
+            delete settings.pairs[pairKey];
+        }
+
+        storeSettings();
+        renderList();
+        notifyChange();
+    });
+
+    renderList();
+}
+
+/**
+ * Switch the panel to the indicators of a pair
+ * @param {string} key - Pair key (e.g., 'BTC/ETH')
+ */
+export function setIndicatorPair(key) {
+    if (key === pairKey) return;
+
+    pairKey = key;
+    pairLabel.textContent = key;
+    renderList();
+}
+
+/**
+ * Get the indicator configurations in effect for a pair
+ * @param {string} [key] - Pair key, the panel's pair by default
+ * @returns {Array<Object>} Configurations ({ name, params, source, color, visible }), a copy
+ */
+export function getIndicatorConfigs(key = pairKey) {
+    return cloneConfigs(settings.pairs[key] ?? settings.global ?? DEFAULT_INDICATORS);
+}
+
+/**
+ * Show the indicators of a shared link as the current pair's own list
+ * Indicators already in the list keep their color, the global list is left alone
+ * @param {string} spec - Indicator spec (e.g., 'sma(20),rsi(14)')
+ * @returns {boolean} True if the list changed
+ */
+export function applyIndicatorSpec(spec) {
+    let parsed;
+
+    try {
+        parsed = parseIndicatorSpec(spec);
+    } catch (error) {
+        console.warn('Ignoring invalid indicators in link:', error.message);
+        return false;
+    }
+
+    const current = getIndicatorConfigs();
+    const shown = current.filter(config => config.visible).map(toIndicatorSpec).join(',');
+    if (parsed.map(toIndicatorSpec).join(',') === shown) return false;
+
+    settings.pairs[pairKey] = parsed.map(({ name, params, source }, i) => ({
+        name,
+        params,
+        source,
+        color: current.find(config => toIndicatorSpec(config) === toIndicatorSpec({ name, params, source }))?.color
+            ?? COLOR_PALETTE[i % COLOR_PALETTE.length],
+        visible: true
+    }));
+
+    storeSettings();
+    renderList();
+    return true;
+}
+
+/**
+ * Build the indicator spec of a configuration, e.g. `bb(20,2):hl2`
+ * @param {Object} config - Indicator configuration
+ * @returns {string} Spec accepted by parseIndicatorSpec
+ */
+export function toIndicatorSpec(config) {
+    const params = INDICATORS[config.name].params.map(([param]) => config.params[param]);
+    const args = params.length > 0 ? `(${params.join(',')})` : '';
+    const source = config.source && config.source !== 'close' ? `:${config.source}` : '';
+
+    return `${config.name}${args}${source}`;
+}
+
+/**
+ * Save configurations where the current pair reads them from
+ * @param {Array<Object>} configs - Indicator configurations
+ */
+function saveConfigs(configs) {
+    if (settings.pairs[pairKey]) {
+        settings.pairs[pairKey] = configs;
+    } else {
+        settings.global = configs;
+    }
+
+    storeSettings();
+}
+
+/**
+ * Render one row per indicator of the current pair
+ */
+function renderList() {
+    const configs = getIndicatorConfigs();
+    pairOnlyCheckbox.checked = Boolean(settings.pairs[pairKey]);
+
+    list.innerHTML = '';
+
+    if (configs.length === 0) {
+        list.innerHTML = '<div class="indicator-empty">No indicators</div>';
+        return;
+    }
+
+    configs.forEach((config, index) => list.appendChild(createRow(config, index)));
+}
+
+/**
+ * Create the row editing one indicator
+ * @param {Object} config - Indicator configuration
+ * @param {number} index - Position in the list
+ * @returns {HTMLElement} Row element
+ */
+function createRow(config, index) {
+    const definition = INDICATORS[config.name];
+    const row = document.createElement('div');
+    row.className = 'indicator-row';
+
+    const visible = document.createElement('input');
+    visible.type = 'checkbox';
+    visible.checked = config.visible;
+    visible.title = 'Show on chart';
+    visible.addEventListener('change', () => updateConfig(index, { visible: visible.checked }));
+
+    const label = document.createElement('span');
+    label.className = 'indicator-label';
+    label.textContent = definition.label;
+
+    row.append(visible, label);
+
+    definition.params.forEach(([param, , max]) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'indicator-param';
+        input.value = config.params[param];
+        input.title = param;
+        input.min = param === 'mult' ? '0.1' : '1';
+        input.max = String(max);
+        input.step = param === 'mult' ? '0.1' : '1';
+        input.addEventListener('change', () => {
+            const params = { ...getIndicatorConfigs()[index].params, [param]: Number(input.value) };
+            const valid = updateConfig(index, { params });
+            input.classList.toggle('invalid', !valid);
+        });
+        row.appendChild(input);
+    });
+
+    if (definition.usesSource) {
+        const source = document.createElement('select');
+        source.className = 'indicator-source';
+        source.title = 'Price the indicator is computed from';
+        source.innerHTML = Object.keys(INDICATOR_SOURCES).map(name =>
+            `<option value="${name}">${name}</option>`
+        ).join('');
+        source.value = config.source ?? 'close';
+        source.addEventListener('change', () => updateConfig(index, { source: source.value }));
+        row.appendChild(source);
+    }
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.className = 'indicator-color';
+    color.value = config.color;
+    color.title = 'Line color';
+    color.addEventListener('change', () => updateConfig(index, { color: color.value }));
+
+    const remove = document.createElement('button');
+    remove.className = 'indicator-remove';
+    remove.textContent = '✕';
+    remove.title = 'Remove';
+    remove.addEventListener('click', () => {
+        const configs = getIndicatorConfigs();
+        configs.splice(index, 1);
+        saveConfigs(configs);
+        renderList();
+        notifyChange();
+    });
+
+    row.append(color, remove);
+    return row;
+}
+
+/**
+ * Apply an edit to one indicator, if the result is a valid indicator
+ * @param {number} index - Position in the list
+ * @param {Object} changes - Fields to change
+ * @returns {boolean} True if the edit was saved
+ */
+function updateConfig(index, changes) {
+    const configs = getIndicatorConfigs();
+    const config = { ...configs[index], ...changes };
+
+    try {
+        parseIndicatorSpec(toIndicatorSpec(config));
+    } catch (error) {
+        console.warn('Invalid indicator:', error.message);
+        return false;
+    }
+
+    configs[index] = config;
+    saveConfigs(configs);
+    notifyChange();
+    return true;
+}
+
+/**
+ * Tell the app the drawn indicators changed
+ */
+function notifyChange() {
+    if (changeHandler) changeHandler();
+}
+
+/**
+ * Read saved settings, dropping indicators this version doesn't know
+ * @returns {Object} Settings ({ global, pairs })
+ */
+function loadSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        const known = configs => configs.filter(config => INDICATORS[config.name]);
+
+        return {
+            global: Array.isArray(saved.global) ? known(saved.global) : null,
+            pairs: Object.fromEntries(
+                Object.entries(saved.pairs || {})
+                    .filter(([, configs]) => Array.isArray(configs))
+                    .map(([key, configs]) => [key, known(configs)])
+            )
+        };
+    } catch (error) {
+        console.warn('Ignoring saved indicators:', error.message);
+        return { global: null, pairs: {} };
+    }
+}
+
+/**
+ * Write settings to localStorage
+ */
+function storeSettings() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        // Private browsing or a full quota, keep the settings for this session
+        console.warn('Could not save indicators:', error.message);
+    }
+}
+
+/**
+ * Deep-copy configurations
+ * @param {Array<Object>} configs - Indicator configurations
+ * @returns {Array<Object>} Copies
+ */
+function cloneConfigs(configs) {
+    return configs.map(config => ({ ...config, params: { ...config.params } }));
+}
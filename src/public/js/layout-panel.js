@@ -0,0 +1,161 @@
+/**
+ * Layout Panel Module
+ * Picks how many charts the workspace shows and whether they share the
+ * crosshair and time range. Workspaces are saved by name in localStorage,
+ * with every chart's settings, and opened again from the same panel.
+ */
+
+const STORAGE_KEY = 'crossPairChart.layouts';
+
+// Charts the workspace can show, laid out as 1, 2 side by side, 2×2 or 3×2
+const PANEL_COUNTS = [1, 2, 4, 6];
+
+// DOM Elements
+const toggleBtn = document.getElementById('layoutBtn');
+const panel = document.getElementById('layoutPanel');
+const countSelect = document.getElementById('layoutCount');
+const syncCrosshairCheckbox = document.getElementById('syncCrosshair');
+const syncTimeCheckbox = document.getElementById('syncTime');
+const savedSelect = document.getElementById('layoutSaved');
+const openBtn = document.getElementById('layoutOpenBtn');
+const deleteBtn = document.getElementById('layoutDeleteBtn');
+const nameInput = document.getElementById('layoutName');
+const saveBtn = document.getElementById('layoutSaveBtn');
+const status = document.getElementById('layoutStatus');
+
+// State
+let layouts = loadLayouts(); // Saved layouts by name ({ count, sync, active, panels })
+
+/**
+ * Wire up the panel
+ * @param {Object} options - Panel options
+ * @param {Function} options.onCountChange - Called with the number of charts to show
+ * @param {Function} options.onSyncChange - Called with what the charts share ({ crosshair, time })
+ * @param {Function} options.getLayout - Returns the workspace to save ({ count, sync, active, panels })
+ * @param {Function} options.onOpen - Called with a saved layout to open
+ */
+export function initLayoutPanel({ onCountChange, onSyncChange, getLayout, onOpen }) {
+    toggleBtn.addEventListener('click', () => {
+        panel.classList.toggle('hidden');
+        toggleBtn.classList.toggle('active', !panel.classList.contains('hidden'));
+    });
+
+    countSelect.addEventListener('change', () => onCountChange(Number(countSelect.value)));
+    syncCrosshairCheckbox.addEventListener('change', () => onSyncChange(getSyncSettings()));
+    syncTimeCheckbox.addEventListener('change', () => onSyncChange(getSyncSettings()));
+
+    // Saving under an existing name replaces that layout
+    saveBtn.addEventListener('click', () => {
+        const name = nameInput.value.trim() || savedSelect.value;
+
+        if (!name) {
+            status.textContent = 'Name the layout first';
+            return;
+        }
+
+        layouts[name] = getLayout();
+        storeLayouts();
+        renderSaved(name);
+        nameInput.value = '';
+        status.textContent = `Saved ${name}`;
+    });
+
+    openBtn.addEventListener('click', () => {
+        const layout = layouts[savedSelect.value];
+        if (!layout) return;
+
+        setLayoutControls(layout);
+        status.textContent = `Opened ${savedSelect.value}`;
+        onOpen(layout);
+    });
+
+    deleteBtn.addEventListener('click', () => {
+        const name = savedSelect.value;
+        if (!layouts[name]) return;
+
+        delete layouts[name];
+        storeLayouts();
+        renderSaved();
+        status.textContent = `Deleted ${name}`;
+    });
+
+    renderSaved();
+}
+
+/**
+ * Get what the charts share
+ * @returns {{crosshair: boolean, time: boolean}} Whether the crosshair and the time range are synced
+ */
+export function getSyncSettings() {
+    return {
+        crosshair: syncCrosshairCheckbox.checked,
+        time: syncTimeCheckbox.checked
+    };
+}
+
+/**
+ * Show a layout's chart count and sync settings
+ * @param {Object} layout - Layout ({ count, sync })
+ */
+function setLayoutControls({ count, sync }) {
+    countSelect.value = String(count);
+    syncCrosshairCheckbox.checked = sync.crosshair;
+    syncTimeCheckbox.checked = sync.time;
+}
+
+/**
+ * Fill the saved layout dropdown
+ * @param {string} [selected] - Name to select, the first one by default
+ */
+function renderSaved(selected) {
+    const names = Object.keys(layouts).sort((a, b) => a.localeCompare(b));
+
+    savedSelect.innerHTML = '';
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = `${name} (${layouts[name].count} chart${layouts[name].count === 1 ? '' : 's'})`;
+        savedSelect.appendChild(option);
+    });
+
+    if (selected) savedSelect.value = selected;
+
+    savedSelect.disabled = names.length === 0;
+    openBtn.disabled = names.length === 0;
+    deleteBtn.disabled = names.length === 0;
+}
+
+/**
+ * Read saved layouts, dropping any that aren't complete
+ * @returns {Object} Layouts by name
+ */
+function loadLayouts() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+
+        return Object.fromEntries(Object.entries(saved).filter(([, layout]) =>
+            PANEL_COUNTS.includes(layout?.count)
+            && Array.isArray(layout.panels)
+            && layout.panels.length === layout.count
+            && layout.panels.every(settings => settings && typeof settings === 'object')
+        ).map(([name, layout]) => [name, {
+            ...layout,
+            sync: { crosshair: Boolean(layout.sync?.crosshair), time: Boolean(layout.sync?.time) }
+        }]));
+    } catch (error) {
+        console.warn('Ignoring saved layouts:', error.message);
+        return {};
+    }
+}
+
+/**
+ * Write layouts to localStorage
+ */
+function storeLayouts() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(layouts));
+    } catch (error) {
+        // Private browsing or a full quota, keep the layouts for this session
+        console.warn('Could not save layouts:', error.message);
+    }
+}
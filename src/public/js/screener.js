@@ -0,0 +1,225 @@
+/**
+ * Screener Module
+ * Ranks every coin's synthetic pair in one quote coin as a sortable table.
+ * Sorting asks the server again, which ranks the whole scan without refetching it.
+ * Clicking a row opens that pair in the main chart.
+ */
+
+import { fetchScreener } from './api.js';
+
+// DOM Elements
+const toggleBtn = document.getElementById('screenerBtn');
+const section = document.getElementById('screenerSection');
+const quoteInput = document.getElementById('screenerQuote');
+const intervalSelect = document.getElementById('screenerInterval');
+const lookbackInput = document.getElementById('screenerLookback');
+const periodInput = document.getElementById('screenerPeriod');
+const breakoutSelect = document.getElementById('screenerBreakout');
+const topSelect = document.getElementById('screenerTop');
+const scanBtn = document.getElementById('screenerScanBtn');
+const status = document.getElementById('screenerStatus');
+const grid = document.getElementById('screenerGrid');
+
+// Table columns: sort key sent to the server (null if not sortable), header and cell formatter
+const COLUMNS = [
+    { key: null, label: 'Pair', format: row => row.pair },
+    { key: null, label: 'Close', format: row => formatPrice(row.close) },
+    { key: 'change', label: 'Change', format: row => formatPercent(row.change), signed: 'change' },
+    { key: 'volatility', label: 'Volatility', format: row => `${row.volatility.toFixed(2)}%` },
+    { key: 'maDistance', label: 'vs MA', format: row => formatPercent(row.maDistance), signed: 'maDistance' },
+    { key: 'rsi', label: 'RSI', format: row => (row.rsi === null ? '—' : row.rsi.toFixed(1)) },
+    { key: 'range', label: 'Range', format: formatRange },
+    { key: 'volume', label: 'Volume', format: row => formatVolume(row.volume) }
+];
+
+// State
+let result = null;
+let sort = { key: 'change', order: 'desc' };
+let getProviderId = () => undefined;
+let getQuoteCoin = () => 'USDT';
+let selectHandler = null;
+
+/**
+ * Wire up the screener view
+ * @param {Object} options - Screener options
+ * @param {Function} options.getProvider - Returns the provider id to scan
+ * @param {Function} options.getQuote - Returns the quote coin used until the user enters one
+ * @param {Function} options.onSelectPair - Called with (coinA, coinB) when a row is clicked
+ */
+export function initScreener({ getProvider, getQuote, onSelectPair }) {
+    getProviderId = getProvider;
+    getQuoteCoin = getQuote;
+    selectHandler = onSelectPair;
+
+    toggleBtn.addEventListener('click', () => {
+        section.classList.toggle('hidden');
+        toggleBtn.classList.toggle('active', !section.classList.contains('hidden'));
+
+        // Scan on first open, in the quote coin of the chart
+        if (!section.classList.contains('hidden') && !result) {
+            if (!quoteInput.value) quoteInput.value = getQuoteCoin();
+            loadScreener();
+        }
+    });
+
+    scanBtn.addEventListener('click', () => loadScreener());
+    quoteInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') loadScreener();
+    });
+
+    // Filters and sorting reuse the server's scan
+    breakoutSelect.addEventListener('change', () => loadScreener());
+    topSelect.addEventListener('change', () => loadScreener());
+}
+
+/**
+ * Fetch the ranked pairs with the current settings
+ */
+async function loadScreener() {
+    const quote = quoteInput.value.trim().toUpperCase() || getQuoteCoin();
+    quoteInput.value = quote;
+
+    scanBtn.disabled = true;
+    status.textContent = `Scanning pairs in ${quote}... the first scan of a quote coin can take a while`;
+    status.title = '';
+
+    try {
+        result = await fetchScreener(quote, intervalSelect.value, {
+            lookback: lookbackInput.value,
+            period: periodInput.value,
+            sort: sort.key,
+            order: sort.order,
+            top: topSelect.value,
+            breakout: breakoutSelect.value || undefined,
+            provider: getProviderId()
+        });
+
+        const notes = [
+            result.stopped,
+            result.truncated > 0 ? `${result.truncated} coins over the scan limit left out` : null,
+            result.skipped.length > 0 ? `skipped ${result.skipped.length}` : null
+        ].filter(Boolean);
+
+        status.textContent = `${result.count} of ${result.matched} pairs in ${result.quote}, `
+            + `${result.universe} scanned${notes.length > 0 ? ` · ${notes.join(' · ')}` : ''}`;
+        status.title = result.skipped.map(({ coin, error }) => `${coin}: ${error}`).join('\n');
+    } catch (error) {
+        result = null;
+        status.textContent = error.message;
+    } finally {
+        scanBtn.disabled = false;
+    }
+
+    renderTable();
+}
+
+/**
+ * Draw the ranked pairs as a table
+ */
+function renderTable() {
+    grid.innerHTML = '';
+    if (!result) return;
+
+    const table = document.createElement('table');
+    table.className = 'screener-table';
+
+    const header = table.insertRow();
+    COLUMNS.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column.label;
+
+        if (column.key) {
+            th.className = 'screener-sortable';
+            th.title = `Sort by ${column.label.toLowerCase()}`;
+
+            if (column.key === sort.key) {
+                th.classList.add('sorted');
+                th.textContent += sort.order === 'desc' ? ' ▼' : ' ▲';
+            }
+
+            th.addEventListener('click', () => sortBy(column.key));
+        }
+
+        header.appendChild(th);
+    });
+
+    result.rows.forEach(row => {
+        const tr = table.insertRow();
+        tr.className = 'screener-row';
+        tr.title = `${row.route} · click to chart ${row.pair}`;
+        tr.addEventListener('click', () => {
+            if (selectHandler) selectHandler(row.coin, result.quote);
+        });
+
+        COLUMNS.forEach(column => {
+            const cell = tr.insertCell();
+            cell.textContent = column.format(row);
+
+            if (column.signed) {
+                cell.classList.add(row[column.signed] >= 0 ? 'positive' : 'negative');
+            }
+        });
+    });
+
+    if (result.rows.length === 0) {
+        const cell = table.insertRow().insertCell();
+        cell.colSpan = COLUMNS.length;
+        cell.className = 'screener-empty';
+        cell.textContent = 'No pairs match';
+    }
+
+    grid.appendChild(table);
+}
+
+/**
+ * Sort by a column, flipping the order when it is already sorted by it
+ * @param {string} key - Sort key
+ */
+function sortBy(key) {
+    sort = key === sort.key
+        ? { key, order: sort.order === 'desc' ? 'asc' : 'desc' }
+        : { key, order: 'desc' };
+
+    loadScreener();
+}
+
+/**
+ * Format a percent change with its sign
+ * @param {number} value - Percent
+ * @returns {string} Formatted value
+ */
+function formatPercent(value) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+/**
+ * Format a price with enough significant digits for small cross rates
+ * @param {number} value - Price
+ * @returns {string} Formatted price
+ */
+function formatPrice(value) {
+    return value >= 1 ? value.toFixed(4) : value.toPrecision(4);
+}
+
+/**
+ * Format quote-coin volume compactly
+ * @param {number} value - Volume
+ * @returns {string} Formatted volume (e.g., '1.25M')
+ */
+function formatVolume(value) {
+    if (value >= 1e9) return `${(value / 1e9).toFixed(2)}B`;
+    if (value >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+    if (value >= 1e3) return `${(value / 1e3).toFixed(2)}K`;
+    return value.toFixed(2);
+}
+
+/**
+ * Format the close's position in the prior high-low range, flagging breakouts
+ * @param {Object} row - Screener row
+ * @returns {string} Formatted range position
+ */
+function formatRange(row) {
+    if (row.breakout === 'high') return '▲ new high';
+    if (row.breakout === 'low') return '▼ new low';
+    return row.range === null ? '—' : `${row.range.toFixed(0)}%`;
+}
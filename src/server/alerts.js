@@ -0,0 +1,820 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import axios from 'axios';
+import { fileURLToPath } from 'url';
+import market, { MAX_LIMIT } from './market.js';
+import recorder from './recorder.js';
+import { getProvider, hasPriceSource, PRICE_SOURCES } from './providers/index.js';
+import { isValidInterval, getIntervalSeconds } from '../shared/intervals.js';
+import { rollingZScore } from './statistics.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const ALERTS_DIR = path.join(DATA_DIR, 'alerts');
+const RULES_FILE = path.join(ALERTS_DIR, 'rules.json');
+const HISTORY_FILE = path.join(ALERTS_DIR, 'history.ndjson');
+
+const MAX_WEBHOOKS = 5; // Per alert
+const MAX_HISTORY = 1000; // Entries kept in memory and on disk
+const MAX_SINK_EVENTS = 100;
+const CLOSE_DELAY = 5000; // Wait after a candle closes so every leg has it upstream
+const WEBHOOK_TIMEOUT = 5000;
+const WEBHOOK_ATTEMPTS = 4;
+const WEBHOOK_RETRY_DELAY = 1000; // Doubled on every attempt
+const WEEK_OFFSET = 4 * 86400; // Weekly candles open on Monday, the epoch was a Thursday
+const MAX_WINDOW = MAX_LIMIT - 3; // Leaves room for the candle before and the one still forming in one fetch
+
+// Webhooks go to public hosts only, so a rule can't make the server call into its own network.
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked against the IPv4 ranges
+const ALLOW_PRIVATE_WEBHOOKS = process.env.ALERT_PRIVATE_WEBHOOKS === 'true';
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],   // Carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],  // Link-local, cloud metadata services
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],   // Benchmarking
+    ['224.0.0.0', 3, 'ipv4'],     // Multicast and reserved
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],        // Unique local
+    ['fe80::', 10, 'ipv6']        // Link-local
+].forEach(([address, prefix, family]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, family));
+
+export const MAX_ALERTS = 200;
+export const ALERT_METRICS = ['close', 'zscore'];
+export const ALERT_CONDITIONS = {
+    cross: ['above', 'below'],      // The metric crossed the value since the previous candle
+    threshold: ['above', 'below'],  // The metric is beyond the value
+    move: ['up', 'down', 'either']  // The close moved by at least `value` percent over `candles`
+};
+
+// Monthly candles don't have a fixed length, so their closes can't be scheduled
+const ALERT_INTERVALS = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w'];
+
+/**
+ * Alert Manager
+ * Evaluates alert rules on synthetic pairs every time a candle of their
+ * interval closes, and posts the alerts that fire to webhooks.
+ *
+ * Rules are kept in data/alerts/rules.json together with the candle each one
+ * last evaluated, so a restart doesn't fire the same candle twice. Fired
+ * alerts, with the outcome of every webhook delivery, are appended to
+ * data/alerts/history.ndjson. A sink endpoint collects deliveries in memory
+ * so webhooks can be tested without an outside service.
+ */
+class AlertManager {
+    constructor() {
+        // Rules keyed by id
+        this.rules = new Map();
+        this.history = [];
+        this.sinkEvents = [];
+
+        this.timer = null;
+        this.running = false;
+
+        // Writes of the rules file run one after another
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Load saved rules and history, then schedule the next evaluation
+     */
+    async init() {
+        try {
+            const rules = JSON.parse(await fs.readFile(RULES_FILE, 'utf8'));
+            rules.forEach(rule => this.rules.set(rule.id, rule));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error loading alert rules:', error.message);
+        }
+
+        try {
+            const lines = (await fs.readFile(HISTORY_FILE, 'utf8')).split('\n').filter(Boolean);
+            this.history = lines.slice(-MAX_HISTORY).map(line => JSON.parse(line));
+
+            // Trim the file once it holds more than twice what is kept
+            if (lines.length > MAX_HISTORY * 2) {
+                await fs.writeFile(`${HISTORY_FILE}.tmp`, this.history.map(entry => JSON.stringify(entry) + '\n').join(''));
+                await fs.rename(`${HISTORY_FILE}.tmp`, HISTORY_FILE);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error loading alert history:', error.message);
+        }
+
+        console.log(`✓ Loaded ${this.rules.size} alert rules`);
+        this.schedule();
+    }
+
+    /**
+     * List every rule
+     * @returns {Array<Object>} Rules, oldest first
+     */
+    list() {
+        return [...this.rules.values()];
+    }
+
+    /**
+     * Get a rule
+     * @param {string} id - Rule id
+     * @returns {Object|undefined} Rule
+     */
+    get(id) {
+        return this.rules.get(id);
+    }
+
+    /**
+     * Add a rule
+     * @param {Object} input - Rule fields, see parseAlertRule
+     * @returns {Promise<Object>} Saved rule
+     * @throws {Error} If the rule is invalid
+     */
+    async create(input) {
+        const fields = parseAlertRule(input);
+
+        const now = new Date().toISOString();
+        const rule = {
+            id: crypto.randomUUID(),
+            ...fields,
+            createdAt: now,
+            updatedAt: now,
+            lastCandle: null,
+            lastValue: null,
+            lastTriggered: null,
+            lastError: null
+        };
+
+        this.rules.set(rule.id, rule);
+        await this.saveRules();
+        this.schedule();
+
+        return rule;
+    }
+
+    /**
+     * Change some fields of a rule
+     * Changing what is evaluated starts the rule afresh on the next candle
+     * @param {string} id - Rule id
+     * @param {Object} input - Fields to change
+     * @returns {Promise<Object|undefined>} Updated rule, or undefined if there is no such rule
+     * @throws {Error} If the result is invalid
+     */
+    async update(id, input) {
+        const existing = this.rules.get(id);
+        if (!existing) return undefined;
+
+        const fields = parseAlertRule({ ...existing, ...input });
+
+        const instrumentChanged = ['coinA', 'coinB', 'bridge', 'interval', 'provider', 'priceSource']
+            .some(field => fields[field] !== existing[field]);
+
+        const rule = {
+            ...existing,
+            ...fields,
+            updatedAt: new Date().toISOString(),
+            ...(instrumentChanged ? { lastCandle: null, lastValue: null, lastError: null } : {})
+        };
+
+        this.rules.set(id, rule);
+        await this.saveRules();
+        this.schedule();
+
+        return rule;
+    }
+
+    /**
+     * Delete a rule, its history stays
+     * @param {string} id - Rule id
+     * @returns {Promise<boolean>} True if the rule existed
+     */
+    async delete(id) {
+        if (!this.rules.delete(id)) return false;
+
+        await this.saveRules();
+        this.schedule();
+
+        return true;
+    }
+
+    /**
+     * Get fired alerts, newest first
+     * @param {Object} [filter] - Optional filter
+     * @param {string} [filter.alertId] - Only this rule's alerts
+     * @param {number} [filter.limit] - Most entries returned (default: 100)
+     * @returns {Array<Object>} History entries
+     */
+    getHistory({ alertId, limit = 100 } = {}) {
+        return this.history
+            .filter(entry => !alertId || entry.alertId === alertId)
+            .slice(-limit)
+            .reverse();
+    }
+
+    /**
+     * Evaluate one rule now, against its latest closed candle
+     * Unlike scheduled runs this also re-checks a candle that was already evaluated;
+     * the cooldown still applies
+     * @param {string} id - Rule id
+     * @returns {Promise<Object|undefined>} Outcome, see evaluateRule, or undefined if there is no such rule
+     */
+    async evaluateNow(id) {
+        const rule = this.rules.get(id);
+        if (!rule) return undefined;
+
+        const klines = await this.fetchCandles([rule]);
+        const outcome = await this.evaluateRule(rule, klines);
+        await this.saveRules();
+
+        return outcome;
+    }
+
+    /**
+     * Evaluate every enabled rule whose interval closed a candle since it was last evaluated
+     */
+    async tick() {
+        if (this.running) {
+            console.warn('Alert evaluation still running, skipping this close');
+            return;
+        }
+
+        this.running = true;
+
+        try {
+            const due = this.list().filter(rule => rule.enabled && getLastClose(rule.interval) > (rule.lastCandle ?? 0));
+
+            // Rules on the same instrument share one fetch
+            const groups = new Map();
+            due.forEach(rule => {
+                const key = getInstrumentKey(rule);
+                groups.set(key, [...(groups.get(key) || []), rule]);
+            });
+
+            // One instrument at a time, so alerts don't crowd out chart requests
+            for (const rules of groups.values()) {
+                let klines;
+
+                try {
+                    klines = await this.fetchCandles(rules);
+                } catch (error) {
+                    rules.forEach(rule => {
+                        rule.lastError = error.message;
+                    });
+                    console.error(`Error evaluating alerts on ${rules[0].coinA}/${rules[0].coinB}:`, error.message);
+                    continue;
+                }
+
+                for (const rule of rules) {
+                    await this.evaluateRule(rule, klines, { skipEvaluated: true });
+                }
+            }
+
+            if (due.length > 0) await this.saveRules();
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Fetch fresh closed candles of the instrument a set of rules shares
+     * @param {Array<Object>} rules - Rules on the same instrument
+     * @returns {Promise<Array<Object>>} Closed synthetic klines, oldest first
+     */
+    async fetchCandles(rules) {
+        const { coinA, coinB, bridge, interval, provider, priceSource } = rules[0];
+        const source = getProvider(provider);
+        const now = source.now ? source.now() : recorder.now();
+        const intervalSeconds = getIntervalSeconds(interval);
+
+        // Enough for the longest rule, the candle before it and the one still forming
+        const limit = Math.max(...rules.map(getRequiredCandles)) + 2;
+
+        // The leg cache may still hold the last candle as it was while forming,
+        // topping up refetches it without dropping the closed candles charts share
+        const { klines } = await market.getSyntheticPair(coinA, coinB, interval, limit, {
+            bridge: bridge ?? undefined,
+            provider,
+            priceSource: priceSource !== 'last' ? priceSource : undefined,
+            topUp: true
+        });
+
+        return klines.filter(k => k.close !== undefined && k.time + intervalSeconds <= now);
+    }
+
+    /**
+     * Check a rule against closed candles, and fire it if its condition holds
+     * @param {Object} rule - Rule, its evaluation state is updated in place
+     * @param {Array<Object>} klines - Closed synthetic klines, oldest first
+     * @param {Object} [options] - Evaluation options
+     * @param {boolean} [options.skipEvaluated] - Skip a candle the rule already evaluated
+     * @returns {Promise<Object>} Outcome ({ time, value, previous, triggered, cooldown, entry })
+     */
+    async evaluateRule(rule, klines, { skipEvaluated = false } = {}) {
+        const candle = klines[klines.length - 1];
+
+        if (!candle) {
+            rule.lastError = 'No closed candles';
+            return { time: null, value: null, previous: null, triggered: false, cooldown: false, entry: null };
+        }
+
+        if (skipEvaluated && candle.time <= (rule.lastCandle ?? 0)) {
+            return { time: candle.time, value: rule.lastValue, previous: null, triggered: false, cooldown: false, entry: null };
+        }
+
+        const values = getMetricValues(rule, klines.map(k => k.close));
+        const { value, previous, triggered } = checkCondition(rule.condition, values);
+
+        rule.lastCandle = candle.time;
+        rule.lastValue = value;
+        rule.lastError = null;
+
+        const now = Math.floor(Date.now() / 1000);
+        const cooldown = triggered && rule.lastTriggered !== null && now - rule.lastTriggered < rule.cooldown;
+
+        if (!triggered || cooldown) {
+            return { time: candle.time, value, previous, triggered, cooldown, entry: null };
+        }
+
+        rule.lastTriggered = now;
+        const entry = await this.fire(rule, candle, value, previous);
+
+        return { time: candle.time, value, previous, triggered, cooldown, entry };
+    }
+
+    /**
+     * Deliver a fired alert to the rule's webhooks and log it
+     * @param {Object} rule - Rule that fired
+     * @param {Object} candle - Closed candle it fired on
+     * @param {number} value - Metric value on that candle
+     * @param {number|null} previous - Value the condition compared against
+     * @returns {Promise<Object>} History entry
+     */
+    async fire(rule, candle, value, previous) {
+        const payload = {
+            event: 'alert.triggered',
+            alert: { id: rule.id, name: rule.name },
+            pair: `${rule.coinA}/${rule.coinB}`,
+            interval: rule.interval,
+            provider: rule.provider,
+            metric: rule.metric,
+            condition: rule.condition,
+            value,
+            previous,
+            candle: { time: candle.time, open: candle.open, high: candle.high, low: candle.low, close: candle.close },
+            triggeredAt: new Date().toISOString()
+        };
+
+        console.log(`🔔 Alert ${rule.name}: ${rule.metric} ${formatValue(value)} on ${payload.pair} ${rule.interval}`);
+
+        const deliveries = await Promise.all(rule.webhooks.map(url => deliver(url, payload)));
+        const entry = { alertId: rule.id, ...payload, deliveries };
+
+        this.history.push(entry);
+        if (this.history.length > MAX_HISTORY) this.history.shift();
+
+        try {
+            await fs.mkdir(ALERTS_DIR, { recursive: true });
+            await fs.appendFile(HISTORY_FILE, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            console.error('Error saving alert history:', error.message);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Schedule the next evaluation at the soonest candle close of any enabled rule
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const intervals = new Set(this.list().filter(rule => rule.enabled).map(rule => rule.interval));
+        if (intervals.size === 0) return;
+
+        // The candle after the last closed one is forming, it closes one interval after it opened
+        const nextClose = Math.min(...[...intervals].map(interval => getLastClose(interval) + 2 * getIntervalSeconds(interval)));
+        const delay = nextClose * 1000 - Date.now() + CLOSE_DELAY;
+
+        this.timer = setTimeout(async () => {
+            try {
+                await this.tick();
+            } catch (error) {
+                console.error('Error evaluating alerts:', error.message);
+            }
+
+            this.schedule();
+        }, Math.max(delay, 0));
+        this.timer.unref();
+    }
+
+    /**
+     * Write every rule to disk
+     * @returns {Promise<void>} Resolves once this write is done
+     */
+    saveRules() {
+        const content = JSON.stringify(this.list(), null, 2);
+
+        this.writes = this.writes
+            .catch(() => {}) // An earlier failure shouldn't block later writes
+            .then(async () => {
+                // Write next to the file and rename, so a crash never leaves half a file
+                await fs.mkdir(ALERTS_DIR, { recursive: true });
+                await fs.writeFile(`${RULES_FILE}.tmp`, content);
+                await fs.rename(`${RULES_FILE}.tmp`, RULES_FILE);
+            });
+
+        return this.writes;
+    }
+
+    /**
+     * Record a request received by the local webhook sink
+     * @param {Object} body - Parsed request body
+     * @param {Object} headers - Request headers
+     */
+    receiveSinkEvent(body, headers) {
+        this.sinkEvents.push({
+            receivedAt: new Date().toISOString(),
+            userAgent: headers['user-agent'] || null,
+            body
+        });
+
+        if (this.sinkEvents.length > MAX_SINK_EVENTS) this.sinkEvents.shift();
+    }
+
+    /**
+     * Get the requests received by the local webhook sink, oldest first
+     * @returns {Array<Object>} Sink events ({ receivedAt, userAgent, body })
+     */
+    getSinkEvents() {
+        return [...this.sinkEvents];
+    }
+
+    /**
+     * Forget the requests received by the local webhook sink
+     */
+    clearSinkEvents() {
+        this.sinkEvents = [];
+    }
+
+    /**
+     * Get alert statistics
+     * @returns {Object} Rule counts and history size
+     */
+    getStats() {
+        const rules = this.list();
+
+        return {
+            rules: rules.length,
+            enabled: rules.filter(rule => rule.enabled).length,
+            failing: rules.filter(rule => rule.lastError).length,
+            history: this.history.length
+        };
+    }
+}
+
+/**
+ * Validate and normalize the fields of an alert rule
+ * @param {Object} input - Rule fields
+ * @param {string} input.coinA - Base coin
+ * @param {string} input.coinB - Quote coin
+ * @param {Object} input.condition - { type, direction, value, candles } with type 'cross', 'threshold' or 'move'
+ * @param {string} [input.interval] - Kline interval (default: '1h')
+ * @param {string} [input.metric] - 'close' (default) or 'zscore'
+ * @param {number} [input.window] - Z-score window (default: 50)
+ * @param {number} [input.cooldown] - Seconds after firing before the rule fires again (default: 0)
+ * @param {Array<string>} [input.webhooks] - URLs the alert is posted to
+ * @returns {Object} Normalized fields
+ * @throws {Error} If a field is invalid
+ */
+export function parseAlertRule(input) {
+    const coinA = String(input.coinA || '').toUpperCase();
+    const coinB = String(input.coinB || '').toUpperCase();
+    const bridge = input.bridge ? String(input.bridge).toUpperCase() : null;
+    const interval = input.interval || '1h';
+    const provider = getProvider(input.provider || undefined);
+    const priceSource = input.priceSource || 'last';
+    const metric = input.metric || 'close';
+
+    if (!coinA || !coinB) throw new Error('Missing required fields: coinA and coinB');
+    if (coinA === coinB) throw new Error('coinA and coinB must be different');
+
+    if (!isValidInterval(interval) || !ALERT_INTERVALS.includes(interval)
+        || (provider.intervals && !provider.intervals.includes(interval))) {
+        throw new Error(`Interval ${interval} can't be alerted on ${provider.name} (expected ${ALERT_INTERVALS.join(', ')})`);
+    }
+
+    if (!PRICE_SOURCES.includes(priceSource) || !hasPriceSource(provider, priceSource)) {
+        throw new Error(`Price source ${priceSource} is not available on ${provider.name}`);
+    }
+
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+        throw new Error('enabled must be true or false');
+    }
+
+    if (!ALERT_METRICS.includes(metric)) {
+        throw new Error(`Invalid metric: ${metric} (expected ${ALERT_METRICS.join(' or ')})`);
+    }
+
+    const window = metric === 'zscore' ? parseInteger(input.window ?? 50, 'window', 2, MAX_WINDOW) : null;
+    const condition = parseCondition(input.condition, metric);
+    const cooldown = parseInteger(input.cooldown ?? 0, 'cooldown', 0, 30 * 86400);
+    const webhooks = parseWebhooks(input.webhooks ?? []);
+
+    const name = input.name
+        ? String(input.name).slice(0, 100)
+        : `${coinA}/${coinB} ${interval} ${metric} ${describeCondition(condition)}`;
+
+    return {
+        name,
+        coinA,
+        coinB,
+        bridge,
+        interval,
+        provider: provider.id,
+        priceSource,
+        metric,
+        window,
+        condition,
+        cooldown,
+        webhooks,
+        enabled: input.enabled ?? true
+    };
+}
+
+/**
+ * Validate the condition of a rule
+ * @param {Object} condition - { type, direction, value, candles }
+ * @param {string} metric - Metric the condition applies to
+ * @returns {Object} Normalized condition
+ * @throws {Error} If the condition is invalid
+ */
+function parseCondition(condition, metric) {
+    if (!condition || typeof condition !== 'object') {
+        throw new Error('Missing required field: condition ({ type, direction, value })');
+    }
+
+    const { type, direction } = condition;
+    const value = Number(condition.value);
+
+    if (!Object.hasOwn(ALERT_CONDITIONS, type)) {
+        throw new Error(`Invalid condition type: ${type} (expected ${Object.keys(ALERT_CONDITIONS).join(', ')})`);
+    }
+
+    if (!ALERT_CONDITIONS[type].includes(direction)) {
+        throw new Error(`Invalid ${type} direction: ${direction} (expected ${ALERT_CONDITIONS[type].join(', ')})`);
+    }
+
+    if (condition.value === undefined || condition.value === null || !Number.isFinite(value)) {
+        throw new Error(`Invalid condition value: ${condition.value}`);
+    }
+
+    if (type !== 'move') {
+        return { type, direction, value };
+    }
+
+    // A percent move of a z-score around zero means nothing
+    if (metric !== 'close') {
+        throw new Error('move conditions only apply to the close');
+    }
+
+    if (value <= 0) {
+        throw new Error('A move condition needs a positive percent value');
+    }
+
+    return { type, direction, value, candles: parseInteger(condition.candles ?? 1, 'candles', 1, 500) };
+}
+
+/**
+ * Validate webhook URLs
+ * Hostnames are checked again when delivering, against the addresses they resolve to
+ * @param {Array<string>} webhooks - URLs
+ * @returns {Array<string>} URLs
+ * @throws {Error} If there are too many, or one isn't an http(s) URL of a public host
+ */
+function parseWebhooks(webhooks) {
+    if (!Array.isArray(webhooks) || webhooks.length > MAX_WEBHOOKS) {
+        throw new Error(`webhooks must be a list of at most ${MAX_WEBHOOKS} URLs`);
+    }
+
+    return webhooks.map(url => {
+        let parsed;
+
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw new Error(`Invalid webhook URL: ${url}`);
+        }
+
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new Error(`Invalid webhook URL: ${url} (expected http or https)`);
+        }
+
+        const host = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+        const isLocal = host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host));
+
+        if (isLocal && !ALLOW_PRIVATE_WEBHOOKS) {
+            throw new Error(`Invalid webhook URL: ${url} (local and private addresses need ALERT_PRIVATE_WEBHOOKS=true)`);
+        }
+
+        return parsed.toString();
+    });
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or reserved
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if webhooks may not be sent to it
+ */
+export function isPrivateAddress(address) {
+    return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a webhook host, refusing private addresses
+ * Used as the connection's lookup, so a hostname can't resolve to a public
+ * address when the rule is saved and to a private one when it fires
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - Called with (error, addresses)
+ */
+export function lookupPublic(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            const refused = new Error(`${hostname} resolves to a private address (${blocked.address})`);
+            refused.code = 'EPRIVATEHOST';
+            return callback(refused);
+        }
+
+        callback(null, addresses);
+    });
+}
+
+/**
+ * Parse an integer field within bounds
+ * @param {*} raw - Raw value
+ * @param {string} name - Field name used in the error
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number} Value
+ * @throws {Error} If the value isn't an integer in range
+ */
+function parseInteger(raw, name, min, max) {
+    const value = Number(raw);
+
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`Invalid ${name}: ${raw} (expected an integer from ${min} to ${max})`);
+    }
+
+    return value;
+}
+
+/**
+ * Check a condition on the latest value of a metric series
+ * @param {Object} condition - Normalized condition
+ * @param {Array<number|null>} values - Metric values, oldest first, ending with the latest closed candle
+ * @returns {{value: number|null, previous: number|null, triggered: boolean}} Latest value, the value it
+ *   was compared with (previous candle, or the start of a move) and whether the condition holds
+ */
+export function checkCondition(condition, values) {
+    const value = values[values.length - 1] ?? null;
+    const { type, direction } = condition;
+
+    if (type === 'move') {
+        const previous = values[values.length - 1 - condition.candles] ?? null;
+        if (value === null || !previous) return { value, previous, triggered: false };
+
+        const change = (value / previous - 1) * 100;
+        const triggered = direction === 'up' ? change >= condition.value
+            : direction === 'down' ? change <= -condition.value
+                : Math.abs(change) >= condition.value;
+
+        return { value, previous, triggered };
+    }
+
+    const previous = values[values.length - 2] ?? null;
+    if (value === null) return { value, previous, triggered: false };
+
+    const beyond = direction === 'above' ? value > condition.value : value < condition.value;
+
+    if (type === 'threshold') {
+        return { value, previous, triggered: beyond };
+    }
+
+    // A cross needs the previous candle on the other side (or touching the value)
+    const wasBeyond = previous === null
+        || (direction === 'above' ? previous > condition.value : previous < condition.value);
+
+    return { value, previous, triggered: beyond && !wasBeyond };
+}
+
+/**
+ * Compute the metric a rule watches
+ * @param {Object} rule - Rule
+ * @param {Array<number>} closes - Closes, oldest first
+ * @returns {Array<number|null>} Metric values
+ */
+function getMetricValues(rule, closes) {
+    if (rule.metric === 'zscore') {
+        return rollingZScore(closes.map(Math.log), rule.window);
+    }
+
+    return closes;
+}
+
+/**
+ * Closed candles a rule needs to evaluate its latest one
+ * @param {Object} rule - Rule
+ * @returns {number} Candles
+ */
+function getRequiredCandles(rule) {
+    const lookback = rule.condition.type === 'move' ? rule.condition.candles : 1;
+    return (rule.metric === 'zscore' ? rule.window : 1) + lookback;
+}
+
+/**
+ * Key of the instrument a rule is evaluated on
+ * @param {Object} rule - Rule
+ * @returns {string} Key
+ */
+function getInstrumentKey(rule) {
+    return [rule.provider, rule.priceSource, rule.coinA, rule.coinB, rule.bridge, rule.interval].join(':');
+}
+
+/**
+ * Open time of the latest candle of an interval that has closed by now
+ * @param {string} interval - Kline interval
+ * @returns {number} Open time in seconds
+ */
+function getLastClose(interval) {
+    const seconds = getIntervalSeconds(interval);
+    const offset = interval === '1w' ? WEEK_OFFSET : 0;
+    const now = Math.floor(Date.now() / 1000);
+
+    return Math.floor((now - offset) / seconds) * seconds + offset - seconds;
+}
+
+/**
+ * Post an alert to a webhook, retrying network errors, 429s and 5xx responses with backoff
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - Alert payload
+ * @returns {Promise<Object>} Delivery outcome ({ url, ok, status, attempts, error })
+ */
+async function deliver(url, payload) {
+    for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+        try {
+            const response = await axios.post(url, payload, {
+                timeout: WEBHOOK_TIMEOUT,
+                headers: { 'User-Agent': 'binance-cross-pair-chart-alerts' },
+                // A redirect could point anywhere, and private hosts are refused on connect
+                maxRedirects: 0,
+                lookup: ALLOW_PRIVATE_WEBHOOKS ? undefined : lookupPublic
+            });
+
+            return { url, ok: true, status: response.status, attempts: attempt, error: null };
+        } catch (error) {
+            const status = error.response?.status ?? null;
+
+            // Other client errors and refused hosts won't change on retry
+            const retryable = error.code !== 'EPRIVATEHOST' && (status === null || status === 429 || status >= 500);
+            if (!retryable || attempt === WEBHOOK_ATTEMPTS) {
+                console.error(`✗ Webhook ${url} failed after ${attempt} attempts: ${error.message}`);
+                return { url, ok: false, status, attempts: attempt, error: error.message };
+            }
+
+            await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAY * 2 ** (attempt - 1)));
+        }
+    }
+}
+
+/**
+ * Describe a condition for default rule names
+ * @param {Object} condition - Normalized condition
+ * @returns {string} Description (e.g., 'crosses above 0.052')
+ */
+function describeCondition(condition) {
+    if (condition.type === 'move') {
+        return `moves ${condition.direction} ${condition.value}% in ${condition.candles} candles`;
+    }
+
+    return `${condition.type === 'cross' ? 'crosses' : 'is'} ${condition.direction} ${condition.value}`;
+}
+
+/**
+ * Format a metric value for logs
+ * @param {number|null} value - Value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+    return value === null ? '—' : Number(value.toPrecision(6)).toString();
+}
+
+export default new AlertManager();
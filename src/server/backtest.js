@@ -0,0 +1,324 @@
+/**
+ * Backtest Engine
+ * Runs simple rules on synthetic pair candles. Rules decide on a candle's
+ * close and are filled at the next candle's open, so no rule sees a price
+ * before it could have traded on it.
+ *
+ * Going long A/B buys A and sells B; going short sells A and buys B. Equity
+ * is counted in B. Every entry and exit trades each market of the pair's
+ * route, so fees and slippage are charged once per leg.
+ */
+
+import { sma } from '../shared/indicators.js';
+import { rollingZScore } from './statistics.js';
+
+const YEAR_SECONDS = 365 * 86400; // Crypto trades every day, returns are annualized over 365 days
+
+/**
+ * Strategy catalogue: parameters with defaults and bounds, how many candles the
+ * rule needs before its first decision, and prepare(klines, params), which returns
+ * decide(i, position): the position wanted after candle i closes
+ * (1 long, -1 short, 0 flat, null to keep the current one)
+ */
+export const STRATEGIES = {
+    'ma-cross': {
+        label: 'MA crossover',
+        params: {
+            fast: { default: 10, min: 1, max: 500, integer: true },
+            slow: { default: 30, min: 2, max: 1000, integer: true }
+        },
+        check: ({ fast, slow }) => (fast < slow ? undefined : 'fast must be shorter than slow'),
+        lookback: ({ slow }) => slow,
+        prepare: (klines, { fast, slow }) => {
+            const closes = klines.map(k => k.close);
+            const fastMa = sma(closes, fast);
+            const slowMa = sma(closes, slow);
+
+            // Long while the fast average is above the slow one, short while below
+            return i => {
+                if (fastMa[i] === null || slowMa[i] === null) return null;
+                if (fastMa[i] > slowMa[i]) return 1;
+                if (fastMa[i] < slowMa[i]) return -1;
+                return null;
+            };
+        }
+    },
+    zscore: {
+        label: 'Z-score mean reversion',
+        params: {
+            window: { default: 50, min: 2, max: 1000, integer: true },
+            entry: { default: 2, min: 0.1, max: 10 },
+            exit: { default: 0.5, min: 0, max: 10 }
+        },
+        check: ({ entry, exit }) => (exit < entry ? undefined : 'exit must be below entry'),
+        lookback: ({ window }) => window,
+        prepare: (klines, { window, entry, exit }) => {
+            const zScores = rollingZScore(klines.map(k => Math.log(k.close)), window);
+
+            // Fade stretches of more than `entry` σ, close once back within `exit` σ
+            return (i, position) => {
+                const z = zScores[i];
+                if (z === null) return null;
+                if (z <= -entry) return 1;
+                if (z >= entry) return -1;
+                if (position !== 0 && Math.abs(z) <= exit) return 0;
+                return null;
+            };
+        }
+    },
+    breakout: {
+        label: 'Breakout',
+        params: {
+            period: { default: 20, min: 2, max: 1000, integer: true },
+            exit: { default: 10, min: 1, max: 1000, integer: true }
+        },
+        check: ({ period, exit }) => (exit <= period ? undefined : 'exit must not be longer than period'),
+        lookback: ({ period }) => period + 1,
+        prepare: (klines, { period, exit }) => {
+            const channel = (i, length) => {
+                const prior = klines.slice(Math.max(0, i - length), i);
+                return {
+                    high: Math.max(...prior.map(k => k.high)),
+                    low: Math.min(...prior.map(k => k.low))
+                };
+            };
+
+            // Enter on a close beyond the last `period` candles, leave on a close beyond the last `exit`
+            return (i, position) => {
+                if (i < period) return null;
+
+                const close = klines[i].close;
+                const entryChannel = channel(i, period);
+                if (close > entryChannel.high) return 1;
+                if (close < entryChannel.low) return -1;
+
+                const exitChannel = channel(i, exit);
+                if (position === 1 && close < exitChannel.low) return 0;
+                if (position === -1 && close > exitChannel.high) return 0;
+                return null;
+            };
+        }
+    }
+};
+
+export const BACKTEST_SIDES = ['both', 'long', 'short'];
+
+/**
+ * Describe every strategy for clients
+ * @returns {Array<Object>} Strategies ({ name, label, params: [{ name, default, min, max, integer }] })
+ */
+export function listStrategies() {
+    return Object.entries(STRATEGIES).map(([name, strategy]) => ({
+        name,
+        label: strategy.label,
+        params: Object.entries(strategy.params).map(([param, bounds]) => ({
+            name: param,
+            default: bounds.default,
+            min: bounds.min,
+            max: bounds.max,
+            integer: Boolean(bounds.integer)
+        }))
+    }));
+}
+
+/**
+ * Validate a strategy and its parameters
+ * @param {string} name - Strategy name (e.g., 'ma-cross')
+ * @param {Object} raw - Raw parameter values by name, missing ones take their default
+ * @returns {{name: string, label: string, params: Object}} Strategy with numeric params
+ * @throws {Error} If the strategy is unknown or a parameter is out of bounds
+ */
+export function parseStrategy(name, raw) {
+    const strategy = STRATEGIES[name];
+
+    if (!strategy) {
+        throw new Error(`Unknown strategy: ${name} (expected ${Object.keys(STRATEGIES).join(', ')})`);
+    }
+
+    const params = {};
+
+    Object.entries(strategy.params).forEach(([param, { default: fallback, min, max, integer }]) => {
+        const value = raw[param] === undefined || raw[param] === '' ? fallback : Number(raw[param]);
+
+        if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+            throw new Error(`Invalid ${name} ${param}: ${raw[param]} (expected ${integer ? 'an integer' : 'a number'} from ${min} to ${max})`);
+        }
+
+        params[param] = value;
+    });
+
+    const error = strategy.check(params);
+    if (error) throw new Error(`Invalid ${name} parameters: ${error}`);
+
+    return { name, label: strategy.label, params };
+}
+
+/**
+ * Candles a strategy needs before its first decision
+ * @param {Object} strategy - Parsed strategy
+ * @returns {number} Candles
+ */
+export function getStrategyWarmup(strategy) {
+    return STRATEGIES[strategy.name].lookback(strategy.params);
+}
+
+/**
+ * Run a strategy over priced candles
+ * @param {Array<Object>} klines - Priced synthetic klines, oldest first, warm-up candles included
+ * @param {Object} strategy - Parsed strategy
+ * @param {Object} options - Trading settings
+ * @param {number} options.start - Index of the first candle to trade, earlier ones only warm the rule up
+ * @param {Object} options.legs - Coins on each side of the pair ({ base, quote })
+ * @param {number} options.legCount - Markets traded per entry or exit (route legs)
+ * @param {string} [options.side] - 'both' (default), 'long' or 'short'
+ * @param {number} [options.size] - Position size in percent of equity (default: 100)
+ * @param {number} [options.fee] - Fee per leg and side in basis points (default: 10)
+ * @param {number} [options.slippage] - Slippage per leg and side in basis points (default: 5)
+ * @param {number} [options.capital] - Starting equity in the quote coin (default: 10000)
+ * @param {number} options.intervalSeconds - Candle duration, to annualize the Sharpe ratio
+ * @returns {{trades: Array<Object>, equity: Array<{time: number, value: number}>, stats: Object}}
+ *   Closed trades, equity at every candle close and summary statistics
+ */
+export function runBacktest(klines, strategy, options) {
+    const {
+        start, legs, legCount, side = 'both', size = 100, fee = 10, slippage = 5, capital = 10000, intervalSeconds
+    } = options;
+
+    const decide = STRATEGIES[strategy.name].prepare(klines, strategy.params);
+    const feeRate = fee * legCount / 10000;
+    const slipRate = slippage * legCount / 10000;
+
+    const trades = [];
+    const equity = [];
+    let cash = capital;
+    let position = null; // { side, units, entryTime, entryPrice, fees }
+    let pending = null; // Position wanted at the next open
+    let inMarket = 0;
+
+    const open = (direction, time, price) => {
+        const fill = price * (1 + direction * slipRate);
+        const notional = cash * size / 100;
+        const entryFee = notional * feeRate;
+
+        cash -= entryFee;
+        position = { side: direction, units: notional / fill, entryTime: time, entryPrice: fill, fees: entryFee };
+    };
+
+    const close = (time, price, reason) => {
+        const fill = price * (1 - position.side * slipRate);
+        const exitFee = position.units * fill * feeRate;
+        const gross = position.side * position.units * (fill - position.entryPrice);
+        const pnl = gross - position.fees - exitFee;
+
+        cash += gross - exitFee;
+        trades.push({
+            side: position.side === 1 ? 'long' : 'short',
+            // Long A/B holds A against B, short holds B against A
+            long: position.side === 1 ? legs.base : legs.quote,
+            short: position.side === 1 ? legs.quote : legs.base,
+            entryTime: position.entryTime,
+            entryPrice: position.entryPrice,
+            exitTime: time,
+            exitPrice: fill,
+            notional: position.units * position.entryPrice,
+            fees: position.fees + exitFee,
+            pnl,
+            returnPct: pnl / (position.units * position.entryPrice) * 100,
+            exitReason: reason
+        });
+        position = null;
+    };
+
+    for (let i = start; i < klines.length; i++) {
+        const kline = klines[i];
+
+        // Decisions made on the previous close are filled at this open
+        if (pending !== null) {
+            if (position && position.side !== pending) close(kline.time, kline.open, pending === 0 ? 'exit' : 'reverse');
+            if (!position && pending !== 0) open(pending, kline.time, kline.open);
+            pending = null;
+        }
+
+        const value = position ? cash + position.side * position.units * (kline.close - position.entryPrice) : cash;
+        if (position) inMarket++;
+
+        // A position that lost everything is closed and the run ends
+        if (value <= 0) {
+            close(kline.time, kline.close, 'bust');
+            equity.push({ time: kline.time, value: cash });
+            break;
+        }
+
+        equity.push({ time: kline.time, value });
+
+        const current = position ? position.side : 0;
+        let target = i < klines.length - 1 ? decide(i, current) : null;
+
+        if (target === 1 && side === 'short') target = 0;
+        if (target === -1 && side === 'long') target = 0;
+        if (target !== null && target !== current) pending = target;
+    }
+
+    // Close what is still open at the last close, so every trade is counted
+    if (position) {
+        const last = klines[klines.length - 1];
+        close(last.time, last.close, 'end');
+        equity[equity.length - 1].value = cash;
+    }
+
+    return {
+        trades,
+        equity,
+        stats: summarize(trades, equity, {
+            capital,
+            inMarket,
+            firstClose: klines[start]?.close,
+            lastClose: klines[klines.length - 1]?.close,
+            intervalSeconds
+        })
+    };
+}
+
+/**
+ * Summary statistics of a run
+ * @param {Array<Object>} trades - Closed trades
+ * @param {Array<{time: number, value: number}>} equity - Equity at every candle close
+ * @param {Object} context - Starting equity, candles in the market, first and last close, candle duration
+ * @returns {Object} Returns, drawdown, trade statistics and Sharpe ratio
+ */
+function summarize(trades, equity, { capital, inMarket, firstClose, lastClose, intervalSeconds }) {
+    const final = equity.length > 0 ? equity[equity.length - 1].value : capital;
+
+    let peak = capital;
+    let maxDrawdown = 0;
+    equity.forEach(({ value }) => {
+        peak = Math.max(peak, value);
+        maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak * 100);
+    });
+
+    const wins = trades.filter(trade => trade.pnl > 0);
+    const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+    const grossLoss = -trades.filter(trade => trade.pnl < 0).reduce((sum, trade) => sum + trade.pnl, 0);
+
+    // Per-candle returns, annualized by the number of candles in a year
+    const returns = equity.map(({ value }, i) => (value / (i === 0 ? capital : equity[i - 1].value)) - 1);
+    const average = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    const deviation = Math.sqrt(returns.reduce((sum, value) => sum + (value - average) ** 2, 0) / (returns.length - 1));
+
+    return {
+        capital,
+        finalEquity: final,
+        totalReturn: (final / capital - 1) * 100,
+        buyAndHold: firstClose ? (lastClose / firstClose - 1) * 100 : null,
+        maxDrawdown,
+        trades: trades.length,
+        winRate: trades.length > 0 ? wins.length / trades.length * 100 : null,
+        averageTrade: trades.length > 0 ? trades.reduce((sum, trade) => sum + trade.returnPct, 0) / trades.length : null,
+        profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+        fees: trades.reduce((sum, trade) => sum + trade.fees, 0),
+        exposure: equity.length > 0 ? inMarket / equity.length * 100 : 0,
+        sharpe: returns.length > 1 && deviation > 0
+            ? average / deviation * Math.sqrt(YEAR_SECONDS / intervalSeconds)
+            : null
+    };
+}
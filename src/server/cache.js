@@ -1,20 +1,35 @@
 import NodeCache from 'node-cache';
+import { getIntervalSeconds } from '../shared/intervals.js';
+
+const IDLE_LEG_TTL = 86400; // Drop leg candles nobody asked for in 24 hours
+const MAX_LEG_CANDLES = 100000; // Above this a leg's span shrinks to the last request
 
 /**
  * Cache Manager
- * Implements intelligent caching with timeframe-based TTL
+ * Stores candles per provider, leg symbol and interval, so every pair sharing a leg
+ * (BTC/ETH, ETH/BTC, BTC/SOL, ...) is derived from the same cached candles.
+ *
+ * Each leg keeps one contiguous span of open times it knows about. Requests
+ * inside the span are served from memory, requests next to it fetch only the
+ * missing edge, and candles that were still forming when fetched are topped
+ * up once they go stale.
  */
 class CacheManager {
     constructor() {
         this.cache = new NodeCache({
-            stdTTL: 300, // Default 5 minutes
-            checkperiod: 60, // Check for expired keys every 60s
+            stdTTL: IDLE_LEG_TTL,
+            checkperiod: 600, // Check for idle legs every 10 minutes
             useClones: false // Return references for better performance
         });
+
+        // Loads in progress keyed like the cache, later requests for a leg wait on them
+        this.pending = new Map();
+
+        this.counters = { hits: 0, topUps: 0, fetches: 0, coalesced: 0 };
     }
 
     /**
-     * Calculate appropriate TTL based on timeframe
+     * Calculate how long forming candles are served before being topped up
      * Shorter timeframes = shorter cache duration
      * @param {string} interval - Kline interval (e.g., '1m', '1h', '1d')
      * @returns {number} TTL in seconds
@@ -42,66 +57,154 @@ class CacheManager {
     }
 
     /**
-     * Generate cache key from parameters
-     * @param {string} coinA - Base coin
-     * @param {string} coinB - Quote coin
+     * Generate cache key for a leg
+     * @param {string} provider - Market-data provider id
+     * @param {string} symbol - Trading pair symbol (e.g., 'BTCUSDT')
      * @param {string} interval - Timeframe
-     * @returns {string} Cache key
+     * @returns {string} Cache key, e.g. binance:BTCUSDT_1h
      */
-    generateKey(coinA, coinB, interval) {
-        return `${coinA}_${coinB}_${interval}`;
+    generateKey(provider, symbol, interval) {
+        return `${provider}:${symbol.toUpperCase()}_${interval}`;
+    }
+
+    /**
+     * Get a leg's candles between two open times, fetching only what is missing
+     * Concurrent calls for the same leg run one after another, so the second
+     * caller is served from what the first one fetched
+     * @param {string} provider - Market-data provider id
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Timeframe
+     * @param {number} from - First open time in seconds
+     * @param {number} to - Last open time in seconds
+     * @param {Function} fetchRange - Fetches candles upstream: (from, to) => Promise<Array>
+     * @param {Object} [options] - Load options
+     * @param {boolean} [options.topUp] - Refetch candles that were still forming when cached, even while fresh
+     * @returns {Promise<Array>} Candles with open times in [from, to], oldest first
+     */
+    async getLegKlines(provider, symbol, interval, from, to, fetchRange, { topUp = false } = {}) {
+        const key = this.generateKey(provider, symbol, interval);
+        const previous = this.pending.get(key);
+
+        if (previous) this.counters.coalesced++;
+
+        const load = (previous || Promise.resolve())
+            .catch(() => {}) // A failed load shouldn't fail the callers queued behind it
+            .then(() => this.loadLeg(key, interval, from, to, fetchRange, topUp));
+
+        this.pending.set(key, load);
+
+        try {
+            return await load;
+        } finally {
+            // Only the last queued load clears the slot
+            if (this.pending.get(key) === load) this.pending.delete(key);
+        }
     }
 
     /**
-     * Get cached data
-     * @param {string} coinA - Base coin
-     * @param {string} coinB - Quote coin
+     * Serve a range from a leg's cached span, fetching and merging the missing parts
+     * @param {string} key - Leg cache key
      * @param {string} interval - Timeframe
-     * @returns {Array|undefined} Cached kline data or undefined
+     * @param {number} from - First open time in seconds
+     * @param {number} to - Last open time in seconds
+     * @param {Function} fetchRange - Fetches candles upstream: (from, to) => Promise<Array>
+     * @param {boolean} topUp - Refetch candles that were still forming when cached, even while fresh
+     * @returns {Promise<Array>} Candles with open times in [from, to]
      */
-    get(coinA, coinB, interval) {
-        const key = this.generateKey(coinA, coinB, interval);
-        const data = this.cache.get(key);
+    async loadLeg(key, interval, from, to, fetchRange, topUp) {
+        const now = Math.floor(Date.now() / 1000);
+        const intervalSeconds = getIntervalSeconds(interval);
+        let entry = this.cache.get(key);
+
+        // Nothing cached, or the cached span is too far away to extend
+        if (!entry || from > entry.to + intervalSeconds || to < entry.from - intervalSeconds) {
+            this.counters.fetches++;
+            console.log(`✗ Cache MISS: ${key} ${from}-${to}`);
+
+            entry = {
+                from,
+                to,
+                fetchedAt: now,
+                klines: await fetchRange(from, to)
+            };
+            this.cache.set(key, entry);
+
+            return sliceKlines(entry.klines, from, to);
+        }
 
-        if (data) {
-            console.log(`✓ Cache HIT: ${key}`);
+        const knownTo = this.getKnownTo(entry, interval, now, topUp);
+        const needsOlder = from < entry.from;
+        const needsNewer = to > knownTo;
+
+        if (needsOlder || needsNewer) {
+            // Fetch both edges before touching the entry, so a failure leaves it intact
+            const [older, newer] = await Promise.all([
+                needsOlder ? fetchRange(from, entry.from - 1) : [],
+                needsNewer ? fetchRange(knownTo + 1, to) : []
+            ]);
+
+            // Newer candles replace the ones that were still forming when cached
+            entry.klines = [
+                ...older.filter(k => k.time < entry.from),
+                ...(needsNewer ? entry.klines.filter(k => k.time <= knownTo) : entry.klines),
+                ...newer
+            ];
+            entry.from = Math.min(entry.from, from);
+
+            if (needsNewer) {
+                entry.to = to;
+                entry.fetchedAt = now;
+            }
+
+            this.counters.topUps++;
+            console.log(`✓ Cache TOP-UP: ${key} ${from}-${to}`);
+
+            // Long scroll-backs on low timeframes would otherwise grow without bound
+            if (entry.klines.length > MAX_LEG_CANDLES) {
+                entry.klines = sliceKlines(entry.klines, from, to);
+                entry.from = from;
+                entry.to = Math.min(entry.to, to);
+            }
         } else {
-            console.log(`✗ Cache MISS: ${key}`);
+            this.counters.hits++;
+            console.log(`✓ Cache HIT: ${key} ${from}-${to}`);
         }
 
-        return data;
+        // Reset the idle timer on every use
+        this.cache.set(key, entry);
+
+        return sliceKlines(entry.klines, from, to);
     }
 
     /**
-     * Store data in cache with dynamic TTL
-     * @param {string} coinA - Base coin
-     * @param {string} coinB - Quote coin
+     * Latest open time a leg's cached candles can be trusted up to
+     * While fresh, a span fetched up to "now" stays valid as time moves on.
+     * Once stale, or when topping up, only candles that had already closed when fetched are kept.
+     * @param {Object} entry - Cached leg ({ from, to, fetchedAt, klines })
      * @param {string} interval - Timeframe
-     * @param {Array} data - Kline data to cache
-     * @returns {boolean} Success status
+     * @param {number} now - Current time in seconds
+     * @param {boolean} [topUp] - Distrust forming candles even while fresh
+     * @returns {number} Open time in seconds
      */
-    set(coinA, coinB, interval, data) {
-        const key = this.generateKey(coinA, coinB, interval);
-        const ttl = this.getTTL(interval);
-
-        const success = this.cache.set(key, data, ttl);
+    getKnownTo(entry, interval, now, topUp = false) {
+        const reachedFetchTime = entry.to >= entry.fetchedAt;
 
-        if (success) {
-            console.log(`✓ Cached: ${key} (TTL: ${ttl}s)`);
+        if (!topUp && now - entry.fetchedAt < this.getTTL(interval)) {
+            return reachedFetchTime ? Math.max(entry.to, now) : entry.to;
         }
 
-        return success;
+        return Math.min(entry.to, entry.fetchedAt - getIntervalSeconds(interval));
     }
 
     /**
-     * Manually delete cached data
-     * @param {string} coinA - Base coin
-     * @param {string} coinB - Quote coin
+     * Drop a leg's cached candles, e.g. to force a refetch
+     * @param {string} provider - Market-data provider id
+     * @param {string} symbol - Trading pair symbol
      * @param {string} interval - Timeframe
      * @returns {number} Number of deleted entries
      */
-    delete(coinA, coinB, interval) {
-        const key = this.generateKey(coinA, coinB, interval);
+    delete(provider, symbol, interval) {
+        const key = this.generateKey(provider, symbol, interval);
         const deleted = this.cache.del(key);
 
         if (deleted > 0) {
@@ -121,11 +224,29 @@ class CacheManager {
 
     /**
      * Get cache statistics
-     * @returns {Object} Cache stats
+     * @returns {Object} Cached legs and candles plus hit, top-up, fetch and coalesced counts
      */
     getStats() {
-        return this.cache.getStats();
+        const legs = this.cache.keys();
+
+        return {
+            legs: legs.length,
+            candles: legs.reduce((sum, key) => sum + (this.cache.get(key)?.klines.length || 0), 0),
+            inFlight: this.pending.size,
+            ...this.counters
+        };
     }
 }
 
+/**
+ * Take the candles with open times in [from, to]
+ * @param {Array} klines - Candles, oldest first
+ * @param {number} from - First open time in seconds
+ * @param {number} to - Last open time in seconds
+ * @returns {Array} Matching candles
+ */
+function sliceKlines(klines, from, to) {
+    return klines.filter(k => k.time >= from && k.time <= to);
+}
+
 export default new CacheManager();
@@ -0,0 +1,242 @@
+/**
+ * Candle Export
+ * Lays synthetic candles, the raw candles of their legs and indicator lines
+ * out as one table, and writes it as CSV, JSON or NDJSON. Rows are
+ * serialized a batch at a time and the writer waits for the socket to
+ * drain, so a long range is never held in memory as one string.
+ */
+
+const BATCH_ROWS = 1000; // Rows serialized per socket write
+const LEG_FIELDS = ['open', 'high', 'low', 'close'];
+
+export const MAX_EXPORT_PRECISION = 12;
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Date formatters keyed by timezone, building one is slow
+const timeFormatters = new Map();
+
+/**
+ * Get the date formatter of a timezone
+ * @param {string} timezone - IANA timezone (e.g., 'Europe/Berlin')
+ * @returns {Intl.DateTimeFormat} Formatter with numeric parts
+ * @throws {RangeError} If the timezone is unknown
+ */
+function getTimeFormatter(timezone) {
+    if (!timeFormatters.has(timezone)) {
+        timeFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+
+    return timeFormatters.get(timezone);
+}
+
+/**
+ * Check whether a timezone is known to the runtime
+ * @param {string} timezone - IANA timezone (e.g., 'America/New_York')
+ * @returns {boolean} True if dates can be formatted in it
+ */
+export function isValidTimezone(timezone) {
+    try {
+        getTimeFormatter(timezone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Format a time as ISO 8601 in a timezone, with its UTC offset
+ * @param {number} seconds - Unix time in seconds
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Local time (e.g., '2024-01-01T01:00:00+01:00')
+ */
+export function formatTime(seconds, timezone) {
+    const parts = Object.fromEntries(
+        getTimeFormatter(timezone).formatToParts(new Date(seconds * 1000)).map(part => [part.type, part.value])
+    );
+
+    // The offset is how far the local wall clock is from UTC
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) / 1000;
+    const offset = Math.round((local - seconds) / 60);
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`
+        + `${offset < 0 ? '-' : '+'}${hours}:${minutes}`;
+}
+
+/**
+ * Build a download file name from the instrument and the exported span
+ * @param {string} name - Pair or formula (e.g., 'ETH/BTC')
+ * @param {string} interval - Kline interval
+ * @param {number} from - First candle time in seconds
+ * @param {number} to - Last candle time in seconds
+ * @param {string} format - Export format
+ * @returns {string} File name (e.g., 'ETH-BTC_1h_20231211-0500_20240101-0000.csv')
+ */
+export function getExportFilename(name, interval, from, to, format) {
+    const stamp = seconds => new Date(seconds * 1000).toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    const instrument = name.replace(/[^A-Za-z0-9._]+/g, '-').replace(/^-+|-+$/g, '');
+
+    return `${instrument}_${interval}_${stamp(from)}_${stamp(to)}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Lay candles out as a table
+ * Candles without prices (align=mark gaps) keep their row with empty values
+ * @param {Array<Object>} klines - Synthetic klines to export, oldest first
+ * @param {Object} options - Table settings
+ * @param {string} options.timezone - Timezone of the date column
+ * @param {Array<{symbol: string, klines: Array<Object>}>} [options.legs] - Raw leg candles, one column per leg field
+ * @param {Array<Object>} [options.indicators] - Results of computeIndicators, one column per line
+ * @param {Array<number>} [options.times] - Candle times the indicator values are aligned to
+ * @returns {{columns: Array<string>, rows: Function}} Column names, and a generator of value arrays
+ */
+export function buildExportTable(klines, { timezone, legs = [], indicators = [], times = [] }) {
+    const legMaps = legs.map(leg => new Map(leg.klines.map(k => [k.time, k])));
+    const timeIndex = new Map(times.map((time, i) => [time, i]));
+
+    // Single-line indicators are named by their id, others by id and line (e.g., 'macd(12,26,9).signal')
+    const lines = indicators.flatMap(result => {
+        const names = Object.keys(result.lines);
+        return names.map(line => ({
+            name: names.length === 1 ? result.id : `${result.id}.${line}`,
+            values: result.lines[line]
+        }));
+    });
+
+    const columns = [
+        'time', 'date', 'open', 'high', 'low', 'close', 'volume',
+        ...legs.flatMap(leg => LEG_FIELDS.map(field => `${leg.symbol}_${field}`)),
+        ...lines.map(line => line.name)
+    ];
+
+    function* rows() {
+        for (const kline of klines) {
+            const index = timeIndex.get(kline.time);
+
+            yield [
+                kline.time,
+                formatTime(kline.time, timezone),
+                kline.open ?? null,
+                kline.high ?? null,
+                kline.low ?? null,
+                kline.close ?? null,
+                kline.volume ?? null,
+                ...legMaps.flatMap(map => {
+                    const leg = map.get(kline.time);
+                    return LEG_FIELDS.map(field => leg?.[field] ?? null);
+                }),
+                ...lines.map(line => (index === undefined ? null : line.values[index] ?? null))
+            ];
+        }
+    }
+
+    return { columns, rows };
+}
+
+/**
+ * Escape a CSV field
+ * @param {*} value - Field value
+ * @returns {string} Field, quoted if it holds a separator, quote or line break
+ */
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Round the numbers of a row, leaving the time column exact
+ * @param {Array} values - Row values
+ * @param {number|undefined} precision - Decimal places, undefined to keep full precision
+ * @returns {Array} Rounded values
+ */
+function roundRow(values, precision) {
+    if (precision === undefined) return values;
+
+    return values.map((value, i) => (i > 0 && typeof value === 'number' ? Number(value.toFixed(precision)) : value));
+}
+
+/**
+ * Write a table as a download, a batch of rows at a time
+ * Stops early if the client goes away
+ * @param {Object} res - Express response
+ * @param {Object} options - Export settings
+ * @param {string} options.format - 'csv', 'json' or 'ndjson'
+ * @param {string} options.filename - Download file name
+ * @param {Array<string>} options.columns - Column names
+ * @param {Function} options.rows - Generator of value arrays
+ * @param {number} [options.precision] - Decimal places of every number but the time
+ * @param {Object} [options.meta] - Fields written before the rows of a JSON export
+ * @returns {Promise<number>} Rows written
+ */
+export async function writeExport(res, { format, filename, columns, rows, precision, meta = {} }) {
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    const toObject = values => Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+    const serialize = {
+        csv: values => `${values.map(toCsvField).join(',')}\r\n`,
+        json: (values, i) => `${i === 0 ? '' : ','}\n${JSON.stringify(toObject(values))}`,
+        ndjson: values => `${JSON.stringify(toObject(values))}\n`
+    }[format];
+
+    if (format === 'csv') await write(res, `${columns.map(toCsvField).join(',')}\r\n`);
+    if (format === 'json') await write(res, `${JSON.stringify({ ...meta, columns }).slice(0, -1)},"rows":[`);
+
+    let count = 0;
+    let batch = '';
+
+    for (const values of rows()) {
+        if (res.destroyed) return count;
+
+        batch += serialize(roundRow(values, precision), count);
+        count++;
+
+        if (count % BATCH_ROWS === 0) {
+            await write(res, batch);
+            batch = '';
+        }
+    }
+
+    await write(res, format === 'json' ? `${batch}\n]}\n` : batch);
+    res.end();
+    return count;
+}
+
+/**
+ * Write a chunk, waiting for the socket to drain when its buffer is full
+ * @param {Object} res - Express response
+ * @param {string} chunk - Data to write
+ * @returns {Promise<void>} Resolves once more data may be written, or the client is gone
+ */
+function write(res, chunk) {
+    if (res.destroyed || chunk === '' || res.write(chunk)) return Promise.resolve();
+
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
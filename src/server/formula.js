@@ -0,0 +1,345 @@
+/**
+ * Formula Instruments
+ * Parses expressions such as `(BTC+ETH)/2 / SOL` or `ETH - 0.055*BTC`
+ * and evaluates them over aligned candles of every referenced asset
+ *
+ * Grammar:
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/') unary)*
+ *   unary      := '-' unary | primary
+ *   primary    := number | asset | '(' expression ')'
+ */
+
+const MAX_FORMULA_LENGTH = 200;
+export const MAX_FORMULA_ASSETS = 12;
+
+/**
+ * Split a formula into tokens
+ * @param {string} source - Formula text
+ * @returns {Array<Object>} Tokens ({ type, value, position })
+ * @throws {Error} On unexpected characters
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if ('+-*/()'.includes(char)) {
+            tokens.push({ type: char, value: char, position: i });
+            i++;
+            continue;
+        }
+
+        // Numbers and asset names share a run of letters, digits and dots,
+        // so tickers like 1INCH or 1000SATS tokenize as assets
+        const match = /^[A-Za-z0-9.]+/.exec(source.slice(i));
+        if (!match) {
+            throw new Error(`Unexpected character '${char}' at position ${i}`);
+        }
+
+        const text = match[0];
+
+        if (/^(\d+\.?\d*|\.\d+)$/.test(text)) {
+            tokens.push({ type: 'number', value: parseFloat(text), position: i });
+        } else if (/^[A-Za-z0-9]+$/.test(text)) {
+            tokens.push({ type: 'asset', value: text.toUpperCase(), position: i });
+        } else {
+            throw new Error(`Invalid token '${text}' at position ${i}`);
+        }
+
+        i += text.length;
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a formula into an expression tree
+ * @param {string} source - Formula text
+ * @returns {Object} Expression tree
+ * @throws {Error} On syntax errors
+ */
+export function parseFormula(source) {
+    if (!source || !source.trim()) {
+        throw new Error('Formula is empty');
+    }
+
+    if (source.length > MAX_FORMULA_LENGTH) {
+        throw new Error(`Formula is longer than ${MAX_FORMULA_LENGTH} characters`);
+    }
+
+    const tokens = tokenize(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const describe = (token) => (token ? `'${token.value}' at position ${token.position}` : 'end of formula');
+
+    function expect(type) {
+        const token = tokens[index];
+        if (!token || token.type !== type) {
+            throw new Error(`Expected '${type}' but found ${describe(token)}`);
+        }
+        index++;
+        return token;
+    }
+
+    function parseExpression() {
+        let node = parseTerm();
+
+        while (peek() && (peek().type === '+' || peek().type === '-')) {
+            const op = tokens[index++].type;
+            node = { type: 'binary', op, left: node, right: parseTerm() };
+        }
+
+        return node;
+    }
+
+    function parseTerm() {
+        let node = parseUnary();
+
+        while (peek() && (peek().type === '*' || peek().type === '/')) {
+            const op = tokens[index++].type;
+            node = { type: 'binary', op, left: node, right: parseUnary() };
+        }
+
+        return node;
+    }
+
+    function parseUnary() {
+        if (peek() && peek().type === '-') {
+            index++;
+            return { type: 'negate', operand: parseUnary() };
+        }
+
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = peek();
+
+        if (!token) {
+            throw new Error('Unexpected end of formula');
+        }
+
+        if (token.type === 'number') {
+            index++;
+            return { type: 'number', value: token.value };
+        }
+
+        if (token.type === 'asset') {
+            index++;
+            return { type: 'asset', symbol: token.value };
+        }
+
+        if (token.type === '(') {
+            index++;
+            const node = parseExpression();
+            expect(')');
+            return node;
+        }
+
+        throw new Error(`Unexpected ${describe(token)}`);
+    }
+
+    const tree = parseExpression();
+
+    if (index < tokens.length) {
+        throw new Error(`Unexpected ${describe(tokens[index])}`);
+    }
+
+    const assets = getAssets(tree);
+
+    if (assets.length === 0) {
+        throw new Error('Formula must reference at least one asset');
+    }
+
+    if (assets.length > MAX_FORMULA_ASSETS) {
+        throw new Error(`Formula references more than ${MAX_FORMULA_ASSETS} assets`);
+    }
+
+    return tree;
+}
+
+/**
+ * List the unique assets referenced by an expression tree
+ * @param {Object} node - Expression tree
+ * @returns {Array<string>} Asset symbols in order of first appearance
+ */
+export function getAssets(node) {
+    const assets = new Set();
+
+    const visit = (n) => {
+        if (n.type === 'asset') assets.add(n.symbol);
+        if (n.type === 'binary') {
+            visit(n.left);
+            visit(n.right);
+        }
+        if (n.type === 'negate') visit(n.operand);
+    };
+
+    visit(node);
+    return [...assets];
+}
+
+/**
+ * Replace every reference to an asset with a constant
+ * Used to turn the quote asset itself into 1
+ * @param {Object} node - Expression tree
+ * @param {string} symbol - Asset to replace
+ * @param {number} value - Constant to substitute
+ * @returns {Object} New expression tree
+ */
+export function substituteAsset(node, symbol, value) {
+    switch (node.type) {
+        case 'asset':
+            return node.symbol === symbol ? { type: 'number', value } : node;
+        case 'negate':
+            return { ...node, operand: substituteAsset(node.operand, symbol, value) };
+        case 'binary':
+            return {
+                ...node,
+                left: substituteAsset(node.left, symbol, value),
+                right: substituteAsset(node.right, symbol, value)
+            };
+        default:
+            return node;
+    }
+}
+
+/**
+ * Render an expression tree back to canonical text
+ * Used for display and as a stable cache key
+ * @param {Object} node - Expression tree
+ * @returns {string} Canonical formula
+ */
+export function formatFormula(node) {
+    switch (node.type) {
+        case 'number':
+            return String(node.value);
+        case 'asset':
+            return node.symbol;
+        case 'negate':
+            return `-${wrap(node.operand)}`;
+        default:
+            return `${wrap(node.left)}${node.op}${wrap(node.right)}`;
+    }
+}
+
+function wrap(node) {
+    return node.type === 'binary' ? `(${formatFormula(node)})` : formatFormula(node);
+}
+
+/**
+ * Evaluate an expression at a single point
+ * @param {Object} node - Expression tree
+ * @param {Function} valueOf - Returns the price of an asset
+ * @returns {number} Result
+ */
+function evaluatePoint(node, valueOf) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'asset':
+            return valueOf(node.symbol);
+        case 'negate':
+            return -evaluatePoint(node.operand, valueOf);
+    }
+
+    const left = evaluatePoint(node.left, valueOf);
+    const right = evaluatePoint(node.right, valueOf);
+
+    switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        default: return left / right;
+    }
+}
+
+/**
+ * Evaluate an expression with interval arithmetic over each asset's [low, high]
+ * The result bounds every value the expression could have taken in the candle
+ * @param {Object} node - Expression tree
+ * @param {Function} rangeOf - Returns [low, high] for an asset
+ * @returns {Array<number>} [low, high], or [NaN, NaN] when dividing by a range containing zero
+ */
+function evaluateRange(node, rangeOf) {
+    switch (node.type) {
+        case 'number':
+            return [node.value, node.value];
+        case 'asset':
+            return rangeOf(node.symbol);
+        case 'negate': {
+            const [lo, hi] = evaluateRange(node.operand, rangeOf);
+            return [-hi, -lo];
+        }
+    }
+
+    const [aLo, aHi] = evaluateRange(node.left, rangeOf);
+    const [bLo, bHi] = evaluateRange(node.right, rangeOf);
+
+    switch (node.op) {
+        case '+':
+            return [aLo + bLo, aHi + bHi];
+        case '-':
+            return [aLo - bHi, aHi - bLo];
+        case '*': {
+            const products = [aLo * bLo, aLo * bHi, aHi * bLo, aHi * bHi];
+            return [Math.min(...products), Math.max(...products)];
+        }
+        default: {
+            if (bLo <= 0 && bHi >= 0) return [NaN, NaN];
+            const quotients = [aLo / bLo, aLo / bHi, aHi / bLo, aHi / bHi];
+            return [Math.min(...quotients), Math.max(...quotients)];
+        }
+    }
+}
+
+/**
+ * Evaluate a formula over aligned asset candles
+ * Open and close are evaluated point-wise, high and low come from interval
+ * arithmetic and are widened to contain open and close
+ * @param {Object} tree - Expression tree from parseFormula
+ * @param {Object<string, Array>} assetKlines - Kline series keyed by asset symbol
+ * @returns {Array<Object>} Formula kline series (timestamps present in every asset)
+ */
+export function evaluateFormula(tree, assetKlines) {
+    const assets = Object.keys(assetKlines);
+    const maps = Object.fromEntries(assets.map(asset => [
+        asset,
+        new Map(assetKlines[asset].map(k => [k.time, k]))
+    ]));
+
+    // Only timestamps available in every asset can be evaluated
+    const [firstAsset] = assets;
+    const times = assetKlines[firstAsset]
+        .map(k => k.time)
+        .filter(time => assets.every(asset => maps[asset].has(time)));
+
+    return times
+        .map(time => {
+            const candle = (asset) => maps[asset].get(time);
+
+            const open = evaluatePoint(tree, asset => candle(asset).open);
+            const close = evaluatePoint(tree, asset => candle(asset).close);
+            const [low, high] = evaluateRange(tree, asset => [candle(asset).low, candle(asset).high]);
+
+            if (![open, close, low, high].every(Number.isFinite)) return null;
+
+            return {
+                time,
+                open,
+                high: Math.max(high, open, close),
+                low: Math.min(low, open, close),
+                close
+            };
+        })
+        .filter(k => k !== null);
+}
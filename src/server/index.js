@@ -1,20 +1,410 @@
 import express from 'express';
 import cors from 'cors';
 import path from 'path';
+import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { registerPort } from '../../lib/port-manager/src/index.js';
-import binanceAPI from './binance.js';
+import market, { BASIS_PROVIDERS, MIN_STATS_CANDLES, MAX_LIMIT } from './market.js';
+import screener, { MAX_SCREENER_COINS, SCREENER_SORTS, SCREENER_BREAKOUTS } from './screener.js';
+import alerts, { parseAlertRule, MAX_ALERTS } from './alerts.js';
+import { parseStrategy, getStrategyWarmup, runBacktest, listStrategies, BACKTEST_SIDES } from './backtest.js';
+import { renderChartPage } from './page.js';
+import { buildExportTable, writeExport, getExportFilename, isValidTimezone, EXPORT_FORMATS, MAX_EXPORT_PRECISION } from './export.js';
 import cache from './cache.js';
+import store from './store.js';
+import { getProvider, listProviders, getQueueStats, hasPriceSource, DEFAULT_PROVIDER, PRICE_SOURCES } from './providers/index.js';
+import streams from './stream.js';
+import recorder from './recorder.js';
+import { estimateCandles, getIntervalSeconds, getWickSubInterval, isValidInterval } from '../shared/intervals.js';
+import { DEFAULT_BRIDGES } from './routing.js';
+import { parseFormula } from './formula.js';
+import { getVolumeUnits, ALIGNMENT_POLICIES } from './synthetic.js';
+import { parseIndicatorSpec, computeIndicators, getWarmup } from '../shared/indicators.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 
+const MAX_RANGE_CANDLES = 50000; // Upper bound on candles per leg for date-range requests
+const MAX_COMPARE_PAIRS = 8; // Most pairs one comparison overlays
+const MAX_STATS_WINDOW = 1000; // Longest rolling window of pair statistics
+const MAX_ADF_LAGS = 24; // Most lagged differences in the cointegration test
+const MAX_CORRELATION_COINS = 30; // Most coins in one correlation matrix
+const MAX_SCREENER_LOOKBACK = 500; // Longest change window and moving average of the screener
+const WICK_MODES = ['fast', 'accurate'];
+
 // Middleware
 app.use(cors());
 app.use(express.json());
+
+// Shared links get a title and Open Graph tags describing their chart
+app.get(['/', '/index.html'], async (req, res, next) => {
+    try {
+        const html = await fs.readFile(path.join(__dirname, '../public/index.html'), 'utf8');
+        const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+        res.type('html').send(renderChartPage(html, req.query, url, listProviders()));
+    } catch (error) {
+        // The plain page still works, the browser restores the chart from the URL
+        console.error('Could not render chart page:', error.message);
+        next();
+    }
+});
+
 app.use(express.static(path.join(__dirname, '../public')));
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
+
+/**
+ * Parse a time parameter given as unix seconds or a date string
+ * @param {string|number|undefined} value - Raw query/body value
+ * @returns {number|undefined} Unix time in seconds, or undefined if missing
+ * @throws {Error} If the value cannot be parsed
+ */
+function parseTime(value) {
+    if (value === undefined || value === '') return undefined;
+
+    const time = /^\d+$/.test(String(value))
+        ? parseInt(value)
+        : Math.floor(Date.parse(value) / 1000);
+
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid time: ${value}`);
+    }
+
+    return time;
+}
+
+/**
+ * Parse and validate a from/to range
+ * @param {Object} params - Request params with optional from/to
+ * @param {string} interval - Kline interval
+ * @returns {{range: Object, error: string|undefined}} Range in seconds, or an error message
+ */
+function parseRange(params, interval) {
+    let range;
+
+    try {
+        range = { from: parseTime(params.from), to: parseTime(params.to) };
+    } catch (error) {
+        return { range: {}, error: error.message };
+    }
+
+    if (range.from !== undefined && range.to !== undefined && range.from >= range.to) {
+        return { range, error: '`from` must be earlier than `to`' };
+    }
+
+    if (range.from !== undefined) {
+        const to = range.to ?? Math.floor(Date.now() / 1000);
+        if (estimateCandles(interval, range.from, to) > MAX_RANGE_CANDLES) {
+            return { range, error: `Range too large: more than ${MAX_RANGE_CANDLES} ${interval} candles` };
+        }
+    }
+
+    return { range };
+}
+
+/**
+ * Validate that the requested candles and their warm-up can be fetched
+ * @param {Object} range - Parsed range in seconds
+ * @param {string} interval - Kline interval
+ * @param {number} limit - Candles requested without a range
+ * @param {number} warmup - Candles loaded before the requested ones
+ * @returns {string|undefined} Error message, or undefined if valid
+ */
+function validateWarmup(range, interval, limit, warmup) {
+    // The latest candles come from one `limit` request, which can't return more than MAX_LIMIT
+    if (range.from === undefined) {
+        return limit + warmup > MAX_LIMIT
+            ? `limit ${limit} and ${warmup} warm-up candles exceed the ${MAX_LIMIT}-candle maximum, lower the limit or give a from date`
+            : undefined;
+    }
+
+    // parseRange only checked the requested range, the warm-up widens it
+    const from = range.from - warmup * getIntervalSeconds(interval);
+
+    if (estimateCandles(interval, from, range.to ?? Math.floor(Date.now() / 1000)) > MAX_RANGE_CANDLES) {
+        return `Range too large: more than ${MAX_RANGE_CANDLES} ${interval} candles with ${warmup} warm-up candles`;
+    }
+
+    return undefined;
+}
+
+/**
+ * Calculate summary statistics for a kline series
+ * @param {Array} data - Kline array with at least one priced candle (gap entries are skipped)
+ * @returns {Object} Stats block for API responses
+ */
+function buildStats(data) {
+    const klines = data.filter(k => k.close !== undefined);
+    const latestCandle = klines[klines.length - 1];
+    const firstCandle = klines[0];
+    const priceChange = latestCandle.close - firstCandle.close;
+    const priceChangePercent = ((priceChange / firstCandle.close) * 100).toFixed(2);
+
+    return {
+        currentPrice: latestCandle.close,
+        openPrice: firstCandle.open,
+        highPrice: Math.max(...klines.map(k => k.high)),
+        lowPrice: Math.min(...klines.map(k => k.low)),
+        priceChange,
+        priceChangePercent: parseFloat(priceChangePercent),
+        timestamp: latestCandle.time
+    };
+}
+
+/**
+ * Fetch a synthetic pair or formula instrument from its provider
+ * @param {Object} params - Request params ({ coinA, coinB } or { formula, quote })
+ * @param {string} interval - Kline interval
+ * @param {number} limit - Number of candles
+ * @param {Object} options - Range and routing settings
+ * @returns {Promise<Object>} Instrument ({ route, klines, formula? })
+ */
+function fetchInstrument(params, interval, limit, options) {
+    if (params.formula !== undefined) {
+        const quote = (params.quote || 'USDT').toUpperCase();
+        return market.getFormulaKlines(params.formula, quote, interval, limit, options);
+    }
+
+    return market.getSyntheticPair(
+        params.coinA.toUpperCase(),
+        params.coinB.toUpperCase(),
+        interval,
+        limit,
+        options
+    );
+}
+
+/**
+ * Validate the market-data provider of a request
+ * @param {Object} params - Request params with optional provider
+ * @returns {string|undefined} Error message, or undefined if valid
+ */
+function validateProvider(params) {
+    try {
+        getProvider(params.provider || undefined);
+    } catch (error) {
+        return error.message;
+    }
+
+    return undefined;
+}
+
+/**
+ * Validate the price source legs are built from
+ * @param {Object} params - Request params with optional priceSource
+ * @param {string} [providerId] - Provider the legs come from (default: params.provider)
+ * @returns {string|undefined} Error message, or undefined if valid
+ */
+function validatePriceSource(params, providerId = params.provider || undefined) {
+    const { priceSource = 'last' } = params;
+
+    if (!PRICE_SOURCES.includes(priceSource)) {
+        return `Invalid price source: ${priceSource} (expected ${PRICE_SOURCES.join(', ')})`;
+    }
+
+    const provider = getProvider(providerId);
+
+    if (!hasPriceSource(provider, priceSource)) {
+        return `Price source ${priceSource} is not available on ${provider.name}`;
+    }
+
+    return undefined;
+}
+
+/**
+ * Validate the kline interval of a request
+ * @param {Object} params - Request params with optional interval
+ * @param {string} [providerId] - Provider the candles come from (default: params.provider)
+ * @returns {string|undefined} Error message, or undefined if valid
+ */
+function validateInterval(params, providerId = params.provider || undefined) {
+    const { interval = '1h' } = params;
+
+    if (typeof interval !== 'string' || !isValidInterval(interval)) {
+        return `Invalid interval: ${interval}`;
+    }
+
+    const { intervals, name } = getProvider(providerId);
+
+    if (intervals && !intervals.includes(interval)) {
+        return `Interval ${interval} is not available on ${name}`;
+    }
+
+    return undefined;
+}
+
+/**
+ * Validate the instrument part of a request
+ * @param {Object} params - Request params ({ coinA, coinB } or { formula, quote })
+ * @returns {string|undefined} Error message, or undefined if valid
+ */
+function validateInstrument(params) {
+    if (params.formula !== undefined) {
+        try {
+            parseFormula(params.formula);
+        } catch (error) {
+            return `Invalid formula: ${error.message}`;
+        }
+
+        return undefined;
+    }
+
+    if (!params.coinA || !params.coinB) {
+        return 'Missing required parameters: coinA and coinB (or formula)';
+    }
+
+    if (params.coinA === params.coinB) {
+        return 'coinA and coinB must be different';
+    }
+
+    return undefined;
+}
+
+/**
+ * Parse an optional integer parameter within bounds
+ * @param {Object} params - Request params
+ * @param {string} name - Parameter name
+ * @param {number} fallback - Value when the parameter is missing
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {{value: number, error: string|undefined}} Value, or an error message
+ */
+function parseIntegerParam(params, name, fallback, min, max) {
+    if (params[name] === undefined || params[name] === '') return { value: fallback };
+
+    const value = Number(params[name]);
+
+    if (!Number.isInteger(value) || value < min || value > max) {
+        return { value, error: `Invalid ${name}: ${params[name]} (expected an integer from ${min} to ${max})` };
+    }
+
+    return { value };
+}
+
+/**
+ * Parse an optional numeric parameter within bounds
+ * @param {Object} params - Request params
+ * @param {string} name - Parameter name
+ * @param {number} fallback - Value when the parameter is missing
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {{value: number, error: string|undefined}} Value, or an error message
+ */
+function parseNumberParam(params, name, fallback, min, max) {
+    if (params[name] === undefined || params[name] === '') return { value: fallback };
+
+    const value = Number(params[name]);
+
+    if (!Number.isFinite(value) || value < min || value > max) {
+        return { value, error: `Invalid ${name}: ${params[name]} (expected a number from ${min} to ${max})` };
+    }
+
+    return { value };
+}
+
+/**
+ * Parse the pairs of a comparison request
+ * @param {string|undefined} value - Comma-separated pairs (e.g., 'SOL/ETH,AVAX/ETH')
+ * @returns {{pairs: Array<{coinA: string, coinB: string}>, error: string|undefined}} Pairs, or an error message
+ */
+function parseComparePairs(value) {
+    if (!value) {
+        return { pairs: [], error: 'Missing required parameter: pairs (e.g. SOL/ETH,AVAX/ETH)' };
+    }
+
+    const names = [...new Set(value.toUpperCase().split(',').map(name => name.trim()).filter(Boolean))];
+
+    if (names.length > MAX_COMPARE_PAIRS) {
+        return { pairs: [], error: `Too many pairs: at most ${MAX_COMPARE_PAIRS} can be compared` };
+    }
+
+    const pairs = [];
+
+    for (const name of names) {
+        const [coinA, coinB, extra] = name.split('/');
+
+        if (!coinA || !coinB || extra !== undefined) {
+            return { pairs: [], error: `Invalid pair: ${name} (expected BASE/QUOTE)` };
+        }
+
+        if (coinA === coinB) {
+            return { pairs: [], error: `Invalid pair: ${name} (coins must be different)` };
+        }
+
+        pairs.push({ coinA, coinB });
+    }
+
+    return { pairs };
+}
+
+/**
+ * Validate the fields of an alert rule and check its pair can be priced
+ * @param {Object} input - Rule fields
+ * @returns {Promise<string|undefined>} Error message, or undefined if valid
+ */
+async function validateAlert(input) {
+    let fields;
+
+    try {
+        fields = parseAlertRule(input);
+    } catch (error) {
+        return error.message;
+    }
+
+    try {
+        await market.resolveRoute(fields.coinA, fields.coinB, fields.bridge ?? undefined, fields.provider);
+    } catch (error) {
+        return error.message;
+    }
+
+    return undefined;
+}
+
+/**
+ * Validate the policy for candles missing from some legs
+ * @param {Object} params - Request params with optional align
+ * @returns {string|undefined} Error message, or undefined if valid
+ */
+function validateAlign(params) {
+    const { align = 'drop' } = params;
+
+    if (!ALIGNMENT_POLICIES.includes(align)) {
+        return `Invalid align policy: ${align} (expected ${ALIGNMENT_POLICIES.join(', ')})`;
+    }
+
+    return undefined;
+}
+
+/**
+ * Validate the wick mode and the lower-timeframe volume it implies
+ * @param {Object} params - Request params with optional wicks, limit, from, to
+ * @param {string} interval - Kline interval
+ * @param {Object} range - Parsed range in seconds
+ * @returns {string|undefined} Error message, or undefined if valid
+ */
+function validateWicks(params, interval, range) {
+    const { wicks = 'fast', limit = 500 } = params;
+
+    if (!WICK_MODES.includes(wicks)) {
+        return `Invalid wicks mode: ${wicks} (expected ${WICK_MODES.join(' or ')})`;
+    }
+
+    const subInterval = getWickSubInterval(interval);
+    if (wicks === 'fast' || !subInterval) return undefined;
+
+    const candles = range.from !== undefined
+        ? estimateCandles(interval, range.from, range.to ?? Math.floor(Date.now() / 1000))
+        : parseInt(limit);
+    const subCandles = candles * getIntervalSeconds(interval) / getIntervalSeconds(subInterval);
+
+    if (subCandles > MAX_RANGE_CANDLES) {
+        return `Accurate wicks would need ${Math.round(subCandles)} ${subInterval} candles per leg (max ${MAX_RANGE_CANDLES}), narrow the range`;
+    }
+
+    return undefined;
+}
 
 /**
  * Health check endpoint
@@ -23,26 +413,51 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        cache: cache.getStats()
+        cache: cache.getStats(),
+        streams: streams.getStats(),
+        providers: getQueueStats(),
+        marketData: recorder.getStats(),
+        alerts: alerts.getStats()
+    });
+});
+
+/**
+ * List market-data providers
+ */
+app.get('/api/providers', (req, res) => {
+    res.json({
+        success: true,
+        providers: listProviders(),
+        default: DEFAULT_PROVIDER
     });
 });
 
 /**
- * Get all available USDT trading pairs
+ * Get all coins that appear in any trading market of a provider
+ * Query params: provider (default: DEFAULT_PROVIDER)
  */
 app.get('/api/symbols', async (req, res) => {
     try {
-        const symbols = await binanceAPI.getExchangeInfo();
+        const providerError = validateProvider(req.query);
+
+        if (providerError) {
+            return res.status(400).json({
+                success: false,
+                error: providerError
+            });
+        }
+
+        const symbols = await market.getMarkets(req.query.provider || undefined);
 
-        // Extract unique base assets (coins)
-        const coins = [...new Set(symbols.map(s => s.baseAsset))];
-        coins.push('USDT');
+        // Extract unique base and quote assets (coins)
+        const coins = [...new Set(symbols.flatMap(s => [s.baseAsset, s.quoteAsset]))];
         coins.sort();
 
         res.json({
             success: true,
             count: coins.length,
-            coins
+            coins,
+            bridges: DEFAULT_BRIDGES
         });
     } catch (error) {
         res.status(500).json({
@@ -54,67 +469,90 @@ app.get('/api/symbols', async (req, res) => {
 
 /**
  * Get synthetic pair kline data
- * Query params: coinA, coinB, interval, limit
+ * Query params: coinA, coinB, interval, limit, from, to, bridge, wicks, align, provider, priceSource
+ * Formula mode: formula, quote (default: USDT) instead of coinA/coinB
  */
 app.get('/api/klines', async (req, res) => {
     try {
-        const { coinA, coinB, interval = '1h', limit = 500 } = req.query;
+        const { coinA, coinB, interval = '1h', bridge, wicks, align = 'drop', provider, priceSource } = req.query;
+        const limit = parseIntegerParam(req.query, 'limit', 500, 1, MAX_LIMIT);
 
         // Validation
-        if (!coinA || !coinB) {
+        const instrumentError = validateInstrument(req.query)
+            || validateProvider(req.query)
+            || validateInterval(req.query)
+            || limit.error;
+
+        if (instrumentError) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required parameters: coinA and coinB'
+                error: instrumentError
             });
         }
 
-        if (coinA === coinB) {
+        const { range, error: rangeError } = parseRange(req.query, interval);
+
+        if (rangeError) {
             return res.status(400).json({
                 success: false,
-                error: 'coinA and coinB must be different'
+                error: rangeError
             });
         }
 
-        // Check cache first
-        let klines = cache.get(coinA, coinB, interval);
+        const wicksError = validateWicks(req.query, interval, range);
 
-        if (!klines) {
-            // Fetch from Binance API
-            klines = await binanceAPI.getSyntheticPair(
-                coinA.toUpperCase(),
-                coinB.toUpperCase(),
-                interval,
-                parseInt(limit)
-            );
+        if (wicksError) {
+            return res.status(400).json({
+                success: false,
+                error: wicksError
+            });
+        }
 
-            // Store in cache
-            cache.set(coinA, coinB, interval, klines);
+        const alignError = validateAlign(req.query) || validatePriceSource(req.query);
+
+        if (alignError) {
+            return res.status(400).json({
+                success: false,
+                error: alignError
+            });
         }
 
-        // Calculate statistics
-        const latestCandle = klines[klines.length - 1];
-        const firstCandle = klines[0];
-        const priceChange = latestCandle.close - firstCandle.close;
-        const priceChangePercent = ((priceChange / firstCandle.close) * 100).toFixed(2);
+        const options = {
+            ...range,
+            bridge: bridge?.toUpperCase(),
+            wicks: wicks === 'accurate' ? wicks : undefined,
+            align: align !== 'drop' ? align : undefined,
+            provider: provider || undefined,
+            priceSource: priceSource !== 'last' ? priceSource : undefined
+        };
+
+        // Legs come from the leg cache, the synthetic pair is derived on every request
+        const synthetic = await fetchInstrument(req.query, interval, limit.value, options);
+        const { route, klines } = synthetic;
+
+        if (!klines.some(k => k.close !== undefined)) {
+            return res.status(404).json({
+                success: false,
+                error: 'No candles available for the requested range'
+            });
+        }
 
         res.json({
             success: true,
-            pair: `${coinA}/${coinB}`,
+            pair: synthetic.formula ?? `${coinA.toUpperCase()}/${coinB.toUpperCase()}`,
             interval,
+            range,
+            route,
+            wicks: synthetic.wicks,
+            priceSource: synthetic.priceSource,
+            alignment: synthetic.alignment,
+            volumeUnits: route.type === 'formula' ? null : getVolumeUnits(route),
             count: klines.length,
             data: klines,
-            stats: {
-                currentPrice: latestCandle.close,
-                openPrice: firstCandle.open,
-                highPrice: Math.max(...klines.map(k => k.high)),
-                lowPrice: Math.min(...klines.map(k => k.low)),
-                priceChange,
-                priceChangePercent: parseFloat(priceChangePercent),
-                timestamp: latestCandle.time
-            }
+            stats: buildStats(klines)
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message
         });
@@ -122,40 +560,68 @@ app.get('/api/klines', async (req, res) => {
 });
 
 /**
- * Force refresh cache for a specific pair
+ * Force refresh cache for a specific pair or formula
  */
 app.post('/api/refresh', async (req, res) => {
     try {
-        const { coinA, coinB, interval = '1h' } = req.body;
+        const { coinA, coinB, interval = '1h', bridge, wicks, align = 'drop', provider, priceSource } = req.body;
+        const instrumentError = validateInstrument(req.body) || validateProvider(req.body) || validateInterval(req.body);
 
-        if (!coinA || !coinB) {
+        if (instrumentError) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required parameters: coinA and coinB'
+                error: instrumentError
             });
         }
 
-        // Delete from cache
-        cache.delete(coinA, coinB, interval);
+        const { range, error: rangeError } = parseRange(req.body, interval);
 
-        // Fetch fresh data
-        const klines = await binanceAPI.getSyntheticPair(
-            coinA.toUpperCase(),
-            coinB.toUpperCase(),
-            interval
-        );
+        if (rangeError) {
+            return res.status(400).json({
+                success: false,
+                error: rangeError
+            });
+        }
+
+        const wicksError = validateWicks(req.body, interval, range);
+
+        if (wicksError) {
+            return res.status(400).json({
+                success: false,
+                error: wicksError
+            });
+        }
+
+        const alignError = validateAlign(req.body) || validatePriceSource(req.body);
 
-        // Store in cache
-        cache.set(coinA, coinB, interval, klines);
+        if (alignError) {
+            return res.status(400).json({
+                success: false,
+                error: alignError
+            });
+        }
+
+        const options = {
+            ...range,
+            bridge: bridge?.toUpperCase(),
+            wicks: wicks === 'accurate' ? wicks : undefined,
+            align: align !== 'drop' ? align : undefined,
+            provider: provider || undefined,
+            priceSource: priceSource !== 'last' ? priceSource : undefined,
+            refresh: true // Refetch every leg the instrument uses, replacing their cached candles
+        };
+
+        const synthetic = await fetchInstrument(req.body, interval, undefined, options);
 
         res.json({
             success: true,
             message: 'Cache refreshed',
-            pair: `${coinA}/${coinB}`,
-            count: klines.length
+            pair: synthetic.formula ?? `${coinA.toUpperCase()}/${coinB.toUpperCase()}`,
+            route: synthetic.route,
+            count: synthetic.klines.length
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message
         });
@@ -163,20 +629,1187 @@ app.post('/api/refresh', async (req, res) => {
 });
 
 /**
- * Get cache statistics
+ * Get the basis between the spot and perpetual-futures versions of a synthetic pair
+ * Query params: coinA, coinB, interval, limit, from, to, bridge, align, priceSource (futures legs)
  */
-app.get('/api/cache/stats', (req, res) => {
-    res.json({
-        success: true,
-        stats: cache.getStats()
-    });
+app.get('/api/basis', async (req, res) => {
+    try {
+        const { coinA, coinB, interval = '1h', bridge, align = 'drop', priceSource } = req.query;
+        const limit = parseIntegerParam(req.query, 'limit', 500, 1, MAX_LIMIT);
+
+        if (req.query.formula !== undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Basis is only available for coinA/coinB pairs'
+            });
+        }
+
+        const paramsError = validateInstrument(req.query)
+            || validateInterval(req.query, BASIS_PROVIDERS.futures)
+            || validateAlign(req.query)
+            || validatePriceSource(req.query, BASIS_PROVIDERS.futures)
+            || limit.error;
+
+        if (paramsError) {
+            return res.status(400).json({
+                success: false,
+                error: paramsError
+            });
+        }
+
+        const { range, error: rangeError } = parseRange(req.query, interval);
+
+        if (rangeError) {
+            return res.status(400).json({
+                success: false,
+                error: rangeError
+            });
+        }
+
+        const result = await market.getBasis(coinA.toUpperCase(), coinB.toUpperCase(), interval, limit.value, {
+            ...range,
+            bridge: bridge?.toUpperCase(),
+            align: align !== 'drop' ? align : undefined,
+            priceSource: priceSource !== 'last' ? priceSource : undefined
+        });
+
+        if (result.basis.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'No candles priced on both spot and futures for the requested range'
+            });
+        }
+
+        const values = result.basis.map(point => point.basis);
+
+        res.json({
+            success: true,
+            pair: `${coinA.toUpperCase()}/${coinB.toUpperCase()}`,
+            interval,
+            range,
+            priceSource: result.priceSource,
+            spot: result.spot,
+            futures: result.futures,
+            count: result.basis.length,
+            data: result.basis,
+            premiums: result.premiums,
+            stats: {
+                last: values[values.length - 1],
+                mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+                min: Math.min(...values),
+                max: Math.max(...values)
+            }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
 });
 
 /**
- * Start server with port-manager integration
+ * Compare synthetic pairs rebased to percent change from an anchor candle
+ * Query params: pairs (e.g. `SOL/ETH,AVAX/ETH`), interval, limit, from, to, anchor, align, provider, priceSource
  */
-async function startServer() {
+app.get('/api/compare', async (req, res) => {
     try {
+        const { interval = '1h', align = 'drop', provider, priceSource } = req.query;
+        const { pairs, error: pairsError } = parseComparePairs(req.query.pairs);
+        const limit = parseIntegerParam(req.query, 'limit', 500, 1, MAX_LIMIT);
+
+        const paramsError = pairsError
+            || validateProvider(req.query)
+            || validateInterval(req.query)
+            || validateAlign(req.query)
+            || validatePriceSource(req.query)
+            || limit.error;
+
+        if (paramsError) {
+            return res.status(400).json({
+                success: false,
+                error: paramsError
+            });
+        }
+
+        const { range, error: rangeError } = parseRange(req.query, interval);
+
+        if (rangeError) {
+            return res.status(400).json({
+                success: false,
+                error: rangeError
+            });
+        }
+
+        let anchor;
+
+        try {
+            anchor = parseTime(req.query.anchor);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid anchor: ${error.message}`
+            });
+        }
+
+        const result = await market.getComparison(pairs, interval, limit.value, {
+            ...range,
+            anchor,
+            align: align !== 'drop' ? align : undefined,
+            provider: provider || undefined,
+            priceSource: priceSource !== 'last' ? priceSource : undefined
+        });
+
+        if (result.times.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'No candles priced in every pair for the requested range'
+            });
+        }
+
+        res.json({
+            success: true,
+            interval,
+            range,
+            anchor: result.anchor,
+            count: result.times.length,
+            times: result.times,
+            pairs: result.pairs.map(pair => ({
+                ...pair,
+                last: pair.change[pair.change.length - 1]
+            }))
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Mean-reversion statistics of a pair: rolling z-scores, hedge ratio,
+ * Engle-Granger cointegration, half-life and rolling leg correlation
+ * Query params: coinA, coinB, interval, limit, from, to, reference, window, lags, align, provider, priceSource
+ */
+app.get('/api/pair-stats', async (req, res) => {
+    try {
+        const { coinA, coinB, interval = '1h', align = 'drop', provider, priceSource } = req.query;
+        const reference = (req.query.reference || 'USDT').toUpperCase();
+
+        if (req.query.formula !== undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Pair statistics are only available for coinA/coinB pairs'
+            });
+        }
+
+        const limit = parseIntegerParam(req.query, 'limit', 500, 1, MAX_LIMIT);
+        const window = parseIntegerParam(req.query, 'window', 50, 2, MAX_STATS_WINDOW);
+        const lags = parseIntegerParam(req.query, 'lags', 1, 0, MAX_ADF_LAGS);
+
+        const paramsError = validateInstrument(req.query)
+            || validateProvider(req.query)
+            || validateInterval(req.query)
+            || validateAlign(req.query)
+            || validatePriceSource(req.query)
+            || limit.error
+            || window.error
+            || lags.error;
+
+        if (paramsError) {
+            return res.status(400).json({
+                success: false,
+                error: paramsError
+            });
+        }
+
+        if ([coinA.toUpperCase(), coinB.toUpperCase()].includes(reference)) {
+            return res.status(400).json({
+                success: false,
+                error: `Pair statistics need both coins priced in ${reference}: pick a reference other than ${coinA}/${coinB}`
+            });
+        }
+
+        const { range, error: rangeError } = parseRange(req.query, interval);
+
+        // Rolling series are warmed up on `window` earlier candles
+        const candlesError = rangeError || validateWarmup(range, interval, limit.value, window.value);
+
+        if (candlesError) {
+            return res.status(400).json({
+                success: false,
+                error: candlesError
+            });
+        }
+
+        const result = await market.getPairStats(coinA.toUpperCase(), coinB.toUpperCase(), interval, limit.value, {
+            ...range,
+            reference,
+            window: window.value,
+            lags: lags.value,
+            align: align !== 'drop' ? align : undefined,
+            provider: provider || undefined,
+            priceSource: priceSource !== 'last' ? priceSource : undefined
+        });
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: `Need at least ${MIN_STATS_CANDLES} candles priced in both ${coinA.toUpperCase()}/${reference} and ${coinB.toUpperCase()}/${reference}`
+            });
+        }
+
+        const last = values => values[values.length - 1];
+
+        res.json({
+            success: true,
+            pair: `${coinA.toUpperCase()}/${coinB.toUpperCase()}`,
+            reference,
+            interval,
+            range,
+            window: window.value,
+            count: result.times.length,
+            ...result,
+            latest: {
+                ratio: last(result.ratio),
+                zScore: last(result.zScore.ratio),
+                logZScore: last(result.zScore.logRatio),
+                correlation: last(result.correlation)
+            }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Correlation matrix of several coins' log returns, and their cross rates' performance
+ * Query params: coins (e.g. `BTC,ETH,SOL`), interval, limit, from, to, reference, align, provider, priceSource
+ */
+app.get('/api/correlation', async (req, res) => {
+    try {
+        const { interval = '1h', align = 'drop', provider, priceSource } = req.query;
+        const reference = (req.query.reference || 'USDT').toUpperCase();
+        const coins = [...new Set((req.query.coins || '').toUpperCase().split(',').map(coin => coin.trim()).filter(Boolean))];
+        const limit = parseIntegerParam(req.query, 'limit', 500, 1, MAX_LIMIT);
+
+        const paramsError = validateProvider(req.query)
+            || validateInterval(req.query)
+            || validateAlign(req.query)
+            || validatePriceSource(req.query)
+            || limit.error;
+
+        if (paramsError) {
+            return res.status(400).json({
+                success: false,
+                error: paramsError
+            });
+        }
+
+        if (coins.length < 2 || coins.length > MAX_CORRELATION_COINS) {
+            return res.status(400).json({
+                success: false,
+                error: `coins must list 2 to ${MAX_CORRELATION_COINS} coins, e.g. BTC,ETH,SOL`
+            });
+        }
+
+        if (coins.includes(reference)) {
+            return res.status(400).json({
+                success: false,
+                error: `coins must not include the reference asset ${reference}`
+            });
+        }
+
+        const { range, error: rangeError } = parseRange(req.query, interval);
+
+        if (rangeError) {
+            return res.status(400).json({
+                success: false,
+                error: rangeError
+            });
+        }
+
+        const result = await market.getCorrelation(coins, interval, limit.value, {
+            ...range,
+            reference,
+            align: align !== 'drop' ? align : undefined,
+            provider: provider || undefined,
+            priceSource: priceSource !== 'last' ? priceSource : undefined
+        });
+
+        if (result.coins.length < 2 || result.times.length < MIN_STATS_CANDLES) {
+            return res.status(404).json({
+                success: false,
+                error: `Need at least 2 coins with ${MIN_STATS_CANDLES} shared candles priced in ${reference}`,
+                missing: result.missing
+            });
+        }
+
+        res.json({
+            success: true,
+            reference,
+            interval,
+            range,
+            count: result.times.length,
+            from: result.times[0],
+            to: result.times[result.times.length - 1],
+            coins: result.coins,
+            correlation: result.correlation,
+            performance: result.performance,
+            changes: result.changes,
+            missing: result.missing
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Rank every coin's synthetic pair in one quote coin
+ * Query params: quote (default: USDT), interval, lookback, period, sort, order, top, breakout,
+ * coins (default: every coin routable to the quote), provider, priceSource
+ * Scans are reused for a minute, so re-sorting or filtering doesn't refetch
+ */
+app.get('/api/screener', async (req, res) => {
+    try {
+        const { interval = '1h', sort = 'change', order = 'desc', breakout, provider, priceSource } = req.query;
+        const quote = (req.query.quote || 'USDT').toUpperCase();
+        const coins = req.query.coins
+            ? [...new Set(req.query.coins.toUpperCase().split(',').map(coin => coin.trim()).filter(Boolean))]
+            : undefined;
+
+        const lookback = parseIntegerParam(req.query, 'lookback', 24, 2, MAX_SCREENER_LOOKBACK);
+        const period = parseIntegerParam(req.query, 'period', 20, 2, MAX_SCREENER_LOOKBACK);
+        const top = parseIntegerParam(req.query, 'top', 50, 1, MAX_SCREENER_COINS);
+
+        const paramsError = validateProvider(req.query)
+            || validatePriceSource(req.query)
+            || lookback.error
+            || period.error
+            || top.error;
+
+        if (paramsError) {
+            return res.status(400).json({
+                success: false,
+                error: paramsError
+            });
+        }
+
+        const { intervals, name } = getProvider(provider || undefined);
+
+        if (!isValidInterval(interval) || (intervals && !intervals.includes(interval))) {
+            return res.status(400).json({
+                success: false,
+                error: `Interval ${interval} is not available on ${name}`
+            });
+        }
+
+        if (!SCREENER_SORTS.includes(sort) || !['asc', 'desc'].includes(order)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid sort: ${sort} ${order} (expected ${SCREENER_SORTS.join(', ')}, asc or desc)`
+            });
+        }
+
+        if (breakout !== undefined && !SCREENER_BREAKOUTS.includes(breakout)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid breakout: ${breakout} (expected ${SCREENER_BREAKOUTS.join(' or ')})`
+            });
+        }
+
+        if (coins && (coins.length === 0 || coins.length > MAX_SCREENER_COINS)) {
+            return res.status(400).json({
+                success: false,
+                error: `coins must list 1 to ${MAX_SCREENER_COINS} coins, e.g. BTC,SOL,AVAX`
+            });
+        }
+
+        const result = await screener.scan(quote, interval, {
+            lookback: lookback.value,
+            period: period.value,
+            coins,
+            provider: provider || undefined,
+            priceSource: priceSource !== 'last' ? priceSource : undefined
+        });
+
+        if (result.universe === 0) {
+            return res.status(404).json({
+                success: false,
+                error: `No coins can be priced in ${quote}`,
+                skipped: result.skipped
+            });
+        }
+
+        // Rows without a value for the sort key (e.g. a flat range) go last either way
+        const direction = order === 'asc' ? 1 : -1;
+        const rows = result.rows
+            .filter(row => !breakout || row.breakout === breakout)
+            .sort((a, b) => {
+                if (a[sort] === null || b[sort] === null) return (a[sort] === null) - (b[sort] === null);
+                return (a[sort] - b[sort]) * direction;
+            });
+
+        res.json({
+            success: true,
+            quote,
+            interval,
+            lookback: lookback.value,
+            period: period.value,
+            sort,
+            order,
+            breakout: breakout || null,
+            universe: result.universe,
+            truncated: result.truncated,
+            stopped: result.stopped,
+            matched: rows.length,
+            count: Math.min(rows.length, top.value),
+            rows: rows.slice(0, top.value),
+            skipped: result.skipped
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Compute technical indicators over a synthetic pair or formula instrument
+ * Query params: spec (e.g. `rsi(14),macd(12,26,9)`), plus everything /api/klines takes
+ * Extra candles are loaded before the requested ones so indicators start settled
+ */
+app.get('/api/indicators', async (req, res) => {
+    try {
+        const { interval = '1h', bridge, wicks, align = 'drop', provider, priceSource, spec } = req.query;
+        const limit = parseIntegerParam(req.query, 'limit', 500, 1, MAX_LIMIT);
+
+        const paramsError = validateInstrument(req.query)
+            || validateProvider(req.query)
+            || validateInterval(req.query)
+            || validateAlign(req.query)
+            || validatePriceSource(req.query)
+            || limit.error;
+
+        if (paramsError) {
+            return res.status(400).json({
+                success: false,
+                error: paramsError
+            });
+        }
+
+        let indicators;
+
+        try {
+            indicators = parseIndicatorSpec(spec || '');
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        const { range, error: rangeError } = parseRange(req.query, interval);
+
+        if (rangeError) {
+            return res.status(400).json({
+                success: false,
+                error: rangeError
+            });
+        }
+
+        const warmup = getWarmup(indicators);
+        const candlesError = validateWicks(req.query, interval, range) || validateWarmup(range, interval, limit.value, warmup);
+
+        if (candlesError) {
+            return res.status(400).json({
+                success: false,
+                error: candlesError
+            });
+        }
+
+        const intervalSeconds = getIntervalSeconds(interval);
+        const options = {
+            ...range,
+            from: range.from !== undefined ? range.from - warmup * intervalSeconds : undefined,
+            bridge: bridge?.toUpperCase(),
+            wicks: wicks === 'accurate' ? wicks : undefined,
+            align: align !== 'drop' ? align : undefined,
+            provider: provider || undefined,
+            priceSource: priceSource !== 'last' ? priceSource : undefined
+        };
+
+        const synthetic = await fetchInstrument(req.query, interval, limit.value + warmup, options);
+        const klines = synthetic.klines.filter(k => k.close !== undefined);
+
+        // Drop the warm-up candles again: before `from`, or beyond the last `limit`
+        const start = range.from !== undefined
+            ? klines.findIndex(k => k.time >= range.from)
+            : Math.max(0, klines.length - limit.value);
+
+        if (klines.length === 0 || start === -1) {
+            return res.status(404).json({
+                success: false,
+                error: 'No candles available for the requested range'
+            });
+        }
+
+        const results = computeIndicators(klines, indicators, { intervalSeconds }).map(result => ({
+            ...result,
+            lines: Object.fromEntries(
+                Object.entries(result.lines).map(([name, values]) => [name, values.slice(start)])
+            )
+        }));
+
+        res.json({
+            success: true,
+            pair: synthetic.formula ?? `${req.query.coinA.toUpperCase()}/${req.query.coinB.toUpperCase()}`,
+            interval,
+            spec: indicators.map(indicator => indicator.id).join(','),
+            warmup,
+            count: klines.length - start,
+            times: klines.slice(start).map(k => k.time),
+            indicators: results
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Download a synthetic pair or formula as CSV, JSON or NDJSON
+ * Query params: everything /api/klines takes, plus format, timezone, precision,
+ * legs (true to add the raw leg candles) and spec (indicator columns)
+ */
+app.get('/api/export', async (req, res) => {
+    try {
+        const { interval = '1h', bridge, wicks, align = 'drop', provider, priceSource, format = 'csv', timezone = 'UTC', spec } = req.query;
+        const includeLegs = req.query.legs === 'true';
+        const limit = parseIntegerParam(req.query, 'limit', 500, 1, MAX_LIMIT);
+        const precision = parseIntegerParam(req.query, 'precision', undefined, 0, MAX_EXPORT_PRECISION);
+
+        const paramsError = validateInstrument(req.query)
+            || validateProvider(req.query)
+            || validateInterval(req.query)
+            || validateAlign(req.query)
+            || validatePriceSource(req.query)
+            || limit.error
+            || precision.error;
+
+        if (paramsError) {
+            return res.status(400).json({
+                success: false,
+                error: paramsError
+            });
+        }
+
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid format: ${format} (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`
+            });
+        }
+
+        if (!isValidTimezone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid timezone: ${timezone} (expected an IANA name, e.g. UTC or Europe/Berlin)`
+            });
+        }
+
+        if (includeLegs && req.query.formula !== undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Leg columns are only available for coinA/coinB pairs, not formulas'
+            });
+        }
+
+        let indicators = [];
+
+        try {
+            if (spec) indicators = parseIndicatorSpec(spec);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        const { range, error: rangeError } = parseRange(req.query, interval);
+
+        if (rangeError) {
+            return res.status(400).json({
+                success: false,
+                error: rangeError
+            });
+        }
+
+        // Indicator columns are settled from the first row, like /api/indicators
+        const warmup = getWarmup(indicators);
+        const candlesError = validateWicks(req.query, interval, range) || validateWarmup(range, interval, limit.value, warmup);
+
+        if (candlesError) {
+            return res.status(400).json({
+                success: false,
+                error: candlesError
+            });
+        }
+
+        const intervalSeconds = getIntervalSeconds(interval);
+        const options = {
+            ...range,
+            from: range.from !== undefined ? range.from - warmup * intervalSeconds : undefined,
+            bridge: bridge?.toUpperCase(),
+            wicks: wicks === 'accurate' ? wicks : undefined,
+            align: align !== 'drop' ? align : undefined,
+            provider: provider || undefined,
+            priceSource: priceSource !== 'last' ? priceSource : undefined
+        };
+
+        const synthetic = await fetchInstrument(req.query, interval, limit.value + warmup, options);
+        const priced = synthetic.klines.filter(k => k.close !== undefined);
+        const start = range.from !== undefined
+            ? priced.findIndex(k => k.time >= range.from)
+            : Math.max(0, priced.length - limit.value);
+
+        if (priced.length === 0 || start === -1) {
+            return res.status(404).json({
+                success: false,
+                error: 'No candles available for the requested range'
+            });
+        }
+
+        const klines = synthetic.klines.filter(k => k.time >= priced[start].time);
+        const { route } = synthetic;
+
+        // Leg candles come from the same cached legs the pair was built from
+        const legs = includeLegs
+            ? await Promise.all(route.legs.map(async leg => ({
+                symbol: leg.symbol,
+                klines: await market.getLegKlines(getProvider(options.provider), leg.symbol, interval, limit.value + warmup, options)
+            })))
+            : [];
+
+        const pair = synthetic.formula ?? `${req.query.coinA.toUpperCase()}/${req.query.coinB.toUpperCase()}`;
+        const from = klines[0].time;
+        const to = klines[klines.length - 1].time;
+
+        const table = buildExportTable(klines, {
+            timezone,
+            legs,
+            indicators: indicators.length > 0 ? computeIndicators(priced, indicators, { intervalSeconds }) : [],
+            times: priced.map(k => k.time)
+        });
+
+        await writeExport(res, {
+            format,
+            filename: getExportFilename(pair, interval, from, to, format),
+            precision: precision.value,
+            meta: {
+                pair,
+                interval,
+                route: route.description,
+                priceSource: synthetic.priceSource,
+                timezone,
+                count: klines.length,
+                from,
+                to
+            },
+            ...table
+        });
+    } catch (error) {
+        // Once rows are streaming the status is sent, cutting the download short is all that's left
+        if (res.headersSent) {
+            console.error('Export failed mid-stream:', error.message);
+            return res.destroy(error);
+        }
+
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * List backtest strategies and their parameters
+ */
+app.get('/api/strategies', (req, res) => {
+    res.json({
+        success: true,
+        strategies: listStrategies(),
+        sides: BACKTEST_SIDES
+    });
+});
+
+/**
+ * Backtest a strategy on a synthetic pair's candles
+ * Query params: coinA, coinB, strategy, the strategy's parameters by name (e.g. fast, slow),
+ * side, size, fee, slippage, capital, plus interval, limit, from, to, bridge, align, provider, priceSource
+ * Extra candles are loaded before the requested ones so the rule can decide from the first candle
+ */
+app.get('/api/backtest', async (req, res) => {
+    try {
+        const { coinA, coinB, interval = '1h', bridge, align = 'drop', provider, priceSource, side = 'both' } = req.query;
+
+        if (req.query.formula !== undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Backtests run on a coinA/coinB pair, not a formula'
+            });
+        }
+
+        const limit = parseIntegerParam(req.query, 'limit', 500, 1, MAX_LIMIT);
+        const size = parseNumberParam(req.query, 'size', 100, 1, 300);
+        const fee = parseNumberParam(req.query, 'fee', 10, 0, 100);
+        const slippage = parseNumberParam(req.query, 'slippage', 5, 0, 100);
+        const capital = parseNumberParam(req.query, 'capital', 10000, 1e-8, 1e12);
+
+        const paramsError = validateInstrument(req.query)
+            || validateProvider(req.query)
+            || validateInterval(req.query)
+            || validateAlign(req.query)
+            || validatePriceSource(req.query)
+            || limit.error
+            || size.error
+            || fee.error
+            || slippage.error
+            || capital.error;
+
+        if (paramsError) {
+            return res.status(400).json({
+                success: false,
+                error: paramsError
+            });
+        }
+
+        if (!BACKTEST_SIDES.includes(side)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid side: ${side} (expected ${BACKTEST_SIDES.join(', ')})`
+            });
+        }
+
+        let strategy;
+
+        try {
+            strategy = parseStrategy(req.query.strategy || '', req.query);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        const { range, error: rangeError } = parseRange(req.query, interval);
+
+        if (rangeError) {
+            return res.status(400).json({
+                success: false,
+                error: rangeError
+            });
+        }
+
+        const warmup = getStrategyWarmup(strategy);
+        const warmupError = validateWarmup(range, interval, limit.value, warmup);
+
+        if (warmupError) {
+            return res.status(400).json({
+                success: false,
+                error: warmupError
+            });
+        }
+
+        const intervalSeconds = getIntervalSeconds(interval);
+
+        const synthetic = await market.getSyntheticPair(coinA.toUpperCase(), coinB.toUpperCase(), interval, limit.value + warmup, {
+            ...range,
+            from: range.from !== undefined ? range.from - warmup * intervalSeconds : undefined,
+            bridge: bridge?.toUpperCase(),
+            align: align !== 'drop' ? align : undefined,
+            provider: provider || undefined,
+            priceSource: priceSource !== 'last' ? priceSource : undefined
+        });
+        const klines = synthetic.klines.filter(k => k.close !== undefined);
+
+        // Warm-up candles feed the rule but aren't traded: before `from`, or beyond the last `limit`
+        const start = range.from !== undefined
+            ? klines.findIndex(k => k.time >= range.from)
+            : Math.max(0, klines.length - limit.value);
+
+        if (klines.length === 0 || start === -1) {
+            return res.status(404).json({
+                success: false,
+                error: 'No candles available for the requested range'
+            });
+        }
+
+        const { route } = synthetic;
+        const result = runBacktest(klines, strategy, {
+            start,
+            legs: { base: route.base, quote: route.quote },
+            legCount: route.legs.length,
+            side,
+            size: size.value,
+            fee: fee.value,
+            slippage: slippage.value,
+            capital: capital.value,
+            intervalSeconds
+        });
+
+        res.json({
+            success: true,
+            pair: `${route.base}/${route.quote}`,
+            route: route.description,
+            interval,
+            strategy,
+            settings: { side, size: size.value, fee: fee.value, slippage: slippage.value, capital: capital.value, legs: route.legs.length },
+            warmup,
+            count: klines.length - start,
+            from: klines[start].time,
+            to: klines[klines.length - 1].time,
+            stats: result.stats,
+            trades: result.trades,
+            equity: result.equity
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * List alert rules
+ */
+app.get('/api/alerts', (req, res) => {
+    res.json({
+        success: true,
+        alerts: alerts.list()
+    });
+});
+
+/**
+ * Add an alert rule
+ * Body: coinA, coinB, condition ({ type, direction, value, candles }), plus optional
+ * name, interval, metric, window, cooldown, webhooks, bridge, provider, priceSource, enabled
+ */
+app.post('/api/alerts', async (req, res) => {
+    try {
+        if (alerts.list().length >= MAX_ALERTS) {
+            return res.status(400).json({
+                success: false,
+                error: `Too many alerts: at most ${MAX_ALERTS} can be saved`
+            });
+        }
+
+        const alertError = await validateAlert(req.body);
+
+        if (alertError) {
+            return res.status(400).json({
+                success: false,
+                error: alertError
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            alert: await alerts.create(req.body)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Get fired alerts, newest first
+ * Query params: alertId, limit (default: 100)
+ */
+app.get('/api/alerts/history', (req, res) => {
+    const limit = parseIntegerParam(req.query, 'limit', 100, 1, 1000);
+
+    if (limit.error) {
+        return res.status(400).json({
+            success: false,
+            error: limit.error
+        });
+    }
+
+    const history = alerts.getHistory({ alertId: req.query.alertId, limit: limit.value });
+
+    res.json({
+        success: true,
+        count: history.length,
+        history
+    });
+});
+
+/**
+ * Local webhook sink: point an alert's webhook at /api/alerts/sink to collect its deliveries
+ */
+app.post('/api/alerts/sink', (req, res) => {
+    alerts.receiveSinkEvent(req.body, req.headers);
+    res.json({ success: true });
+});
+
+/**
+ * Get the deliveries the local webhook sink received, oldest first
+ */
+app.get('/api/alerts/sink', (req, res) => {
+    const events = alerts.getSinkEvents();
+
+    res.json({
+        success: true,
+        count: events.length,
+        events
+    });
+});
+
+/**
+ * Forget the deliveries the local webhook sink received
+ */
+app.delete('/api/alerts/sink', (req, res) => {
+    alerts.clearSinkEvents();
+    res.json({ success: true });
+});
+
+/**
+ * Get an alert rule
+ */
+app.get('/api/alerts/:id', (req, res) => {
+    const alert = alerts.get(req.params.id);
+
+    if (!alert) {
+        return res.status(404).json({
+            success: false,
+            error: `Alert not found: ${req.params.id}`
+        });
+    }
+
+    res.json({
+        success: true,
+        alert
+    });
+});
+
+/**
+ * Change some fields of an alert rule, e.g. { "enabled": false }
+ */
+app.patch('/api/alerts/:id', async (req, res) => {
+    try {
+        const existing = alerts.get(req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: `Alert not found: ${req.params.id}`
+            });
+        }
+
+        const alertError = await validateAlert({ ...existing, ...req.body });
+
+        if (alertError) {
+            return res.status(400).json({
+                success: false,
+                error: alertError
+            });
+        }
+
+        res.json({
+            success: true,
+            alert: await alerts.update(req.params.id, req.body)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Delete an alert rule, its history stays
+ */
+app.delete('/api/alerts/:id', async (req, res) => {
+    try {
+        if (!await alerts.delete(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: `Alert not found: ${req.params.id}`
+            });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Evaluate an alert rule now against its latest closed candle, firing it if its condition holds
+ * Responds once any webhook deliveries have finished
+ */
+app.post('/api/alerts/:id/evaluate', async (req, res) => {
+    try {
+        const outcome = await alerts.evaluateNow(req.params.id);
+
+        if (!outcome) {
+            return res.status(404).json({
+                success: false,
+                error: `Alert not found: ${req.params.id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            ...outcome
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Stream live synthetic candles as Server-Sent Events
+ * Query params: coinA, coinB, interval, bridge, provider
+ */
+app.get('/api/stream', async (req, res) => {
+    const { coinA, coinB, interval = '1h', bridge } = req.query;
+    const paramsError = validateProvider(req.query) || validateInterval(req.query);
+
+    if (paramsError) {
+        return res.status(400).json({
+            success: false,
+            error: paramsError
+        });
+    }
+
+    const provider = getProvider(req.query.provider || undefined);
+
+    if (!provider.streamUrl) {
+        return res.status(400).json({
+            success: false,
+            error: `Live updates are not available for ${provider.name}`
+        });
+    }
+
+    if (!coinA || !coinB) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing required parameters: coinA and coinB'
+        });
+    }
+
+    if (coinA === coinB) {
+        return res.status(400).json({
+            success: false,
+            error: 'coinA and coinB must be different'
+        });
+    }
+
+    let route;
+
+    try {
+        route = await market.resolveRoute(coinA.toUpperCase(), coinB.toUpperCase(), bridge?.toUpperCase(), provider.id);
+    } catch (error) {
+        return res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    // The client may have gone away while we were resolving the route
+    if (req.socket.destroyed) return;
+
+    let unsubscribe;
+
+    try {
+        unsubscribe = streams.subscribe(
+            route,
+            interval,
+            provider.streamUrl,
+            (candle) => res.write(`event: kline\ndata: ${JSON.stringify(candle)}\n\n`)
+        );
+    } catch (error) {
+        return res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering
+    });
+    res.flushHeaders();
+
+    // Keep idle connections open through proxies
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+/**
+ * Get cache statistics
+ */
+app.get('/api/cache/stats', (req, res) => {
+    res.json({
+        success: true,
+        stats: cache.getStats()
+    });
+});
+
+/**
+ * Get on-disk candle store size per symbol
+ */
+app.get('/api/store/stats', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            stats: await store.getStats()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Start server with port-manager integration
+ */
+async function startServer() {
+    try {
+        // Alerts are evaluated on candle closes from now on
+        await alerts.init();
+
         // Register with port manager
         const port = await registerPort('binance-cross-pair-chart', 'binance-cross-pair-chart');
 
@@ -186,12 +1819,26 @@ async function startServer() {
             console.log('╚════════════════════════════════════════════════════════╝');
             console.log(`\n🚀 Server: http://localhost:${port}`);
             console.log(`📊 Health: http://localhost:${port}/health`);
-            console.log(`🔧 Port Manager: Registered on port ${port}\n`);
+            console.log(`🔧 Port Manager: Registered on port ${port}`);
+            console.log(`📼 Market data: ${recorder.mode}${recorder.mode === 'live' ? '' : ` (${recorder.getStats().directory})`}\n`);
             console.log('Endpoints:');
-            console.log('  GET  /api/symbols       - List available coins');
+            console.log('  GET  /api/providers     - List market-data providers');
+            console.log('  GET  /api/symbols       - List available coins and bridges');
             console.log('  GET  /api/klines        - Get synthetic pair data');
             console.log('  POST /api/refresh       - Force cache refresh');
+            console.log('  GET  /api/basis         - Spot vs futures basis of a pair');
+            console.log('  GET  /api/indicators    - Technical indicators of a pair');
+            console.log('  GET  /api/compare       - Pairs rebased to percent change');
+            console.log('  GET  /api/pair-stats    - Z-scores, hedge ratio and cointegration of a pair');
+            console.log('  GET  /api/correlation   - Correlation and performance matrices of a coin set');
+            console.log('  GET  /api/screener      - Rank every pair in a quote coin by move, trend or breakout');
+            console.log('  GET  /api/export        - Download candles as CSV, JSON or NDJSON');
+            console.log('  GET  /api/strategies    - List backtest strategies');
+            console.log('  GET  /api/backtest      - Backtest a strategy on a pair');
+            console.log('  *    /api/alerts        - Alert rules, history and a local webhook sink');
+            console.log('  GET  /api/stream        - Live synthetic candles (SSE)');
             console.log('  GET  /api/cache/stats   - Cache statistics');
+            console.log('  GET  /api/store/stats   - Candle store size per symbol');
             console.log('  GET  /health            - Health check\n');
         });
     } catch (error) {
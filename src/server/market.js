@@ -0,0 +1,538 @@
+import { combineSeries, refineWicks } from './synthetic.js';
+import { getIntervalSeconds, getWickSubInterval } from '../shared/intervals.js';
+import { resolveRoute, indexMarkets, DEFAULT_BRIDGES } from './routing.js';
+import { parseFormula, formatFormula, getAssets, substituteAsset, evaluateFormula } from './formula.js';
+import { getProvider, hasPriceSource, PRICE_SOURCES } from './providers/index.js';
+import { rollingZScore, rollingCorrelation, logReturns, correlation, engleGranger, halfLife } from './statistics.js';
+import cache from './cache.js';
+import store from './store.js';
+import recorder from './recorder.js';
+
+export const MAX_LIMIT = 1000; // Most candles a `limit` request returns
+const MARKETS_TTL = 3600 * 1000; // Reload market lists hourly
+
+// Basis compares the same synthetic pair on these two providers
+export const BASIS_PROVIDERS = { spot: 'binance', futures: 'binance-futures' };
+
+// Pair statistics need at least this many candles priced in both legs
+export const MIN_STATS_CANDLES = 30;
+
+/**
+ * Market Data
+ * Builds synthetic pairs from the legs listed by a market-data provider
+ * (Binance spot by default), see providers/index.js for the interface
+ */
+class MarketData {
+  constructor() {
+    // Market indexes keyed by provider id ({ index, loadedAt })
+    this.marketIndexes = new Map();
+  }
+
+  /**
+   * Fetch every trading market of a provider
+   * @param {string} [providerId] - Provider id (default: DEFAULT_PROVIDER)
+   * @returns {Promise<Array>} Markets ({ symbol, baseAsset, quoteAsset })
+   */
+  async getMarkets(providerId) {
+    return getProvider(providerId).getMarkets();
+  }
+
+  /**
+   * Get the market index used for route resolution, reloading it when stale
+   * @param {string} [providerId] - Provider id (default: DEFAULT_PROVIDER)
+   * @returns {Promise<Map<string, Object>>} Markets keyed by `${baseAsset}/${quoteAsset}`
+   */
+  async getMarketIndex(providerId) {
+    const provider = getProvider(providerId);
+    const cached = this.marketIndexes.get(provider.id);
+
+    if (cached && Date.now() - cached.loadedAt <= MARKETS_TTL) {
+      return cached.index;
+    }
+
+    const index = indexMarkets(await provider.getMarkets());
+    this.marketIndexes.set(provider.id, { index, loadedAt: Date.now() });
+
+    return index;
+  }
+
+  /**
+   * Resolve how to price coinA in coinB
+   * @param {string} coinA - Base coin (e.g., 'BTC')
+   * @param {string} coinB - Quote coin (e.g., 'ETH')
+   * @param {string} [bridge] - Force a cross through this bridge asset
+   * @param {string} [providerId] - Provider id (default: DEFAULT_PROVIDER)
+   * @returns {Promise<Object>} Route ({ type, bridge, legs, description })
+   */
+  async resolveRoute(coinA, coinB, bridge, providerId) {
+    const marketIndex = await this.getMarketIndex(providerId);
+
+    if (!bridge) {
+      return resolveRoute(marketIndex, coinA, coinB, DEFAULT_BRIDGES);
+    }
+
+    // A forced bridge means "cross through it", unless the bridge is one of the coins
+    const isEndpoint = bridge === coinA || bridge === coinB;
+    return resolveRoute(marketIndex, coinA, coinB, [bridge], isEndpoint);
+  }
+
+  /**
+   * Get one leg, either the latest candles or a time range
+   * Served from the in-memory leg cache, then the on-disk store, then the provider
+   * (local providers, recording and replay skip the store)
+   * @param {Object} provider - Market-data provider
+   * @param {string} symbol - Trading pair symbol
+   * @param {string} interval - Kline interval
+   * @param {number} limit - Number of candles when no start time is given
+   * @param {Object} range - Time range in seconds ({ from, to }), plus `refresh` to skip the cache,
+   *   `topUp` to refetch cached candles that were still forming, and `priceSource` ('last' by default)
+   * @returns {Promise<Array>} Array of kline data
+   */
+  async getLegKlines(provider, symbol, interval, limit, range) {
+    const now = provider.now ? provider.now() : recorder.now();
+    const to = Math.min(range.to ?? now, now);
+    const priceSource = range.priceSource || 'last';
+
+    // Mark, index and premium candles are cached and stored apart from trades
+    const sourceId = priceSource === 'last' ? provider.id : `${provider.id}-${priceSource}`;
+
+    if (range.refresh) {
+      cache.delete(sourceId, symbol, interval);
+    }
+
+    const fetchUpstream = (rangeFrom, rangeTo) => provider.getKlinesRange(symbol, interval, rangeFrom, rangeTo, priceSource);
+
+    // Local providers (no request queue) are already on disk. While recording every
+    // candle must come from upstream, and replays shouldn't mix with real history.
+    const fetchRange = provider.queue && recorder.mode === 'live'
+      ? (rangeFrom, rangeTo) => store.getKlines(sourceId, symbol, interval, rangeFrom, rangeTo, fetchUpstream)
+      : fetchUpstream;
+
+    if (range.from !== undefined) {
+      return cache.getLegKlines(sourceId, symbol, interval, range.from, to, fetchRange, { topUp: range.topUp });
+    }
+
+    // Without a start, take the last `limit` candles up to `to`
+    // (one interval of slack covers a `to` that isn't aligned to an open time)
+    const count = Math.min(limit, MAX_LIMIT);
+    const from = to - count * getIntervalSeconds(interval);
+    const klines = await cache.getLegKlines(sourceId, symbol, interval, from, to, fetchRange, { topUp: range.topUp });
+    return klines.slice(-count);
+  }
+
+  /**
+   * Calculate synthetic pair klines along the best available route
+   * @param {string} coinA - Base coin (e.g., 'BTC')
+   * @param {string} coinB - Quote coin (e.g., 'ETH')
+   * @param {string} interval - Kline interval
+   * @param {number} limit - Number of candles (ignored when a range is given)
+   * @param {Object} [options] - Optional range and routing settings
+   * @param {number} [options.from] - Range start in seconds
+   * @param {number} [options.to] - Range end in seconds (default: now)
+   * @param {string} [options.bridge] - Force a specific bridge asset
+   * @param {string} [options.wicks] - 'fast' (default) or 'accurate'
+   * @param {string} [options.align] - Missing-leg policy: 'drop' (default), 'ffill' or 'mark'
+   * @param {boolean} [options.refresh] - Refetch the legs instead of using cached candles
+   * @param {boolean} [options.topUp] - Refetch only the cached candles that were still forming
+   * @param {string} [options.provider] - Market-data provider id (default: DEFAULT_PROVIDER)
+   * @param {string} [options.priceSource] - Leg prices: 'last' (default), 'mark' or 'index'
+   * @returns {Promise<{route: Object, klines: Array, wicks: Object, alignment: Object, priceSource: string}>}
+   *   Route used, synthetic kline data, wick mode, leg-alignment diagnostics and price source
+   */
+  async getSyntheticPair(coinA, coinB, interval = '1h', limit = 500, options = {}) {
+    try {
+      const provider = getProvider(options.provider);
+      const priceSource = options.priceSource || 'last';
+
+      if (provider.intervals && !provider.intervals.includes(interval)) {
+        throw new Error(`Interval ${interval} is not available on ${provider.name}`);
+      }
+
+      if (!PRICE_SOURCES.includes(priceSource) || !hasPriceSource(provider, priceSource)) {
+        throw new Error(`Price source ${priceSource} is not available on ${provider.name}`);
+      }
+
+      const route = await this.resolveRoute(coinA, coinB, options.bridge, provider.id);
+
+      // Fetch all legs in parallel
+      const legKlines = await Promise.all(
+        route.legs.map(leg => this.getLegKlines(provider, leg.symbol, interval, limit, options))
+      );
+
+      const { klines, alignment } = combineSeries(route, legKlines, {
+        policy: options.align,
+        intervalSeconds: getIntervalSeconds(interval)
+      });
+
+      if (options.wicks === 'accurate') {
+        return { route, alignment, priceSource, ...await this.getAccurateWicks(provider, route, interval, klines, priceSource) };
+      }
+
+      return {
+        route,
+        klines,
+        wicks: { mode: 'fast' },
+        alignment,
+        priceSource
+      };
+    } catch (error) {
+      console.error(`Error calculating synthetic pair ${coinA}/${coinB}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild wicks from lower-timeframe ratio candles
+   * Single-leg routes already have exact wicks and are returned unchanged
+   * @param {Object} provider - Market-data provider
+   * @param {Object} route - Route the klines were built from
+   * @param {string} interval - Kline interval
+   * @param {Array} klines - Fast-mode synthetic klines
+   * @param {string} priceSource - Price source the klines were built from
+   * @returns {Promise<{klines: Array, wicks: Object}>} Refined klines and wick mode details
+   */
+  async getAccurateWicks(provider, route, interval, klines, priceSource) {
+    const subInterval = getWickSubInterval(interval);
+    const subAvailable = !provider.intervals || provider.intervals.includes(subInterval);
+
+    if (route.legs.length === 1 || !subInterval || !subAvailable || klines.length === 0) {
+      return {
+        klines,
+        wicks: { mode: 'accurate', subInterval: null, maxError: { high: 0, low: 0 } }
+      };
+    }
+
+    // Cover every sub-candle inside the loaded candles
+    const from = klines[0].time;
+    const to = klines[klines.length - 1].time + getIntervalSeconds(interval) - 1;
+
+    const subLegKlines = await Promise.all(
+      route.legs.map(leg => this.getLegKlines(provider, leg.symbol, subInterval, undefined, { from, to, priceSource }))
+    );
+
+    // Sub-candles only bound the wicks, so incomplete ones are simply dropped
+    const refined = refineWicks(klines, combineSeries(route, subLegKlines).klines);
+
+    return {
+      klines: refined.klines,
+      wicks: { mode: 'accurate', subInterval, maxError: refined.maxError }
+    };
+  }
+
+  /**
+   * Calculate klines for a formula instrument, e.g. `(BTC+ETH)/2 / SOL`
+   * Every referenced asset is priced in the quote coin along its best route
+   * @param {string} formula - Formula text
+   * @param {string} quote - Coin every asset is priced in (e.g., 'USDT')
+   * @param {string} interval - Kline interval
+   * @param {number} limit - Number of candles (ignored when a range is given)
+   * @param {Object} [options] - Optional range and routing settings, as in getSyntheticPair
+   * @returns {Promise<{formula: string, route: Object, klines: Array, wicks: Object, alignment: Object}>}
+   *   Canonical formula, legs used, klines and per-asset alignment diagnostics
+   */
+  async getFormulaKlines(formula, quote, interval = '1h', limit = 500, options = {}) {
+    try {
+      // The quote asset itself is worth exactly 1 quote
+      const tree = substituteAsset(parseFormula(formula), quote, 1);
+      const assets = getAssets(tree);
+
+      if (assets.length === 0) {
+        throw new Error(`Formula must reference an asset other than ${quote}`);
+      }
+
+      // Fetch every asset leg in parallel
+      const synthetics = await Promise.all(
+        assets.map(asset => this.getSyntheticPair(asset, quote, interval, limit, options))
+      );
+
+      const assetKlines = Object.fromEntries(assets.map((asset, i) => [asset, synthetics[i].klines]));
+      const canonical = formatFormula(tree);
+
+      return {
+        formula: canonical,
+        route: {
+          type: 'formula',
+          bridge: null,
+          legs: synthetics.flatMap(synthetic => synthetic.route.legs),
+          assets: Object.fromEntries(assets.map((asset, i) => [asset, synthetics[i].route.description])),
+          description: `${canonical} in ${quote}`
+        },
+        klines: evaluateFormula(tree, assetKlines),
+        wicks: { mode: options.wicks || 'fast' },
+        priceSource: options.priceSource || 'last',
+        // Candles missing from any asset cannot be evaluated and are always dropped
+        alignment: {
+          policy: options.align || 'drop',
+          assets: Object.fromEntries(assets.map((asset, i) => [asset, synthetics[i].alignment]))
+        }
+      };
+    } catch (error) {
+      console.error(`Error evaluating formula ${formula}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare a synthetic pair built from spot prices with the same pair built from perpetual futures
+   * Basis is the futures ratio over the spot ratio, in percent. Each futures leg's
+   * premium index (its premium over the index price, which drives funding) comes along.
+   * @param {string} coinA - Base coin (e.g., 'BTC')
+   * @param {string} coinB - Quote coin (e.g., 'ETH')
+   * @param {string} interval - Kline interval
+   * @param {number} limit - Number of candles (ignored when a range is given)
+   * @param {Object} [options] - Optional range and routing settings, as in getSyntheticPair
+   * @param {string} [options.priceSource] - Futures leg prices: 'last' (default), 'mark' or 'index'
+   * @returns {Promise<{spot: Object, futures: Object, priceSource: string, basis: Array, premiums: Array}>}
+   *   Routes of both sides, basis points ({ time, spot, futures, basis }) and per-leg premiums
+   */
+  async getBasis(coinA, coinB, interval = '1h', limit = 500, options = {}) {
+    try {
+      const futuresProvider = getProvider(BASIS_PROVIDERS.futures);
+      const priceSource = options.priceSource || 'last';
+
+      // Wicks don't matter for closes, skip the lower-timeframe fetch
+      const [spot, futures] = await Promise.all([
+        this.getSyntheticPair(coinA, coinB, interval, limit, {
+          ...options, provider: BASIS_PROVIDERS.spot, priceSource: 'last', wicks: undefined
+        }),
+        this.getSyntheticPair(coinA, coinB, interval, limit, {
+          ...options, provider: BASIS_PROVIDERS.futures, priceSource, wicks: undefined
+        })
+      ]);
+
+      const spotCloses = new Map(
+        spot.klines.filter(k => k.close !== undefined).map(k => [k.time, k.close])
+      );
+
+      // Only candles priced on both sides have a basis
+      const basis = futures.klines
+        .filter(k => k.close !== undefined && spotCloses.has(k.time))
+        .map(k => {
+          const spotClose = spotCloses.get(k.time);
+          return { time: k.time, spot: spotClose, futures: k.close, basis: (k.close / spotClose - 1) * 100 };
+        });
+
+      const premiums = hasPriceSource(futuresProvider, 'premium')
+        ? await Promise.all(futures.route.legs.map(async leg => {
+          const klines = await this.getLegKlines(futuresProvider, leg.symbol, interval, limit, {
+            ...options, priceSource: 'premium'
+          });
+          return { symbol: leg.symbol, premium: klines.map(k => ({ time: k.time, value: k.close * 100 })) };
+        }))
+        : [];
+
+      return {
+        spot: { provider: BASIS_PROVIDERS.spot, route: spot.route, alignment: spot.alignment },
+        futures: { provider: BASIS_PROVIDERS.futures, route: futures.route, alignment: futures.alignment },
+        priceSource,
+        basis,
+        premiums
+      };
+    } catch (error) {
+      console.error(`Error calculating basis ${coinA}/${coinB}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare several synthetic pairs over the same candles, rebased to percent change
+   * Only candles priced in every pair are kept, so all series share one time axis
+   * @param {Array<{coinA: string, coinB: string}>} pairs - Pairs to compare
+   * @param {string} interval - Kline interval
+   * @param {number} limit - Number of candles (ignored when a range is given)
+   * @param {Object} [options] - Optional range and routing settings, as in getSyntheticPair
+   * @param {number} [options.anchor] - Rebase on the first shared candle at or after this time (default: the first)
+   * @returns {Promise<{anchor: number|null, times: Array<number>, pairs: Array}>}
+   *   Anchor candle time, shared candle times and per-pair { pair, route, closes, change } in percent
+   */
+  async getComparison(pairs, interval = '1h', limit = 500, options = {}) {
+    try {
+      // Closes only, skip the lower-timeframe wick fetch
+      const synthetics = await Promise.all(pairs.map(({ coinA, coinB }) =>
+        this.getSyntheticPair(coinA, coinB, interval, limit, { ...options, wicks: undefined })
+      ));
+
+      const closes = synthetics.map(synthetic => new Map(
+        synthetic.klines.filter(k => k.close !== undefined).map(k => [k.time, k.close])
+      ));
+
+      const times = [...closes[0].keys()]
+        .filter(time => closes.every(series => series.has(time)))
+        .sort((a, b) => a - b);
+
+      let anchorIndex = 0;
+
+      if (options.anchor !== undefined) {
+        anchorIndex = times.findIndex(time => time >= options.anchor);
+
+        // An anchor past the last shared candle rebases on the last one
+        if (anchorIndex === -1) anchorIndex = times.length - 1;
+      }
+
+      return {
+        anchor: times.length > 0 ? times[anchorIndex] : null,
+        times,
+        pairs: pairs.map(({ coinA, coinB }, i) => {
+          const values = times.map(time => closes[i].get(time));
+          const base = values[anchorIndex];
+
+          return {
+            pair: `${coinA}/${coinB}`,
+            route: synthetics[i].route,
+            closes: values,
+            change: values.map(value => (value / base - 1) * 100)
+          };
+        })
+      };
+    } catch (error) {
+      console.error(`Error comparing ${pairs.map(({ coinA, coinB }) => `${coinA}/${coinB}`).join(', ')}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Mean-reversion statistics of coinA/coinB, from both coins priced in a reference asset
+   * Candles before the requested ones warm up the rolling windows; the regression,
+   * cointegration test and half-life use the requested candles only
+   * @param {string} coinA - Base coin (e.g., 'SOL')
+   * @param {string} coinB - Quote coin (e.g., 'ETH')
+   * @param {string} interval - Kline interval
+   * @param {number} limit - Number of candles (ignored when a range is given)
+   * @param {Object} options - Range and routing settings, as in getSyntheticPair
+   * @param {string} options.reference - Asset both legs are priced in (e.g., 'USDT')
+   * @param {number} options.window - Candles per rolling z-score and correlation window
+   * @param {number} options.lags - Lagged differences in the ADF regression
+   * @returns {Promise<Object|null>} Legs, aligned series and test results,
+   *   or null if fewer than MIN_STATS_CANDLES candles are priced in both legs
+   */
+  async getPairStats(coinA, coinB, interval, limit, options) {
+    try {
+      const { reference, window, lags, ...rest } = options;
+      const intervalSeconds = getIntervalSeconds(interval);
+      const legOptions = {
+        ...rest,
+        from: rest.from !== undefined ? rest.from - window * intervalSeconds : undefined,
+        wicks: undefined
+      };
+
+      const [base, quote] = await Promise.all([
+        this.getSyntheticPair(coinA, reference, interval, limit + window, legOptions),
+        this.getSyntheticPair(coinB, reference, interval, limit + window, legOptions)
+      ]);
+
+      const quoteCloses = new Map(
+        quote.klines.filter(k => k.close !== undefined).map(k => [k.time, k.close])
+      );
+      const candles = base.klines
+        .filter(k => k.close !== undefined && quoteCloses.has(k.time))
+        .map(k => ({ time: k.time, base: k.close, quote: quoteCloses.get(k.time) }));
+
+      // Drop the warm-up candles again: before `from`, or beyond the last `limit`
+      const start = rest.from !== undefined
+        ? candles.findIndex(candle => candle.time >= rest.from)
+        : Math.max(0, candles.length - limit);
+      const count = start === -1 ? 0 : candles.length - start;
+
+      if (count < MIN_STATS_CANDLES) return null;
+
+      const ratio = candles.map(candle => candle.base / candle.quote);
+      const logRatio = ratio.map(Math.log);
+      const returns = [candles.map(candle => candle.base), candles.map(candle => candle.quote)].map(logReturns);
+      const trim = values => values.slice(start);
+
+      const logBase = trim(candles).map(candle => Math.log(candle.base));
+      const logQuote = trim(candles).map(candle => Math.log(candle.quote));
+      const cointegration = engleGranger(logBase, logQuote, lags);
+      const candlesToRevert = halfLife(cointegration.spread);
+
+      return {
+        legs: {
+          base: { pair: `${coinA}/${reference}`, route: base.route },
+          quote: { pair: `${coinB}/${reference}`, route: quote.route }
+        },
+        times: trim(candles).map(candle => candle.time),
+        ratio: trim(ratio),
+        logRatio: trim(logRatio),
+        zScore: {
+          ratio: trim(rollingZScore(ratio, window)),
+          logRatio: trim(rollingZScore(logRatio, window))
+        },
+        // Returns start at the second candle
+        correlation: trim([null, ...rollingCorrelation(returns[0], returns[1], window)]),
+        spread: cointegration.spread,
+        hedgeRatio: cointegration.hedgeRatio,
+        cointegration: {
+          method: 'engle-granger',
+          adfStatistic: cointegration.adfStatistic,
+          lags: cointegration.lags,
+          observations: cointegration.observations,
+          criticalValues: cointegration.criticalValues,
+          cointegrated: cointegration.cointegrated
+        },
+        halfLife: candlesToRevert !== null
+          ? { candles: candlesToRevert, seconds: Math.round(candlesToRevert * intervalSeconds) }
+          : null
+      };
+    } catch (error) {
+      console.error(`Error calculating pair stats ${coinA}/${coinB}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Correlation matrix of several coins' returns, and the performance of their cross rates
+   * Each coin is priced in the reference asset, so the legs come from the same cache as charts
+   * @param {Array<string>} coins - Coins (e.g., ['BTC', 'ETH', 'SOL'])
+   * @param {string} interval - Kline interval
+   * @param {number} limit - Number of candles (ignored when a range is given)
+   * @param {Object} options - Range and routing settings, as in getSyntheticPair
+   * @param {string} options.reference - Asset every coin is priced in (e.g., 'USDT')
+   * @returns {Promise<Object>} Coins, shared candle times, matrices ordered like `coins`, and coins that failed
+   */
+  async getCorrelation(coins, interval, limit, options) {
+    const { reference, ...rest } = options;
+
+    // A coin without a route shouldn't sink the whole matrix
+    const settled = await Promise.allSettled(coins.map(coin =>
+      this.getSyntheticPair(coin, reference, interval, limit, { ...rest, wicks: undefined })
+    ));
+
+    const missing = [];
+    const priced = [];
+
+    settled.forEach((outcome, i) => {
+      if (outcome.status === 'rejected') {
+        missing.push({ coin: coins[i], error: outcome.reason.message });
+        return;
+      }
+
+      const closes = new Map(
+        outcome.value.klines.filter(k => k.close !== undefined).map(k => [k.time, k.close])
+      );
+      priced.push({ coin: coins[i], closes });
+    });
+
+    const times = priced.length > 0
+      ? [...priced[0].closes.keys()].filter(time => priced.every(({ closes }) => closes.has(time))).sort((a, b) => a - b)
+      : [];
+
+    const prices = priced.map(({ closes }) => times.map(time => closes.get(time)));
+    const returns = prices.map(logReturns);
+
+    // Change of each coin priced in the reference over the shared candles, in percent
+    const growth = prices.map(values => values[values.length - 1] / values[0]);
+
+    return {
+      coins: priced.map(({ coin }) => coin),
+      times,
+      // correlation[i][j]: correlation of coin i's and coin j's log returns
+      correlation: returns.map((a, i) => returns.map((b, j) => (i === j ? 1 : correlation(a, b)))),
+      // performance[i][j]: percent change of coin i priced in coin j
+      performance: growth.map(a => growth.map(b => (a / b - 1) * 100)),
+      changes: growth.map(value => (value - 1) * 100),
+      missing
+    };
+  }
+}
+
+export default new MarketData();
@@ -0,0 +1,113 @@
+/**
+ * Chart Page
+ * Fills the page title, description and Open Graph tags of index.html from
+ * the chart state in a shared link's query, so a pasted link previews as the
+ * chart it opens. The browser restores the chart itself from the same query.
+ */
+
+import { parseIndicatorSpec } from '../shared/indicators.js';
+import { isValidInterval } from '../shared/intervals.js';
+
+const SITE_NAME = 'Binance Cross-Pair Chart';
+const PAIR_PATTERN = /^[A-Z0-9]{1,20}\/[A-Z0-9]{1,20}$/;
+const MAX_FORMULA_LENGTH = 100; // Longer formulas are cut in the title
+
+// Chart types as named in descriptions, candles when unset
+const CHART_TYPE_NAMES = { candles: 'candlestick', bars: 'OHLC bar', line: 'line', area: 'area' };
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a link time as a date
+ * @param {string|undefined} value - ISO 8601 time or unix seconds
+ * @returns {string|null} Date (e.g., '2024-01-01'), null if missing or invalid
+ */
+function formatLinkDate(value) {
+    if (!value) return null;
+
+    const ms = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+    return Number.isNaN(ms) ? null : new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Describe the chart of a link
+ * Values that don't parse are left out, so a bad link still gets a sensible preview
+ * @param {Object} query - Link query ({ pair, formula, quote, interval, from, to, type, indicators, provider })
+ * @param {Array<Object>} providers - Market-data providers ({ id, name })
+ * @returns {{title: string, description: string}|null} Title and description, or null without a pair or formula
+ */
+export function describeChart(query, providers) {
+    const pair = typeof query.pair === 'string' ? query.pair.toUpperCase() : '';
+    const formula = typeof query.formula === 'string' ? query.formula.trim().slice(0, MAX_FORMULA_LENGTH) : '';
+    const quote = typeof query.quote === 'string' && /^[A-Z0-9]{1,20}$/i.test(query.quote) ? query.quote.toUpperCase() : 'USDT';
+
+    let instrument;
+    if (formula) instrument = `${formula} in ${quote}`;
+    else if (PAIR_PATTERN.test(pair)) instrument = pair;
+    else return null;
+
+    const interval = typeof query.interval === 'string' && isValidInterval(query.interval) ? query.interval : null;
+    const chartType = CHART_TYPE_NAMES[query.type] ?? CHART_TYPE_NAMES.candles;
+    const provider = providers.find(({ id }) => id === query.provider);
+
+    const from = formatLinkDate(query.from);
+    const to = formatLinkDate(query.to);
+    let span = 'latest candles';
+    if (from && to) span = `${from} to ${to}`;
+    else if (from) span = `since ${from}`;
+    else if (to) span = `until ${to}`;
+
+    let indicators = [];
+    try {
+        if (typeof query.indicators === 'string') indicators = parseIndicatorSpec(query.indicators).map(({ id }) => id.toUpperCase());
+    } catch {
+        // A preview without the indicators beats none
+    }
+
+    const title = [instrument, interval, SITE_NAME].filter(Boolean).join(' · ');
+    const description = `${instrument} synthetic ${interval ? `${interval} ` : ''}${chartType} chart, ${span}`
+        + `${indicators.length > 0 ? `, with ${indicators.join(', ')}` : ''}`
+        + `${provider ? `, priced from ${provider.name} markets` : ''}.`;
+
+    return { title, description };
+}
+
+/**
+ * Fill index.html with the title, description and Open Graph tags of a link
+ * @param {string} html - index.html
+ * @param {Object} query - Link query, as in describeChart
+ * @param {string} url - Absolute URL of the link
+ * @param {Array<Object>} providers - Market-data providers ({ id, name })
+ * @returns {string} Page
+ */
+export function renderChartPage(html, query, url, providers) {
+    const chart = describeChart(query, providers);
+    const title = chart?.title ?? `${SITE_NAME} - Synthetic Trading Pairs`;
+    const description = chart?.description
+        ?? 'View synthetic trading pair charts by calculating cross-pair rates from exchange markets';
+
+    const tags = [
+        ['og:type', 'website'],
+        ['og:site_name', SITE_NAME],
+        ['og:title', title],
+        ['og:description', description],
+        ['og:url', url]
+    ].map(([property, content]) => `<meta property="${property}" content="${escapeHtml(content)}">`);
+    tags.push('<meta name="twitter:card" content="summary">');
+
+    return html
+        .replace(/<meta name="description"[^>]*>/, () => `<meta name="description" content="${escapeHtml(description)}">`)
+        .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(title)}</title>\n  ${tags.join('\n  ')}`);
+}
@@ -0,0 +1,197 @@
+import { RequestQueue } from '../queue.js';
+import { getIntervalSeconds } from '../../shared/intervals.js';
+
+/**
+ * Request weight of a klines call, which grows with the page size
+ * @param {number} limit - Candles requested
+ * @returns {number} Weight
+ */
+function getKlinesWeight(limit) {
+  if (limit < 100) return 1;
+  if (limit < 500) return 2;
+  if (limit <= 1000) return 5;
+  return 10;
+}
+
+/**
+ * Binance Provider
+ * Market data from a Binance REST API. Spot and USDⓈ-M futures share the
+ * kline layout and only differ in hosts, paths and limits. Futures also
+ * serve mark, index and premium-index candles in the same layout (without volume).
+ */
+export class BinanceProvider {
+  /**
+   * @param {Object} settings - API settings
+   * @param {string} settings.id - Provider id used in requests (e.g., 'binance')
+   * @param {string} settings.name - Display name
+   * @param {string} settings.apiBase - REST base URL
+   * @param {string} settings.exchangeInfoPath - Path of the exchange info endpoint
+   * @param {number} settings.exchangeInfoWeight - Request weight of the exchange info endpoint
+   * @param {Object} settings.klinesPaths - Klines endpoint path per price source ({ last, mark?, index?, premium? })
+   * @param {number} settings.maxKlinesPerRequest - Largest page the klines endpoint returns
+   * @param {number} settings.weightLimit - Request weight allowed per minute
+   * @param {string|null} settings.streamUrl - WebSocket base for kline streams
+   * @param {Function} [settings.filterMarket] - Extra filter on exchange info symbols
+   */
+  constructor(settings) {
+    Object.assign(this, settings);
+    this.priceSources = Object.keys(settings.klinesPaths);
+
+    this.queue = new RequestQueue({
+      name: settings.name,
+      weightLimit: settings.weightLimit,
+      weightHeader: 'x-mbx-used-weight-1m'
+    });
+  }
+
+  /**
+   * Fetch every market that is currently trading
+   * @returns {Promise<Array>} Markets ({ symbol, baseAsset, quoteAsset })
+   */
+  async getMarkets() {
+    try {
+      const response = await this.queue.get(`${this.apiBase}${this.exchangeInfoPath}`, {}, this.exchangeInfoWeight);
+
+      // Keep every market that is currently trading, any quote asset
+      const tradingPairs = response.data.symbols.filter(symbol =>
+        symbol.status === 'TRADING' && (!this.filterMarket || this.filterMarket(symbol))
+      );
+
+      return tradingPairs.map(symbol => ({
+        symbol: symbol.symbol,
+        baseAsset: symbol.baseAsset,
+        quoteAsset: symbol.quoteAsset
+      }));
+    } catch (error) {
+      console.error(`Error fetching ${this.name} exchange info:`, error.message);
+      throw new Error(`Failed to fetch symbols: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch kline/candlestick data for a symbol
+   * @param {string} symbol - Trading pair symbol (e.g., 'BTCUSDT')
+   * @param {string} interval - Kline interval (e.g., '1h', '1d')
+   * @param {number} limit - Number of candles to fetch
+   * @param {Object} [range] - Optional time bounds in milliseconds
+   * @param {number} [range.startTime] - Open time of the first candle
+   * @param {number} [range.endTime] - Open time of the last candle
+   * @param {string} [priceSource] - 'last' (default), 'mark', 'index' or 'premium'
+   * @returns {Promise<Array>} Array of kline data
+   */
+  async getKlines(symbol, interval, limit, range = {}, priceSource = 'last') {
+    const klinesPath = this.klinesPaths[priceSource];
+
+    if (!klinesPath) {
+      throw new Error(`Price source ${priceSource} is not available on ${this.name}`);
+    }
+
+    try {
+      const pageSize = Math.min(limit, this.maxKlinesPerRequest);
+      const response = await this.queue.get(`${this.apiBase}${klinesPath}`, {
+        params: {
+          // Index prices are per underlying pair, which is the perpetual's symbol
+          [priceSource === 'index' ? 'pair' : 'symbol']: symbol,
+          interval,
+          limit: pageSize,
+          startTime: range.startTime,
+          endTime: range.endTime
+        }
+      }, getKlinesWeight(pageSize));
+
+      // Transform Binance kline format to a more usable structure
+      // [openTime, open, high, low, close, volume, closeTime, quoteVolume, ...]
+      return response.data.map(k => ({
+        time: Math.floor(k[0] / 1000), // Convert to seconds for Lightweight Charts
+        open: parseFloat(k[1]),
+        high: parseFloat(k[2]),
+        low: parseFloat(k[3]),
+        close: parseFloat(k[4]),
+        volume: parseFloat(k[5]),     // Base asset volume
+        quoteVolume: parseFloat(k[7]) // Quote asset volume
+      }));
+    } catch (error) {
+      console.error(`Error fetching ${this.name} klines for ${symbol}:`, error.message);
+
+      // Handle specific Binance API errors
+      if (error.response?.status === 429 || error.response?.status === 418) {
+        throw new Error('Rate limit exceeded. Please try again later.');
+      }
+
+      if (error.response?.data?.msg) {
+        throw new Error(`Binance API error: ${error.response.data.msg}`);
+      }
+
+      throw new Error(`Failed to fetch klines: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch every kline between two times, paging past the per-request limit
+   * @param {string} symbol - Trading pair symbol (e.g., 'BTCUSDT')
+   * @param {string} interval - Kline interval
+   * @param {number} from - Range start in seconds
+   * @param {number} to - Range end in seconds
+   * @param {string} [priceSource] - 'last' (default), 'mark', 'index' or 'premium'
+   * @returns {Promise<Array>} Array of kline data in ascending time order
+   */
+  async getKlinesRange(symbol, interval, from, to, priceSource = 'last') {
+    const klines = [];
+    const endTime = to * 1000;
+    const intervalMs = getIntervalSeconds(interval) * 1000;
+    let startTime = from * 1000;
+
+    while (startTime <= endTime) {
+      // Ask only for the candles left in the range, small pages weigh less
+      const pageSize = Math.min(this.maxKlinesPerRequest, Math.floor((endTime - startTime) / intervalMs) + 1);
+      const page = await this.getKlines(symbol, interval, pageSize, { startTime, endTime }, priceSource);
+      klines.push(...page);
+
+      // A short page means we've reached the end of the range (or of the listing)
+      if (page.length < pageSize) break;
+
+      // Continue right after the last candle we received
+      startTime = page[page.length - 1].time * 1000 + 1;
+    }
+
+    return klines;
+  }
+}
+
+/**
+ * Binance spot markets
+ */
+export const binanceSpot = new BinanceProvider({
+  id: 'binance',
+  name: 'Binance Spot',
+  apiBase: 'https://api.binance.com',
+  exchangeInfoPath: '/api/v3/exchangeInfo',
+  exchangeInfoWeight: 20,
+  klinesPaths: { last: '/api/v3/klines' },
+  maxKlinesPerRequest: 1000,
+  weightLimit: parseInt(process.env.BINANCE_WEIGHT_LIMIT || '6000'),
+  // Point this at a local stand-in feed when testing
+  streamUrl: process.env.BINANCE_STREAM_URL || 'wss://stream.binance.com:9443'
+});
+
+/**
+ * Binance USDⓈ-M perpetual futures
+ * Dated delivery contracts are skipped, they share base and quote with the perpetual
+ */
+export const binanceFutures = new BinanceProvider({
+  id: 'binance-futures',
+  name: 'Binance USDⓈ-M Futures',
+  apiBase: 'https://fapi.binance.com',
+  exchangeInfoPath: '/fapi/v1/exchangeInfo',
+  exchangeInfoWeight: 1,
+  klinesPaths: {
+    last: '/fapi/v1/klines',
+    mark: '/fapi/v1/markPriceKlines',
+    index: '/fapi/v1/indexPriceKlines',
+    premium: '/fapi/v1/premiumIndexKlines'
+  },
+  maxKlinesPerRequest: 1500,
+  weightLimit: parseInt(process.env.BINANCE_FUTURES_WEIGHT_LIMIT || '2400'),
+  streamUrl: process.env.BINANCE_FUTURES_STREAM_URL || 'wss://fstream.binance.com',
+  filterMarket: symbol => symbol.contractType === 'PERPETUAL'
+});
@@ -0,0 +1,134 @@
+import { RequestQueue } from '../queue.js';
+
+const BYBIT_API_BASE = 'https://api.bybit.com';
+const MAX_KLINES_PER_REQUEST = 1000;
+
+// Bybit interval names, it has no 8h or 3d candles
+const BYBIT_INTERVALS = {
+    '1m': '1',
+    '3m': '3',
+    '5m': '5',
+    '15m': '15',
+    '30m': '30',
+    '1h': '60',
+    '2h': '120',
+    '4h': '240',
+    '6h': '360',
+    '12h': '720',
+    '1d': 'D',
+    '1w': 'W',
+    '1M': 'M'
+};
+
+/**
+ * Bybit Provider
+ * Spot market data from Bybit's public v5 API
+ */
+class BybitProvider {
+    constructor() {
+        this.id = 'bybit';
+        this.name = 'Bybit Spot';
+        this.intervals = Object.keys(BYBIT_INTERVALS);
+        this.streamUrl = null; // Bybit streams use a different protocol, no live updates
+
+        // Bybit allows 600 requests per 5 seconds per IP, every request weighs 1
+        this.queue = new RequestQueue({ name: this.name, weightLimit: 6000 });
+    }
+
+    /**
+     * Call a Bybit endpoint and unwrap its { retCode, retMsg, result } envelope
+     * @param {string} path - Endpoint path
+     * @param {Object} params - Query params
+     * @returns {Promise<Object>} Result payload
+     * @throws {Error} On a non-zero retCode
+     */
+    async request(path, params) {
+        const response = await this.queue.get(`${BYBIT_API_BASE}${path}`, { params });
+
+        if (response.data.retCode !== 0) {
+            throw new Error(`Bybit API error: ${response.data.retMsg}`);
+        }
+
+        return response.data.result;
+    }
+
+    /**
+     * Fetch every spot market that is currently trading
+     * @returns {Promise<Array>} Markets ({ symbol, baseAsset, quoteAsset })
+     */
+    async getMarkets() {
+        try {
+            const result = await this.request('/v5/market/instruments-info', { category: 'spot' });
+
+            return result.list
+                .filter(instrument => instrument.status === 'Trading')
+                .map(instrument => ({
+                    symbol: instrument.symbol,
+                    baseAsset: instrument.baseCoin,
+                    quoteAsset: instrument.quoteCoin
+                }));
+        } catch (error) {
+            console.error('Error fetching Bybit instruments:', error.message);
+            throw new Error(`Failed to fetch symbols: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch every kline between two times
+     * Bybit returns the newest candles of a range first, so pages walk backwards from `to`
+     * @param {string} symbol - Trading pair symbol (e.g., 'BTCUSDT')
+     * @param {string} interval - Kline interval
+     * @param {number} from - Range start in seconds
+     * @param {number} to - Range end in seconds
+     * @returns {Promise<Array>} Array of kline data in ascending time order
+     */
+    async getKlinesRange(symbol, interval, from, to) {
+        const bybitInterval = BYBIT_INTERVALS[interval];
+
+        if (!bybitInterval) {
+            throw new Error(`Interval ${interval} is not available on ${this.name}`);
+        }
+
+        const pages = [];
+        let end = to * 1000;
+
+        try {
+            while (end >= from * 1000) {
+                const result = await this.request('/v5/market/kline', {
+                    category: 'spot',
+                    symbol,
+                    interval: bybitInterval,
+                    start: from * 1000,
+                    end,
+                    limit: MAX_KLINES_PER_REQUEST
+                });
+
+                // [startTime, open, high, low, close, volume, turnover], newest first
+                const page = result.list.map(k => ({
+                    time: Math.floor(parseInt(k[0]) / 1000),
+                    open: parseFloat(k[1]),
+                    high: parseFloat(k[2]),
+                    low: parseFloat(k[3]),
+                    close: parseFloat(k[4]),
+                    volume: parseFloat(k[5]),     // Base coin volume
+                    quoteVolume: parseFloat(k[6]) // Quote coin turnover
+                })).reverse();
+
+                pages.unshift(page);
+
+                // A short page means we've reached the start of the range (or of the listing)
+                if (page.length < MAX_KLINES_PER_REQUEST) break;
+
+                // Continue right before the oldest candle we received
+                end = page[0].time * 1000 - 1;
+            }
+        } catch (error) {
+            console.error(`Error fetching Bybit klines for ${symbol}:`, error.message);
+            throw new Error(`Failed to fetch klines: ${error.message}`);
+        }
+
+        return pages.flat();
+    }
+}
+
+export default new BybitProvider();
@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(__dirname, '../../../fixtures');
+
+// The bundled fixtures end with the 2023-12-31 23:00 UTC hourly candle
+const FIXTURES_NOW = parseInt(process.env.FIXTURES_NOW || '1704070800');
+
+/**
+ * Fixture Provider
+ * Serves markets and candles from files, for offline use and tests:
+ *
+ *   markets.json                       [{ symbol, baseAsset, quoteAsset }, ...]
+ *   klines/<SYMBOL>_<interval>.ndjson  one [time, open, high, low, close, volume, quoteVolume] row per line
+ *
+ * The kline files use the candle store's row format, so files from
+ * data/candles/<provider>/ can be copied in as fixtures. The fixture clock
+ * stands still at FIXTURES_NOW so "latest candles" requests land inside them.
+ */
+class FixtureProvider {
+    constructor() {
+        this.id = 'fixture';
+        this.name = 'Fixtures (offline)';
+        this.streamUrl = null;
+        this.queue = null;
+    }
+
+    /**
+     * Current time as seen by the fixtures
+     * @returns {number} Seconds since epoch
+     */
+    now() {
+        return FIXTURES_NOW;
+    }
+
+    /**
+     * Read the fixture market list
+     * @returns {Promise<Array>} Markets ({ symbol, baseAsset, quoteAsset })
+     */
+    async getMarkets() {
+        try {
+            return JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, 'markets.json'), 'utf8'));
+        } catch (error) {
+            console.error('Error reading fixture markets:', error.message);
+            throw new Error(`Failed to fetch symbols: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read the fixture klines between two times
+     * A symbol or interval without a fixture file has no candles
+     * @param {string} symbol - Trading pair symbol (e.g., 'BTCUSDT')
+     * @param {string} interval - Kline interval
+     * @param {number} from - Range start in seconds
+     * @param {number} to - Range end in seconds
+     * @returns {Promise<Array>} Array of kline data in ascending time order
+     */
+    async getKlinesRange(symbol, interval, from, to) {
+        let content;
+
+        try {
+            content = await fs.readFile(path.join(FIXTURES_DIR, 'klines', `${symbol}_${interval}.ndjson`), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw new Error(`Failed to fetch klines: ${error.message}`);
+        }
+
+        return content
+            .split('\n')
+            .filter(Boolean)
+            .map(line => {
+                const [time, open, high, low, close, volume, quoteVolume] = JSON.parse(line);
+                return { time, open, high, low, close, volume, quoteVolume };
+            })
+            .filter(k => k.time >= from && k.time <= to)
+            .sort((a, b) => a.time - b.time);
+    }
+}
+
+export default new FixtureProvider();
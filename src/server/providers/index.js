@@ -0,0 +1,87 @@
+/**
+ * Market-Data Providers
+ * Every provider exposes the same interface, so synthetic pairs can be built
+ * from any exchange:
+ *
+ *   id, name          - Provider id used in requests and its display name
+ *   intervals         - Supported intervals (optional, all intervals if omitted)
+ *   streamUrl         - Binance-compatible kline WebSocket base, or null without live updates
+ *   queue             - RequestQueue limiting upstream calls, or null for local data
+ *   now()             - Current time in seconds (optional, for providers replaying a fixed period)
+ *   getMarkets()      - Promise of [{ symbol, baseAsset, quoteAsset }] for trading markets
+ *   priceSources      - Kline price sources offered (optional, ['last'] if omitted)
+ *   getKlinesRange(symbol, interval, from, to, priceSource)
+ *                     - Promise of candles with open times in [from, to] (seconds), oldest first
+ */
+
+import { binanceSpot, binanceFutures } from './binance.js';
+import bybit from './bybit.js';
+import fixture from './fixture.js';
+import recorder from '../recorder.js';
+
+const PROVIDERS = new Map([binanceSpot, binanceFutures, bybit, fixture].map(provider => [provider.id, provider]));
+
+// Kline streams aren't recorded, so replay runs without live updates
+if (recorder.mode === 'replay') {
+    PROVIDERS.forEach(provider => {
+        provider.streamUrl = null;
+    });
+}
+
+export const DEFAULT_PROVIDER = process.env.DEFAULT_PROVIDER || binanceSpot.id;
+
+// Prices a synthetic pair can be built from: last trades, mark prices or index prices.
+// Premium-index candles are rates, not prices, and are only used for basis views.
+export const PRICE_SOURCES = ['last', 'mark', 'index'];
+
+/**
+ * Check whether a provider serves candles of a price source
+ * @param {Object} provider - Market-data provider
+ * @param {string} priceSource - Price source (e.g., 'mark')
+ * @returns {boolean} True if the provider offers it
+ */
+export function hasPriceSource(provider, priceSource) {
+    return (provider.priceSources || ['last']).includes(priceSource);
+}
+
+/**
+ * Look up a provider by id
+ * @param {string} [id] - Provider id (default: DEFAULT_PROVIDER)
+ * @returns {Object} Provider
+ * @throws {Error} If no provider has that id
+ */
+export function getProvider(id = DEFAULT_PROVIDER) {
+    const provider = PROVIDERS.get(id);
+
+    if (!provider) {
+        throw new Error(`Unknown provider: ${id} (expected ${[...PROVIDERS.keys()].join(', ')})`);
+    }
+
+    return provider;
+}
+
+/**
+ * Describe every provider for clients
+ * @returns {Array<Object>} Providers ({ id, name, live, intervals, priceSources })
+ */
+export function listProviders() {
+    return [...PROVIDERS.values()].map(provider => ({
+        id: provider.id,
+        name: provider.name,
+        live: Boolean(provider.streamUrl),
+        intervals: provider.intervals || null,
+        priceSources: PRICE_SOURCES.filter(source => hasPriceSource(provider, source))
+    }));
+}
+
+/**
+ * Get request queue statistics for every provider that calls an upstream API
+ * @returns {Object} Queue stats keyed by provider id
+ */
+export function getQueueStats() {
+    return Object.fromEntries(
+        [...PROVIDERS.values()]
+            .filter(provider => provider.queue)
+            .map(provider => [provider.id, provider.queue.getStats()])
+    );
+}
@@ -0,0 +1,228 @@
+import recorder from './recorder.js';
+
+const WEIGHT_BUDGET_SHARE = 0.8; // Leave headroom for other clients on the same IP
+const MAX_CONCURRENT = 5;
+const REQUEST_TIMEOUT = 10000; // 10 seconds
+const MAX_RETRIES = 3;
+const RETRY_DELAY_BASE = 500; // Doubled on every attempt
+const DEFAULT_BAN_SECONDS = 60; // Used when a 418/429 has no Retry-After
+
+/**
+ * Request Queue
+ * Sends every REST call to one upstream API through a queue that keeps the
+ * used request weight under budget, retries transient failures with backoff
+ * and stops calling the API entirely after a 418/429 until its Retry-After passes.
+ * Each market-data provider owns one queue.
+ */
+export class RequestQueue {
+    /**
+     * @param {Object} settings - Upstream limits
+     * @param {string} settings.name - Upstream name used in logs and errors (e.g., 'Binance')
+     * @param {number} settings.weightLimit - Request weight allowed per minute
+     * @param {string} [settings.weightHeader] - Response header reporting the weight used this minute
+     */
+    constructor({ name, weightLimit, weightHeader }) {
+        this.name = name;
+        this.weightLimit = weightLimit;
+        this.weightBudget = Math.floor(weightLimit * WEIGHT_BUDGET_SHARE);
+        this.weightHeader = weightHeader;
+
+        this.queue = [];
+        this.inFlight = 0;
+        this.wakeTimer = null;
+
+        // Weight used in the current minute window, reset on the minute
+        this.window = currentWindow();
+        this.usedWeight = 0;
+
+        // Open while the upstream has asked us to back off
+        this.circuit = { open: false, until: 0, reason: null };
+
+        this.counters = { requests: 0, retries: 0, throttled: 0, rejected: 0 };
+    }
+
+    /**
+     * Queue a GET request
+     * @param {string} url - Request URL
+     * @param {Object} [config] - Axios request config (e.g., { params })
+     * @param {number} [weight] - Request weight as documented by the upstream (default: 1)
+     * @returns {Promise<Object>} Axios response
+     * @throws {Error} Axios error after the last retry, or if the circuit is open
+     */
+    get(url, config = {}, weight = 1) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ url, config, weight, attempt: 0, resolve, reject });
+            this.pump();
+        });
+    }
+
+    /**
+     * Dispatch queued requests while the weight budget and concurrency allow
+     */
+    pump() {
+        clearTimeout(this.wakeTimer);
+        this.wakeTimer = null;
+        this.rollWindow();
+
+        // Fail fast while banned rather than queueing for minutes
+        if (this.isCircuitOpen()) {
+            const seconds = Math.ceil((this.circuit.until - Date.now()) / 1000);
+            const error = new Error(`${this.name} rate limit reached (${this.circuit.reason}), requests paused for ${seconds}s`);
+
+            this.counters.rejected += this.queue.length;
+            this.queue.splice(0).forEach(task => task.reject(error));
+            return;
+        }
+
+        while (this.queue.length > 0 && this.inFlight < MAX_CONCURRENT) {
+            const task = this.queue[0];
+
+            // Out of budget for this minute, wait for the next window
+            if (this.usedWeight + task.weight > this.weightBudget) {
+                this.counters.throttled++;
+                this.wakeTimer = setTimeout(() => this.pump(), currentWindow() + 60000 - Date.now());
+                return;
+            }
+
+            this.queue.shift();
+            this.dispatch(task);
+        }
+    }
+
+    /**
+     * Send one request, retrying or re-queueing it on failure
+     * @param {Object} task - Queued request ({ url, config, weight, attempt, resolve, reject })
+     */
+    async dispatch(task) {
+        this.inFlight++;
+        this.usedWeight += task.weight;
+        this.counters.requests++;
+
+        try {
+            const response = await recorder.get(task.url, { timeout: REQUEST_TIMEOUT, ...task.config });
+            this.trackWeight(response);
+            task.resolve(response);
+        } catch (error) {
+            if (error.response) this.trackWeight(error.response);
+
+            const status = error.response?.status;
+
+            if (status === 418 || status === 429) {
+                this.openCircuit(status, error.response.headers?.['retry-after']);
+                task.reject(error);
+            } else if (isTransient(error) && task.attempt < MAX_RETRIES) {
+                const delay = RETRY_DELAY_BASE * 2 ** task.attempt + Math.random() * RETRY_DELAY_BASE;
+                task.attempt++;
+                this.counters.retries++;
+                console.warn(`Retrying ${task.url} in ${Math.round(delay)}ms (${error.message})`);
+
+                setTimeout(() => {
+                    this.queue.unshift(task);
+                    this.pump();
+                }, delay);
+            } else {
+                task.reject(error);
+            }
+        } finally {
+            this.inFlight--;
+            this.pump();
+        }
+    }
+
+    /**
+     * Update the used weight from the upstream's weight header, if it has one
+     * @param {Object} response - Axios response
+     */
+    trackWeight(response) {
+        if (!this.weightHeader) return;
+
+        const used = parseInt(response.headers?.[this.weightHeader]);
+        if (Number.isNaN(used)) return;
+
+        this.rollWindow();
+        this.usedWeight = Math.max(this.usedWeight, used);
+    }
+
+    /**
+     * Stop all upstream calls until the Retry-After has passed
+     * @param {number} status - 418 (IP banned) or 429 (rate limited)
+     * @param {string|undefined} retryAfter - Retry-After header in seconds
+     */
+    openCircuit(status, retryAfter) {
+        const seconds = parseInt(retryAfter) || DEFAULT_BAN_SECONDS;
+
+        this.circuit = {
+            open: true,
+            until: Date.now() + seconds * 1000,
+            reason: status === 418 ? 'IP banned' : 'too many requests'
+        };
+
+        console.error(`✗ ${this.name} returned ${status}, pausing upstream requests for ${seconds}s`);
+    }
+
+    /**
+     * Check whether the circuit is open, closing it once the pause has passed
+     * @returns {boolean} True while upstream calls are paused
+     */
+    isCircuitOpen() {
+        if (this.circuit.open && Date.now() >= this.circuit.until) {
+            this.circuit = { open: false, until: 0, reason: null };
+            console.log(`✓ ${this.name} circuit closed, resuming upstream requests`);
+        }
+
+        return this.circuit.open;
+    }
+
+    /**
+     * Reset the used weight when a new minute window starts
+     */
+    rollWindow() {
+        const window = currentWindow();
+
+        if (window !== this.window) {
+            this.window = window;
+            this.usedWeight = 0;
+        }
+    }
+
+    /**
+     * Get queue statistics
+     * @returns {Object} Weight usage, queue depth, circuit state and counters
+     */
+    getStats() {
+        this.rollWindow();
+
+        return {
+            usedWeight: this.usedWeight,
+            weightLimit: this.weightLimit,
+            weightBudget: this.weightBudget,
+            queued: this.queue.length,
+            inFlight: this.inFlight,
+            circuit: {
+                open: this.isCircuitOpen(),
+                until: this.circuit.open ? new Date(this.circuit.until).toISOString() : null,
+                reason: this.circuit.reason
+            },
+            ...this.counters
+        };
+    }
+}
+
+/**
+ * Start of the current one-minute weight window
+ * @returns {number} Milliseconds since epoch
+ */
+function currentWindow() {
+    return Math.floor(Date.now() / 60000) * 60000;
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * Network errors, timeouts and 5xx responses are; 4xx responses are not
+ * @param {Error} error - Axios error
+ * @returns {boolean} True if the request may succeed on retry
+ */
+function isTransient(error) {
+    if (!error.response) return true;
+    return error.response.status >= 500;
+}
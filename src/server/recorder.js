@@ -0,0 +1,338 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MARKET_DATA_MODES = ['live', 'record', 'replay'];
+
+const MODE = process.env.MARKET_DATA_MODE || 'live';
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, '../../recordings');
+const SESSION_FILE = path.join(RECORDINGS_DIR, 'session.json');
+
+// Simulated upstream behaviour while replaying
+const REPLAY_LATENCY = parseRange(process.env.REPLAY_LATENCY || '0'); // ms, e.g. '50-300'
+const REPLAY_ERROR_RATE = parseFloat(process.env.REPLAY_ERROR_RATE || '0'); // 0..1 of requests
+const REPLAY_ERRORS = (process.env.REPLAY_ERRORS || '429,500,malformed').split(',').map(kind => kind.trim());
+const REPLAY_RETRY_AFTER = '5'; // Seconds a simulated 418/429 asks us to wait
+
+// Time bounds a paged endpoint takes, so replay can serve ranges that were never requested verbatim
+const RANGE_PARAMS = [
+    { start: 'startTime', end: 'endTime' }, // Binance
+    { start: 'start', end: 'end' }          // Bybit
+];
+
+/**
+ * Recorder
+ * Every upstream REST call goes through here. Depending on MARKET_DATA_MODE:
+ *
+ *   live   - call the upstream API (default)
+ *   record - call the upstream API and write each successful response to RECORDINGS_DIR
+ *   replay - serve responses from RECORDINGS_DIR without network access, optionally
+ *            with simulated latency, rate limits, server errors and malformed payloads
+ *
+ * Recordings live at <host>/<endpoint>/<hash>.json. Replay matches a request on
+ * its URL and params, and serves kline ranges from whatever recorded pages cover them.
+ */
+class Recorder {
+    constructor() {
+        if (!MARKET_DATA_MODES.includes(MODE)) {
+            throw new Error(`Invalid MARKET_DATA_MODE: ${MODE} (expected ${MARKET_DATA_MODES.join(', ')})`);
+        }
+
+        this.mode = MODE;
+
+        // Recordings of an endpoint directory, loaded once per replay session
+        this.endpoints = new Map();
+
+        // Replay runs at the time the recordings were made
+        this.recordedAt = this.mode === 'replay' ? loadSessionTime() : null;
+
+        this.counters = { recorded: 0, replayed: 0, misses: 0, simulatedErrors: 0 };
+    }
+
+    /**
+     * Perform a GET request in the configured mode
+     * @param {string} url - Request URL
+     * @param {Object} [config] - Axios request config (e.g., { params, timeout })
+     * @returns {Promise<Object>} Axios response, or an axios-like { status, headers, data } when replaying
+     * @throws {Error} Axios error, or an axios-like error with `response` when replaying
+     */
+    async get(url, config = {}) {
+        if (this.mode === 'replay') {
+            return this.replay(url, config.params || {});
+        }
+
+        const response = await axios.get(url, config);
+
+        if (this.mode === 'record') {
+            await this.record(url, config.params || {}, response);
+        }
+
+        return response;
+    }
+
+    /**
+     * Current time as seen by the market data
+     * Replay stands still at the end of the recording session
+     * @returns {number} Seconds since epoch
+     */
+    now() {
+        return this.recordedAt ?? Math.floor(Date.now() / 1000);
+    }
+
+    /**
+     * Write a response to its recording file
+     * @param {string} url - Request URL
+     * @param {Object} params - Query params
+     * @param {Object} response - Axios response
+     */
+    async record(url, params, response) {
+        const file = getRecordingPath(url, params);
+        const recordedAt = Math.floor(Date.now() / 1000);
+
+        // Keep the rate-limit headers, the queue tracks weight from them
+        const headers = Object.fromEntries(
+            Object.entries(response.headers || {}).filter(([name]) => name.toLowerCase().startsWith('x-'))
+        );
+
+        try {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, JSON.stringify({ recordedAt, url, params, status: response.status, headers, data: response.data }));
+            await fs.writeFile(SESSION_FILE, JSON.stringify({ recordedAt }));
+            this.counters.recorded++;
+        } catch (error) {
+            // A failed write shouldn't fail the request that succeeded upstream
+            console.error(`Error recording ${url}:`, error.message);
+        }
+    }
+
+    /**
+     * Serve a request from the recordings
+     * @param {string} url - Request URL
+     * @param {Object} params - Query params
+     * @returns {Promise<Object>} Recorded response ({ status, headers, data })
+     * @throws {Error} Simulated upstream error, or a 404 when nothing was recorded
+     */
+    async replay(url, params) {
+        await sleep(REPLAY_LATENCY.min + Math.random() * (REPLAY_LATENCY.max - REPLAY_LATENCY.min));
+
+        if (Math.random() < REPLAY_ERROR_RATE) {
+            this.counters.simulatedErrors++;
+            const kind = REPLAY_ERRORS[Math.floor(Math.random() * REPLAY_ERRORS.length)];
+
+            if (kind === 'malformed') {
+                return { status: 200, headers: {}, data: '<html>502 Bad Gateway</html>' };
+            }
+
+            const status = parseInt(kind);
+            throw createHttpError(status, { 'retry-after': REPLAY_RETRY_AFTER }, { msg: `Simulated ${status}` });
+        }
+
+        const recording = await this.findRecording(url, params);
+
+        if (!recording) {
+            this.counters.misses++;
+            throw createHttpError(404, {}, { msg: `No recording for ${url} ${JSON.stringify(params)}` });
+        }
+
+        this.counters.replayed++;
+        return { status: recording.status, headers: recording.headers, data: recording.data };
+    }
+
+    /**
+     * Find the recording for a request: an exact match, or for paged kline
+     * endpoints the recorded rows that fall inside the requested time range
+     * @param {string} url - Request URL
+     * @param {Object} params - Query params
+     * @returns {Promise<Object|null>} Recording ({ status, headers, data }), or null
+     */
+    async findRecording(url, params) {
+        try {
+            return JSON.parse(await fs.readFile(getRecordingPath(url, params), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const rangeParams = RANGE_PARAMS.find(range => params[range.start] !== undefined);
+        if (!rangeParams) return null;
+
+        // Same request apart from its bounds and page size
+        const { [rangeParams.start]: start, [rangeParams.end]: end = Infinity, limit = Infinity, ...rest } = params;
+        const candidates = (await this.loadEndpoint(url)).filter(recording => {
+            const { [rangeParams.start]: _start, [rangeParams.end]: _end, limit: _limit, ...recorded } = recording.params;
+            return JSON.stringify(sortKeys(recorded)) === JSON.stringify(sortKeys(rest));
+        });
+
+        if (candidates.length === 0) return null;
+
+        const rowsByTime = new Map();
+        candidates.forEach(recording => {
+            getRows(recording.data).forEach(row => rowsByTime.set(Number(row[0]), row));
+        });
+
+        const rows = [...rowsByTime.entries()]
+            .filter(([time]) => time >= Number(start) && time <= Number(end))
+            .sort(([a], [b]) => a - b)
+            .map(([, row]) => row);
+
+        // Bybit pages hold the newest candles of a range, newest first
+        const template = candidates[candidates.length - 1];
+        const page = Array.isArray(template.data) ? rows.slice(0, limit) : rows.slice(-limit).reverse();
+
+        return { status: 200, headers: template.headers, data: withRows(template.data, page) };
+    }
+
+    /**
+     * Load every recording of the endpoint a URL belongs to
+     * @param {string} url - Request URL
+     * @returns {Promise<Array>} Recordings ({ params, status, headers, data })
+     */
+    loadEndpoint(url) {
+        const directory = path.dirname(getRecordingPath(url, {}));
+
+        if (!this.endpoints.has(directory)) {
+            this.endpoints.set(directory, readRecordings(directory));
+        }
+
+        return this.endpoints.get(directory);
+    }
+
+    /**
+     * Get recorder statistics
+     * @returns {Object} Mode, recordings directory, replay clock and counters
+     */
+    getStats() {
+        return {
+            mode: this.mode,
+            directory: RECORDINGS_DIR,
+            recordedAt: this.recordedAt ? new Date(this.recordedAt * 1000).toISOString() : null,
+            ...this.counters
+        };
+    }
+}
+
+/**
+ * Path of the recording file for a request
+ * @param {string} url - Request URL
+ * @param {Object} params - Query params
+ * @returns {string} Absolute file path
+ */
+function getRecordingPath(url, params) {
+    const { host, pathname } = new URL(url);
+    const endpoint = pathname.replace(/^\//, '').replace(/\//g, '_');
+    const hash = crypto.createHash('sha1')
+        .update(JSON.stringify([url, sortKeys(params)]))
+        .digest('hex')
+        .slice(0, 16);
+
+    return path.join(RECORDINGS_DIR, host, endpoint, `${hash}.json`);
+}
+
+/**
+ * Read every recording in an endpoint directory
+ * @param {string} directory - Endpoint directory
+ * @returns {Promise<Array>} Recordings, oldest first
+ */
+async function readRecordings(directory) {
+    let files;
+
+    try {
+        files = await fs.readdir(directory);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const recordings = await Promise.all(
+        files
+            .filter(file => file.endsWith('.json'))
+            .map(async file => JSON.parse(await fs.readFile(path.join(directory, file), 'utf8')))
+    );
+
+    return recordings.sort((a, b) => a.recordedAt - b.recordedAt);
+}
+
+/**
+ * Read the time the last recording session ended
+ * @returns {number|null} Seconds since epoch, or null without a session file
+ */
+function loadSessionTime() {
+    try {
+        return JSON.parse(readFileSync(SESSION_FILE, 'utf8')).recordedAt;
+    } catch (error) {
+        console.warn(`No recording session in ${RECORDINGS_DIR}, replaying at the current time`);
+        return null;
+    }
+}
+
+/**
+ * Kline rows of a response, in Binance (array) or Bybit ({ result: { list } }) layout
+ * @param {*} data - Response payload
+ * @returns {Array} Rows whose first field is the open time in milliseconds
+ */
+function getRows(data) {
+    if (Array.isArray(data)) return data;
+    return Array.isArray(data?.result?.list) ? data.result.list : [];
+}
+
+/**
+ * Build a payload in the layout of a recorded one around other rows
+ * @param {*} template - Recorded payload
+ * @param {Array} rows - Rows to serve
+ * @returns {*} Payload
+ */
+function withRows(template, rows) {
+    if (Array.isArray(template)) return rows;
+    return { ...template, result: { ...template.result, list: rows } };
+}
+
+/**
+ * Copy an object with its keys sorted, so equal params hash equally
+ * @param {Object} object - Params
+ * @returns {Object} Sorted copy, without undefined values
+ */
+function sortKeys(object) {
+    return Object.fromEntries(
+        Object.entries(object)
+            .filter(([, value]) => value !== undefined)
+            .sort(([a], [b]) => a.localeCompare(b))
+    );
+}
+
+/**
+ * Create an error shaped like an axios HTTP error
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @param {*} data - Response payload
+ * @returns {Error} Error with a `response`
+ */
+function createHttpError(status, headers, data) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers, data };
+    return error;
+}
+
+/**
+ * Parse a millisecond value or 'min-max' range
+ * @param {string} value - e.g. '100' or '50-300'
+ * @returns {{min: number, max: number}} Bounds
+ */
+function parseRange(value) {
+    const [min, max = min] = value.split('-').map(Number);
+    return { min, max };
+}
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default new Recorder();
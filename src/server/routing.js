@@ -0,0 +1,103 @@
+/**
+ * Route Resolver
+ * Finds how to price coinA in coinB from the markets listed on the exchange
+ */
+
+// Bridge assets tried for two-leg crosses, in priority order
+export const DEFAULT_BRIDGES = (process.env.BRIDGE_ASSETS || 'USDT,USDC,FDUSD,BTC,ETH')
+    .split(',')
+    .map(asset => asset.trim().toUpperCase())
+    .filter(Boolean);
+
+/**
+ * Index markets by base/quote for constant-time lookups
+ * @param {Array<Object>} markets - Symbols ({ symbol, baseAsset, quoteAsset })
+ * @returns {Map<string, Object>} Markets keyed by `${baseAsset}/${quoteAsset}`
+ */
+export function indexMarkets(markets) {
+    return new Map(markets.map(m => [`${m.baseAsset}/${m.quoteAsset}`, m]));
+}
+
+/**
+ * Find a single leg pricing `asset` in `quote`
+ * @param {Map<string, Object>} marketIndex - Markets from indexMarkets
+ * @param {string} asset - Asset to price
+ * @param {string} quote - Asset to price it in
+ * @returns {Object|null} Leg ({ symbol, invert, baseAsset, quoteAsset }) or null if no market exists
+ */
+function findLeg(marketIndex, asset, quote) {
+    const direct = marketIndex.get(`${asset}/${quote}`);
+    if (direct) return toLeg(direct, false);
+
+    const inverse = marketIndex.get(`${quote}/${asset}`);
+    if (inverse) return toLeg(inverse, true);
+
+    return null;
+}
+
+/**
+ * Build a route leg from a market
+ * @param {Object} market - Market ({ symbol, baseAsset, quoteAsset })
+ * @param {boolean} invert - Whether the leg's price is inverted in the route
+ * @returns {Object} Leg ({ symbol, invert, baseAsset, quoteAsset })
+ */
+function toLeg(market, invert) {
+    return {
+        symbol: market.symbol,
+        invert,
+        baseAsset: market.baseAsset,
+        quoteAsset: market.quoteAsset
+    };
+}
+
+/**
+ * Resolve the best route for a synthetic pair
+ * Prefers a direct market, then the inverted direct market, then a
+ * two-leg cross through the first bridge that lists both coins
+ * @param {Map<string, Object>} marketIndex - Markets from indexMarkets
+ * @param {string} coinA - Base coin (e.g., 'BTC')
+ * @param {string} coinB - Quote coin (e.g., 'ETH')
+ * @param {Array<string>} [bridges] - Bridge assets in priority order
+ * @param {boolean} [allowDirect] - Consider direct markets before crossing (default: true)
+ * @returns {Object} Route ({ type, base, quote, bridge, legs, description })
+ * @throws {Error} If no route exists, with status 404
+ */
+export function resolveRoute(marketIndex, coinA, coinB, bridges = DEFAULT_BRIDGES, allowDirect = true) {
+    const directLeg = allowDirect ? findLeg(marketIndex, coinA, coinB) : null;
+
+    if (directLeg) {
+        return {
+            type: directLeg.invert ? 'inverse' : 'direct',
+            base: coinA,
+            quote: coinB,
+            bridge: null,
+            legs: [directLeg],
+            description: directLeg.invert ? `1 / ${directLeg.symbol}` : directLeg.symbol
+        };
+    }
+
+    for (const bridge of bridges) {
+        if (bridge === coinA || bridge === coinB) continue;
+
+        const legA = findLeg(marketIndex, coinA, bridge);
+        const legB = findLeg(marketIndex, coinB, bridge);
+        if (!legA || !legB) continue;
+
+        // A/B = (A/bridge) * (bridge/B), so the B leg flips
+        const legs = [legA, { ...legB, invert: !legB.invert }];
+
+        return {
+            type: 'cross',
+            base: coinA,
+            quote: coinB,
+            bridge,
+            legs,
+            description: legs.map(leg => (leg.invert ? `1 / ${leg.symbol}` : leg.symbol)).join(' × ')
+        };
+    }
+
+    // The pair parsed fine but the exchange can't price it, routes answer 404
+    const error = new Error(`No route found for ${coinA}/${coinB} via ${bridges.join(', ')}`);
+    error.status = 404;
+    throw error;
+}
@@ -0,0 +1,203 @@
+import market from './market.js';
+import { getProvider } from './providers/index.js';
+import { INDICATORS, sma, rsi } from '../shared/indicators.js';
+import { logReturns, standardDeviation } from './statistics.js';
+
+const SCAN_CONCURRENCY = 4; // Coins fetched at once, below the queue's limit so charts keep loading
+const SCAN_TTL = 60 * 1000; // Reuse a scan for a minute, re-sorting doesn't refetch
+const RSI_PERIOD = 14;
+
+export const MAX_SCREENER_COINS = 400; // Most coins one scan fetches
+export const SCREENER_SORTS = ['change', 'volatility', 'maDistance', 'rsi', 'range', 'volume'];
+export const SCREENER_BREAKOUTS = ['high', 'low'];
+
+/**
+ * Screener
+ * Prices every coin of a provider in one quote coin and measures each
+ * synthetic pair's move, volatility, trend and breakouts. Coins are fetched
+ * a few at a time through the provider's request queue, and a scan stops
+ * early if the upstream asks us to back off.
+ */
+class Screener {
+    constructor() {
+        // Scans keyed by their settings ({ promise, expires })
+        this.scans = new Map();
+    }
+
+    /**
+     * Scan a coin universe, reusing a recent scan with the same settings
+     * @param {string} quote - Coin every pair is priced in (e.g., 'ETH')
+     * @param {string} interval - Kline interval
+     * @param {Object} options - Scan settings
+     * @param {number} options.lookback - Candles the change, volatility and volume cover
+     * @param {number} options.period - Moving-average period and high/low window
+     * @param {Array<string>} [options.coins] - Coins to scan (default: every coin routable to the quote)
+     * @param {string} [options.provider] - Market-data provider id (default: DEFAULT_PROVIDER)
+     * @param {string} [options.priceSource] - Leg prices: 'last' (default), 'mark' or 'index'
+     * @returns {Promise<Object>} Rows, skipped coins, universe size and whether the scan stopped early
+     */
+    async scan(quote, interval, options) {
+        const provider = getProvider(options.provider);
+        const key = JSON.stringify([provider.id, quote, interval, options.lookback, options.period,
+            options.coins || null, options.priceSource || 'last']);
+        const cached = this.scans.get(key);
+
+        if (cached && cached.expires > Date.now()) {
+            return cached.promise;
+        }
+
+        const promise = this.runScan(provider, quote, interval, options);
+        this.scans.set(key, { promise, expires: Date.now() + SCAN_TTL });
+
+        // Failed scans shouldn't be reused
+        promise.catch(() => {
+            if (this.scans.get(key)?.promise === promise) this.scans.delete(key);
+        });
+
+        this.pruneScans();
+        return promise;
+    }
+
+    /**
+     * Fetch and measure every coin of a scan
+     * @param {Object} provider - Market-data provider
+     * @param {string} quote - Quote coin
+     * @param {string} interval - Kline interval
+     * @param {Object} options - Scan settings, as in scan()
+     * @returns {Promise<Object>} Scan result
+     */
+    async runScan(provider, quote, interval, options) {
+        const { lookback, period, priceSource } = options;
+        const { routes, skipped, truncated } = await this.getUniverse(provider, quote, options.coins);
+
+        // Enough candles for every metric, with RSI settled
+        const limit = Math.max(lookback, period, INDICATORS.rsi.lookback({ period: RSI_PERIOD })) + 1;
+
+        const rows = [];
+        let stopped = null;
+
+        for (let i = 0; i < routes.length && !stopped; i += SCAN_CONCURRENCY) {
+            const batch = routes.slice(i, i + SCAN_CONCURRENCY);
+            const settled = await Promise.allSettled(batch.map(route =>
+                market.getSyntheticPair(route.base, quote, interval, limit, { provider: provider.id, priceSource })
+            ));
+
+            settled.forEach((outcome, j) => {
+                const coin = batch[j].base;
+
+                if (outcome.status === 'rejected') {
+                    skipped.push({ coin, error: outcome.reason.message });
+                    return;
+                }
+
+                const row = measure(outcome.value.klines, lookback, period);
+
+                if (row) {
+                    rows.push({ coin, pair: `${coin}/${quote}`, route: outcome.value.route.description, ...row });
+                } else {
+                    skipped.push({ coin, error: `Fewer than ${limit} candles` });
+                }
+            });
+
+            // The remaining coins would only be rejected until the pause ends
+            if (provider.queue?.isCircuitOpen()) {
+                stopped = `${provider.name} rate limit reached, scanned ${i + batch.length} of ${routes.length} coins`;
+            }
+        }
+
+        return { rows, skipped, universe: routes.length, truncated, stopped };
+    }
+
+    /**
+     * Resolve the route of every coin to scan, without calling the upstream
+     * Direct markets come first, so a capped universe keeps the cheapest pairs
+     * @param {Object} provider - Market-data provider
+     * @param {string} quote - Quote coin
+     * @param {Array<string>} [coins] - Coins to scan (default: every coin of the provider)
+     * @returns {Promise<{routes: Array<Object>, skipped: Array<Object>, truncated: number}>}
+     *   Routes to fetch, coins without one and how many coins the cap left out
+     */
+    async getUniverse(provider, quote, coins) {
+        // The market index routes are resolved from is cached, listing it costs no request
+        const candidates = coins || [...new Set([...(await market.getMarketIndex(provider.id)).values()]
+            .flatMap(m => [m.baseAsset, m.quoteAsset]))].sort();
+
+        const routes = [];
+        const skipped = [];
+
+        for (const coin of candidates) {
+            if (coin === quote) continue;
+
+            try {
+                routes.push(await market.resolveRoute(coin, quote, undefined, provider.id));
+            } catch (error) {
+                skipped.push({ coin, error: error.message });
+            }
+        }
+
+        routes.sort((a, b) => a.legs.length - b.legs.length);
+
+        return {
+            routes: routes.slice(0, MAX_SCREENER_COINS),
+            skipped,
+            truncated: Math.max(routes.length - MAX_SCREENER_COINS, 0)
+        };
+    }
+
+    /**
+     * Drop expired scans
+     */
+    pruneScans() {
+        const now = Date.now();
+
+        this.scans.forEach((scan, key) => {
+            if (scan.expires <= now) this.scans.delete(key);
+        });
+    }
+}
+
+/**
+ * Measure one synthetic pair
+ * @param {Array<Object>} klines - Synthetic klines, oldest first
+ * @param {number} lookback - Candles the change, volatility and volume cover
+ * @param {number} period - Moving-average period and high/low window
+ * @returns {Object|null} Metrics, or null if there are too few candles
+ */
+function measure(klines, lookback, period) {
+    const candles = klines.filter(k => k.close !== undefined);
+    const closes = candles.map(k => k.close);
+    const last = closes.length - 1;
+
+    if (last < Math.max(lookback, period) || last < INDICATORS.rsi.lookback({ period: RSI_PERIOD })) {
+        return null;
+    }
+
+    const close = closes[last];
+    const average = sma(closes, period)[last];
+
+    // High and low of the `period` candles before the last one
+    const prior = candles.slice(-period - 1, -1);
+    const high = Math.max(...prior.map(k => k.high));
+    const low = Math.min(...prior.map(k => k.low));
+
+    let breakout = null;
+    if (close > high) breakout = 'high';
+    else if (close < low) breakout = 'low';
+
+    return {
+        time: candles[last].time,
+        close,
+        change: (close / closes[last - lookback] - 1) * 100,
+        volatility: standardDeviation(logReturns(closes.slice(-lookback - 1))) * 100,
+        maDistance: (close / average - 1) * 100,
+        rsi: rsi(closes, RSI_PERIOD)[last],
+        high,
+        low,
+        // Where the close sits in the prior high-low range: 0 at the low, 100 at the high
+        range: high > low ? (close - low) / (high - low) * 100 : null,
+        breakout,
+        volume: candles.slice(-lookback).reduce((sum, k) => sum + (k.volume || 0), 0)
+    };
+}
+
+export default new Screener();
@@ -0,0 +1,241 @@
+/**
+ * Pairs-Trading Statistics
+ * Pure helpers for mean-reversion analysis of a ratio between two legs.
+ * Rolling series have one value per input value, with null until the window is full.
+ */
+
+// MacKinnon (2010) response surface for Engle-Granger critical values,
+// two variables with a constant: [tau_inf, beta_1, beta_2] per level
+const ENGLE_GRANGER_CRITICAL = {
+    '1%': [-3.89644, -10.9519, -22.527],
+    '5%': [-3.33613, -6.1101, -6.823],
+    '10%': [-3.04445, -4.2412, -2.720]
+};
+
+/**
+ * Arithmetic mean
+ * @param {Array<number>} values - Values
+ * @returns {number} Mean
+ */
+export function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sample standard deviation
+ * @param {Array<number>} values - Values
+ * @returns {number} Standard deviation
+ */
+export function standardDeviation(values) {
+    const average = mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Pearson correlation of two equally long series
+ * @param {Array<number>} a - First series
+ * @param {Array<number>} b - Second series
+ * @returns {number|null} Correlation, or null if either series is flat
+ */
+export function correlation(a, b) {
+    const meanA = mean(a);
+    const meanB = mean(b);
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        covariance += (a[i] - meanA) * (b[i] - meanB);
+        varianceA += (a[i] - meanA) ** 2;
+        varianceB += (b[i] - meanB) ** 2;
+    }
+
+    return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null;
+}
+
+/**
+ * Log returns between consecutive values
+ * @param {Array<number>} values - Prices
+ * @returns {Array<number>} One return per value after the first
+ */
+export function logReturns(values) {
+    return values.slice(1).map((value, i) => Math.log(value / values[i]));
+}
+
+/**
+ * Rolling z-score: distance of each value from its window's mean, in standard deviations
+ * @param {Array<number>} values - Values
+ * @param {number} window - Values per window, including the current one
+ * @returns {Array<number|null>} Z-scores
+ */
+export function rollingZScore(values, window) {
+    let sum = 0;
+    let sumSquares = 0;
+
+    return values.map((value, i) => {
+        sum += value;
+        sumSquares += value * value;
+
+        if (i >= window) {
+            sum -= values[i - window];
+            sumSquares -= values[i - window] ** 2;
+        }
+
+        if (i < window - 1) return null;
+
+        const average = sum / window;
+        const variance = (sumSquares - window * average * average) / (window - 1);
+
+        return variance > 0 ? (value - average) / Math.sqrt(variance) : null;
+    });
+}
+
+/**
+ * Rolling correlation of two equally long series
+ * @param {Array<number>} a - First series
+ * @param {Array<number>} b - Second series
+ * @param {number} window - Values per window
+ * @returns {Array<number|null>} Correlations
+ */
+export function rollingCorrelation(a, b, window) {
+    return a.map((value, i) => i < window - 1
+        ? null
+        : correlation(a.slice(i - window + 1, i + 1), b.slice(i - window + 1, i + 1)));
+}
+
+/**
+ * Ordinary least squares with an intercept
+ * @param {Array<number>} y - Dependent values
+ * @param {Array<Array<number>>} regressors - One array of values per regressor, each as long as y
+ * @returns {{intercept: number, coefficients: Array<number>, standardErrors: Array<number>, residuals: Array<number>, r2: number}}
+ *   Fit, with the standard errors of the regressor coefficients
+ * @throws {Error} If the regressors are collinear
+ */
+export function linearRegression(y, regressors) {
+    const n = y.length;
+    const rows = y.map((_, i) => [1, ...regressors.map(values => values[i])]);
+    const k = rows[0].length;
+
+    // Normal equations: (X'X) b = X'y
+    const xtx = Array.from({ length: k }, (_, a) =>
+        Array.from({ length: k }, (_, b) => rows.reduce((sum, row) => sum + row[a] * row[b], 0))
+    );
+    const xty = Array.from({ length: k }, (_, a) => rows.reduce((sum, row, i) => sum + row[a] * y[i], 0));
+
+    const inverse = invertMatrix(xtx);
+    const beta = inverse.map(row => row.reduce((sum, value, j) => sum + value * xty[j], 0));
+
+    const residuals = rows.map((row, i) => y[i] - row.reduce((sum, value, j) => sum + value * beta[j], 0));
+    const residualSquares = residuals.reduce((sum, value) => sum + value * value, 0);
+    const yMean = mean(y);
+    const totalSquares = y.reduce((sum, value) => sum + (value - yMean) ** 2, 0);
+    const variance = residualSquares / (n - k);
+
+    return {
+        intercept: beta[0],
+        coefficients: beta.slice(1),
+        standardErrors: inverse.slice(1).map((row, j) => Math.sqrt(variance * row[j + 1])),
+        residuals,
+        r2: totalSquares > 0 ? 1 - residualSquares / totalSquares : 0
+    };
+}
+
+/**
+ * Augmented Dickey-Fuller regression with a constant:
+ * Δe_t = c + γ e_{t-1} + Σ φ_i Δe_{t-i}
+ * @param {Array<number>} series - Values, oldest first
+ * @param {number} lags - Lagged differences to include
+ * @returns {{statistic: number, lags: number, observations: number}} t-statistic of γ
+ */
+export function adfTest(series, lags) {
+    const diffs = series.slice(1).map((value, i) => value - series[i]);
+    const y = diffs.slice(lags);
+    const regressors = [
+        series.slice(lags, series.length - 1),
+        ...Array.from({ length: lags }, (_, lag) => diffs.slice(lags - lag - 1, diffs.length - lag - 1))
+    ];
+
+    const fit = linearRegression(y, regressors);
+
+    return {
+        statistic: fit.coefficients[0] / fit.standardErrors[0],
+        lags,
+        observations: y.length
+    };
+}
+
+/**
+ * Engle-Granger cointegration test of two log-price series
+ * Regresses y on x for the hedge ratio, then tests the residual spread for a unit root
+ * @param {Array<number>} y - Dependent log prices
+ * @param {Array<number>} x - Independent log prices
+ * @param {number} lags - Lagged differences in the ADF regression
+ * @returns {Object} Hedge ratio ({ beta, alpha, r2 }), spread, ADF statistic,
+ *   critical values and whether the spread is stationary at 5%
+ */
+export function engleGranger(y, x, lags) {
+    const fit = linearRegression(y, [x]);
+    const adf = adfTest(fit.residuals, lags);
+
+    const criticalValues = Object.fromEntries(Object.entries(ENGLE_GRANGER_CRITICAL).map(([level, [tau, b1, b2]]) =>
+        [level, tau + b1 / adf.observations + b2 / adf.observations ** 2]
+    ));
+
+    return {
+        hedgeRatio: { beta: fit.coefficients[0], alpha: fit.intercept, r2: fit.r2 },
+        spread: fit.residuals,
+        adfStatistic: adf.statistic,
+        lags,
+        observations: adf.observations,
+        criticalValues,
+        cointegrated: adf.statistic < criticalValues['5%']
+    };
+}
+
+/**
+ * Mean-reversion half-life from an AR(1) fit: Δs_t = c + λ s_{t-1}
+ * @param {Array<number>} series - Values, oldest first
+ * @returns {number|null} Half-life in steps, or null if the series doesn't revert
+ */
+export function halfLife(series) {
+    const diffs = series.slice(1).map((value, i) => value - series[i]);
+    const lambda = linearRegression(diffs, [series.slice(0, -1)]).coefficients[0];
+
+    return lambda < 0 ? -Math.log(2) / lambda : null;
+}
+
+/**
+ * Invert a square matrix with Gauss-Jordan elimination
+ * @param {Array<Array<number>>} matrix - Square matrix
+ * @returns {Array<Array<number>>} Inverse
+ * @throws {Error} If the matrix is singular
+ */
+function invertMatrix(matrix) {
+    const n = matrix.length;
+    const rows = matrix.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+
+    for (let col = 0; col < n; col++) {
+        // Partial pivoting keeps the elimination stable
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+        }
+
+        if (Math.abs(rows[pivot][col]) < 1e-12) {
+            throw new Error('Regression is singular: a series is constant or collinear');
+        }
+
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+        const divisor = rows[col][col];
+        rows[col] = rows[col].map(value => value / divisor);
+
+        for (let row = 0; row < n; row++) {
+            if (row === col) continue;
+            const factor = rows[row][col];
+            rows[row] = rows[row].map((value, j) => value - factor * rows[col][j]);
+        }
+    }
+
+    return rows.map(row => row.slice(n));
+}
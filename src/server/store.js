@@ -0,0 +1,453 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getIntervalSeconds } from '../shared/intervals.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const CANDLES_DIR = path.join(DATA_DIR, 'candles');
+
+const COMPACT_AFTER_LINES = 5000; // Rewrite a file once this many lines were appended since the last rewrite
+const COMPACT_EVERY = 6 * 3600 * 1000; // Apply retention to every file every 6 hours
+const MAX_PARSED_LEGS = 10; // Legs whose parsed rows are kept in memory between reads
+
+// Days of candles kept per interval, intervals not listed are kept forever
+const RETENTION_DAYS = {
+    '1m': 90,
+    '3m': 180,
+    '5m': 365,
+    '15m': 730
+};
+
+/**
+ * Candle Store
+ * Persists closed leg candles on disk so restarts don't refetch history.
+ *
+ * Every leg (provider + symbol + interval) has an append-only NDJSON file of
+ * [time, open, high, low, close, volume, quoteVolume] rows and a small
+ * JSON file with the span of open times it holds every closed candle for.
+ * Rows may be appended out of order (older history is appended after newer);
+ * reads sort and de-duplicate them, and compaction rewrites the file sorted
+ * and trimmed to the retention window.
+ */
+class CandleStore {
+    constructor() {
+        // Span metadata keyed like the files, loaded lazily
+        this.meta = new Map();
+
+        // Per-leg promise chains so reads, appends and rewrites never interleave
+        this.locks = new Map();
+
+        // Parsed rows of recently read legs and the file size they cover, least recent first.
+        // Files only grow between compactions, so a later read parses just the appended bytes
+        this.parsed = new Map();
+
+        this.compactTimer = setInterval(() => this.compactAll(), COMPACT_EVERY);
+        this.compactTimer.unref();
+    }
+
+    /**
+     * Generate the file key for a leg, each provider gets its own directory
+     * @param {string} provider - Market-data provider id
+     * @param {string} symbol - Trading pair symbol (e.g., 'BTCUSDT')
+     * @param {string} interval - Timeframe
+     * @returns {string} Key, e.g. binance/BTCUSDT_1h
+     */
+    generateKey(provider, symbol, interval) {
+        return `${provider}/${symbol.toUpperCase()}_${interval}`;
+    }
+
+    /**
+     * Get a leg's candles between two open times, reading what the store holds
+     * and fetching the rest upstream. Newly fetched closed candles are persisted
+     * when they extend the stored span.
+     * @param {string} provider - Market-data provider id
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Timeframe
+     * @param {number} from - First open time in seconds
+     * @param {number} to - Last open time in seconds
+     * @param {Function} fetchRange - Fetches candles upstream: (from, to) => Promise<Array>
+     * @returns {Promise<Array>} Candles with open times in [from, to], oldest first
+     */
+    getKlines(provider, symbol, interval, from, to, fetchRange) {
+        const key = this.generateKey(provider, symbol, interval);
+
+        return this.withLock(key, async () => {
+            let meta;
+
+            try {
+                meta = await this.loadMeta(key);
+            } catch (error) {
+                // A broken store shouldn't take the chart down, go straight upstream
+                console.error(`Candle store unavailable for ${key}:`, error.message);
+                return fetchRange(from, to);
+            }
+
+            const intervalSeconds = getIntervalSeconds(interval);
+
+            // Nothing stored yet, or too far from the stored span to extend it
+            if (!meta || from > meta.to + intervalSeconds || to < meta.from - intervalSeconds) {
+                const klines = await fetchRange(from, to);
+
+                if (!meta) {
+                    await this.persist(key, interval, klines, { from, to });
+                }
+
+                return klines;
+            }
+
+            // A request that only extends the span, like a cache top-up, reads nothing stored
+            const storedFrom = Math.max(from, meta.from);
+            const storedTo = Math.min(to, meta.to);
+
+            const [older, stored, newer] = await Promise.all([
+                from < meta.from ? fetchRange(from, meta.from - 1) : [],
+                storedFrom > storedTo ? [] : this.readKlines(key, storedFrom, storedTo)
+                    .catch(error => {
+                        console.error(`Failed to read candle store for ${key}:`, error.message);
+                        return fetchRange(storedFrom, storedTo);
+                    }),
+                to > meta.to ? fetchRange(meta.to + 1, to) : []
+            ]);
+
+            if (from < meta.from || to > meta.to) {
+                await this.persist(key, interval, [...older, ...newer], {
+                    from: Math.min(from, meta.from),
+                    to: Math.max(to, meta.to)
+                });
+            }
+
+            return [...older.filter(k => k.time < meta.from), ...stored, ...newer];
+        });
+    }
+
+    /**
+     * Append closed candles to a leg's file and widen its span
+     * Forming candles are skipped, and the span stops before the first of them
+     * @param {string} key - Leg key
+     * @param {string} interval - Timeframe
+     * @param {Array} klines - Candles just fetched
+     * @param {Object} span - Open times now covered ({ from, to })
+     */
+    async persist(key, interval, klines, span) {
+        const now = Math.floor(Date.now() / 1000);
+        const closedTo = now - getIntervalSeconds(interval);
+        const closed = klines.filter(k => k.time <= closedTo);
+
+        const previous = this.meta.get(key);
+        const meta = {
+            from: span.from,
+            to: Math.min(span.to, closedTo),
+            lines: (previous?.lines || 0) + closed.length,
+            appended: (previous?.appended || 0) + closed.length
+        };
+
+        // The span only covers closed candles, nothing to record yet
+        if (meta.to < meta.from) return;
+
+        try {
+            await fs.mkdir(path.dirname(this.dataPath(key)), { recursive: true });
+
+            if (closed.length > 0) {
+                const rows = closed.map(k => JSON.stringify(toRow(k))).join('\n') + '\n';
+                await fs.appendFile(this.dataPath(key), rows);
+            }
+
+            await this.writeMeta(key, meta);
+
+            if (meta.appended >= COMPACT_AFTER_LINES) {
+                await this.compact(key, interval);
+            }
+        } catch (error) {
+            console.error(`Failed to persist candles for ${key}:`, error.message);
+        }
+    }
+
+    /**
+     * Read a leg's stored candles between two open times
+     * @param {string} key - Leg key
+     * @param {number} from - First open time in seconds
+     * @param {number} to - Last open time in seconds
+     * @returns {Promise<Array>} Candles, oldest first
+     */
+    async readKlines(key, from, to) {
+        const klines = await this.readAll(key);
+        return klines.filter(k => k.time >= from && k.time <= to);
+    }
+
+    /**
+     * Read every stored candle of a leg, sorted and de-duplicated
+     * Only the bytes appended since the leg was last read are parsed, if it still is in memory
+     * @param {string} key - Leg key
+     * @returns {Promise<Array>} Candles, oldest first
+     */
+    async readAll(key) {
+        let handle;
+
+        try {
+            handle = await fs.open(this.dataPath(key), 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        try {
+            const { size } = await handle.stat();
+            const cached = this.parsed.get(key);
+            this.parsed.delete(key);
+
+            if (cached && cached.size === size) {
+                this.parsed.set(key, cached);
+                return cached.klines;
+            }
+
+            // Anything but growth means the file was replaced, parse it all again
+            const offset = cached && cached.size < size ? cached.size : 0;
+            const buffer = Buffer.alloc(size - offset);
+            await handle.read(buffer, 0, buffer.length, offset);
+
+            // Later rows win if a candle was ever appended twice
+            const byTime = new Map(offset > 0 ? cached.klines.map(k => [k.time, k]) : []);
+
+            for (const line of buffer.toString('utf8').split('\n')) {
+                if (!line) continue;
+
+                try {
+                    const kline = fromRow(JSON.parse(line));
+                    byTime.set(kline.time, kline);
+                } catch {
+                    // Skip a row torn by a crash mid-append
+                }
+            }
+
+            const klines = [...byTime.values()].sort((a, b) => a.time - b.time);
+            this.remember(key, size, klines);
+            return klines;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Keep a leg's parsed rows for the next read, dropping the least recently read leg past the limit
+     * @param {string} key - Leg key
+     * @param {number} size - File size in bytes the rows were parsed from
+     * @param {Array} klines - Candles, oldest first
+     */
+    remember(key, size, klines) {
+        this.parsed.delete(key);
+        this.parsed.set(key, { size, klines });
+
+        if (this.parsed.size > MAX_PARSED_LEGS) {
+            this.parsed.delete(this.parsed.keys().next().value);
+        }
+    }
+
+    /**
+     * Rewrite a leg's file sorted, de-duplicated and trimmed to the retention window
+     * @param {string} key - Leg key
+     * @param {string} interval - Timeframe
+     */
+    async compact(key, interval) {
+        const meta = await this.loadMeta(key);
+        if (!meta) return;
+
+        let klines = await this.readAll(key);
+        const retentionDays = RETENTION_DAYS[interval];
+
+        if (retentionDays) {
+            const cutoff = Math.floor(Date.now() / 1000) - retentionDays * 86400;
+
+            // The whole span expired, forget the leg rather than keep a span that ends before it starts
+            if (cutoff > meta.to) {
+                await this.remove(key);
+                console.log(`✓ Compacted candle store: ${key} (expired)`);
+                return;
+            }
+
+            klines = klines.filter(k => k.time >= cutoff);
+            meta.from = Math.max(meta.from, cutoff);
+        }
+
+        // Write next to the file and rename, so readers never see half a file
+        const content = klines.map(k => JSON.stringify(toRow(k)) + '\n').join('');
+        const tmpPath = `${this.dataPath(key)}.tmp`;
+        await fs.writeFile(tmpPath, content);
+        await fs.rename(tmpPath, this.dataPath(key));
+        this.remember(key, Buffer.byteLength(content), klines);
+
+        await this.writeMeta(key, { ...meta, lines: klines.length, appended: 0 });
+        console.log(`✓ Compacted candle store: ${key} (${klines.length} candles)`);
+    }
+
+    /**
+     * Compact every stored leg, applying retention
+     */
+    async compactAll() {
+        for (const key of await this.listKeys()) {
+            const interval = key.slice(key.lastIndexOf('_') + 1);
+
+            try {
+                await this.withLock(key, () => this.compact(key, interval));
+            } catch (error) {
+                console.error(`Failed to compact ${key}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Get store size per symbol
+     * @returns {Promise<Object>} Total bytes and per-symbol files ({ provider, symbol, bytes, candles, intervals })
+     */
+    async getStats() {
+        const symbols = new Map();
+
+        for (const key of await this.listKeys()) {
+            const [provider, file] = key.split('/');
+            const separator = file.lastIndexOf('_');
+            const symbol = file.slice(0, separator);
+            const meta = await this.loadMeta(key);
+            const { size } = await fs.stat(this.dataPath(key)).catch(() => ({ size: 0 }));
+
+            if (!symbols.has(`${provider}/${symbol}`)) {
+                symbols.set(`${provider}/${symbol}`, { provider, symbol, bytes: 0, candles: 0, intervals: [] });
+            }
+
+            const entry = symbols.get(`${provider}/${symbol}`);
+            entry.bytes += size;
+            entry.candles += meta?.lines || 0;
+            entry.intervals.push({
+                interval: file.slice(separator + 1),
+                bytes: size,
+                candles: meta?.lines || 0,
+                from: meta?.from ?? null,
+                to: meta?.to ?? null
+            });
+        }
+
+        const list = [...symbols.values()].sort((a, b) => b.bytes - a.bytes);
+
+        return {
+            directory: CANDLES_DIR,
+            bytes: list.reduce((sum, s) => sum + s.bytes, 0),
+            symbols: list
+        };
+    }
+
+    /**
+     * List the keys of every stored leg, across providers
+     * @returns {Promise<Array<string>>} Leg keys
+     */
+    async listKeys() {
+        const providers = await fs.readdir(CANDLES_DIR).catch(() => []);
+        const keys = [];
+
+        for (const provider of providers) {
+            const files = await fs.readdir(path.join(CANDLES_DIR, provider)).catch(() => []);
+            keys.push(...files
+                .filter(file => file.endsWith('.json'))
+                .map(file => `${provider}/${file.slice(0, -'.json'.length)}`));
+        }
+
+        return keys;
+    }
+
+    /**
+     * Load a leg's span metadata
+     * @param {string} key - Leg key
+     * @returns {Promise<Object|null>} Metadata ({ from, to, lines, appended }) or null if nothing is stored
+     */
+    async loadMeta(key) {
+        if (this.meta.has(key)) return this.meta.get(key);
+
+        let meta = null;
+
+        try {
+            meta = JSON.parse(await fs.readFile(this.metaPath(key), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        this.meta.set(key, meta);
+        return meta;
+    }
+
+    /**
+     * Delete a leg's candles and span metadata
+     * @param {string} key - Leg key
+     */
+    async remove(key) {
+        await fs.rm(this.dataPath(key), { force: true });
+        await fs.rm(this.metaPath(key), { force: true });
+        this.meta.set(key, null);
+        this.parsed.delete(key);
+    }
+
+    /**
+     * Save a leg's span metadata
+     * @param {string} key - Leg key
+     * @param {Object} meta - Metadata ({ from, to, lines, appended })
+     */
+    async writeMeta(key, meta) {
+        await fs.writeFile(this.metaPath(key), JSON.stringify(meta));
+        this.meta.set(key, meta);
+    }
+
+    /**
+     * Run a task after every earlier task for the same leg has finished
+     * @param {string} key - Leg key
+     * @param {Function} task - Async task
+     * @returns {Promise<*>} Task result
+     */
+    withLock(key, task) {
+        const run = (this.locks.get(key) || Promise.resolve())
+            .catch(() => {}) // An earlier failure shouldn't fail the tasks queued behind it
+            .then(task);
+
+        this.locks.set(key, run);
+        run.finally(() => {
+            if (this.locks.get(key) === run) this.locks.delete(key);
+        }).catch(() => {});
+
+        return run;
+    }
+
+    /**
+     * Path of a leg's candle rows
+     * @param {string} key - Leg key
+     * @returns {string} File path
+     */
+    dataPath(key) {
+        return path.join(CANDLES_DIR, `${key}.ndjson`);
+    }
+
+    /**
+     * Path of a leg's span metadata
+     * @param {string} key - Leg key
+     * @returns {string} File path
+     */
+    metaPath(key) {
+        return path.join(CANDLES_DIR, `${key}.json`);
+    }
+}
+
+/**
+ * Convert a kline into a compact stored row
+ * @param {Object} kline - Kline
+ * @returns {Array<number>} [time, open, high, low, close, volume, quoteVolume]
+ */
+function toRow(kline) {
+    return [kline.time, kline.open, kline.high, kline.low, kline.close, kline.volume, kline.quoteVolume];
+}
+
+/**
+ * Convert a stored row back into a kline
+ * @param {Array<number>} row - [time, open, high, low, close, volume, quoteVolume]
+ * @returns {Object} Kline
+ */
+function fromRow([time, open, high, low, close, volume, quoteVolume]) {
+    return { time, open, high, low, close, volume, quoteVolume };
+}
+
+export default new CandleStore();
@@ -0,0 +1,208 @@
+import WebSocket from 'ws';
+import { combineKlines } from './synthetic.js';
+
+const RECONNECT_DELAY_MIN = 1000;  // 1 second
+const RECONNECT_DELAY_MAX = 30000; // 30 seconds
+
+/**
+ * Stream Manager
+ * Subscribes to Binance-compatible kline streams for each leg of a route and
+ * recomputes the forming synthetic candle on every tick
+ */
+class StreamManager {
+    constructor() {
+        // Leg streams keyed by their WebSocket URL
+        this.legs = new Map();
+    }
+
+    /**
+     * Subscribe to live synthetic candles for a pair
+     * @param {Object} route - Route from MarketData.resolveRoute
+     * @param {string} interval - Kline interval (e.g., '1h')
+     * @param {string} streamUrl - WebSocket base of the route's provider
+     * @param {Function} onCandle - Called with every updated synthetic candle
+     * @returns {Function} Unsubscribe function
+     * @throws {Error} If a leg's stream cannot be opened
+     */
+    subscribe(route, interval, streamUrl, onCandle) {
+        const legs = [];
+
+        try {
+            route.legs.forEach(leg => legs.push(this.acquireLeg(streamUrl, leg.symbol, interval)));
+        } catch (error) {
+            // Don't leave the legs opened so far without a subscriber
+            legs.forEach(leg => this.releaseLeg(leg));
+            throw error;
+        }
+
+        const listener = () => {
+            const klines = legs.map(leg => leg.kline);
+
+            // Wait until every leg has reported the same candle
+            if (klines.some(k => !k || k.time !== klines[0].time)) return;
+
+            const candle = combineKlines(route, klines);
+            onCandle({
+                ...candle,
+                closed: klines.every(k => k.closed)
+            });
+        };
+
+        legs.forEach(leg => leg.listeners.add(listener));
+
+        return () => {
+            legs.forEach(leg => {
+                leg.listeners.delete(listener);
+                this.releaseLeg(leg);
+            });
+        };
+    }
+
+    /**
+     * Get or open the upstream stream for a leg
+     * @param {string} streamUrl - WebSocket base (e.g., 'wss://stream.binance.com:9443')
+     * @param {string} symbol - Trading pair symbol (e.g., 'BTCUSDT')
+     * @param {string} interval - Kline interval
+     * @returns {Object} Leg stream state
+     * @throws {Error} If the stream URL is malformed
+     */
+    acquireLeg(streamUrl, symbol, interval) {
+        const key = `${streamUrl}/ws/${symbol.toLowerCase()}@kline_${interval}`;
+        let leg = this.legs.get(key);
+
+        if (!leg) {
+            leg = {
+                key,
+                refs: 0,
+                socket: null,
+                kline: null,
+                listeners: new Set(),
+                reconnectDelay: RECONNECT_DELAY_MIN,
+                reconnectTimer: null
+            };
+            // Only share the leg once its socket exists
+            this.connect(leg);
+            this.legs.set(key, leg);
+        }
+
+        leg.refs++;
+        return leg;
+    }
+
+    /**
+     * Drop a reference to a leg and close it when unused
+     * @param {Object} leg - Leg stream state
+     */
+    releaseLeg(leg) {
+        leg.refs--;
+
+        if (leg.refs > 0) return;
+
+        this.legs.delete(leg.key);
+        clearTimeout(leg.reconnectTimer);
+
+        if (leg.socket) {
+            leg.socket.removeAllListeners();
+            leg.socket.on('error', () => {}); // Ignore errors while closing
+            leg.socket.terminate();
+        }
+
+        console.log(`✓ Stream closed: ${leg.key}`);
+    }
+
+    /**
+     * Open the WebSocket for a leg, reconnecting with backoff on failure
+     * @param {Object} leg - Leg stream state
+     * @throws {Error} If the stream URL is malformed
+     */
+    connect(leg) {
+        let socket;
+
+        try {
+            socket = new WebSocket(leg.key);
+        } catch (error) {
+            throw new Error(`Cannot open stream ${leg.key}: ${error.message}`);
+        }
+
+        leg.socket = socket;
+
+        socket.on('open', () => {
+            leg.reconnectDelay = RECONNECT_DELAY_MIN;
+            console.log(`✓ Stream opened: ${leg.key}`);
+        });
+
+        socket.on('message', (raw) => {
+            const kline = parseStreamKline(raw);
+            if (!kline) return;
+
+            leg.kline = kline;
+            leg.listeners.forEach(listener => listener());
+        });
+
+        socket.on('error', (error) => {
+            console.error(`Stream error on ${leg.key}:`, error.message);
+        });
+
+        socket.on('close', () => {
+            if (!this.legs.has(leg.key)) return;
+
+            console.log(`✗ Stream dropped: ${leg.key}, retrying in ${leg.reconnectDelay}ms`);
+            leg.reconnectTimer = setTimeout(() => {
+                try {
+                    this.connect(leg);
+                } catch (error) {
+                    console.error(error.message);
+                }
+            }, leg.reconnectDelay);
+            leg.reconnectDelay = Math.min(leg.reconnectDelay * 2, RECONNECT_DELAY_MAX);
+        });
+    }
+
+    /**
+     * Get stream statistics
+     * @returns {Object} Open leg streams and their subscriber counts
+     */
+    getStats() {
+        return {
+            legs: this.legs.size,
+            streams: [...this.legs.values()].map(leg => ({
+                stream: leg.key,
+                subscribers: leg.refs,
+                connected: leg.socket?.readyState === WebSocket.OPEN
+            }))
+        };
+    }
+}
+
+/**
+ * Parse a Binance kline stream message
+ * @param {Buffer|string} raw - Raw WebSocket payload
+ * @returns {Object|null} Kline in the same shape as provider klines, or null
+ */
+function parseStreamKline(raw) {
+    let message;
+
+    try {
+        message = JSON.parse(raw.toString());
+    } catch {
+        return null;
+    }
+
+    // Combined streams wrap the payload in { stream, data }
+    const event = message.data || message;
+    if (event.e !== 'kline' || !event.k) return null;
+
+    const k = event.k;
+    return {
+        time: Math.floor(k.t / 1000), // Convert to seconds for Lightweight Charts
+        open: parseFloat(k.o),
+        high: parseFloat(k.h),
+        low: parseFloat(k.l),
+        close: parseFloat(k.c),
+        volume: parseFloat(k.v),
+        quoteVolume: parseFloat(k.q),
+        closed: k.x
+    };
+}
+
+export default new StreamManager();
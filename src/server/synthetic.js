@@ -0,0 +1,322 @@
+/**
+ * Synthetic Pair Math
+ * Pure helpers that derive cross-pair candles from the legs of a route
+ */
+
+/**
+ * Invert a kline's prices (1 / price)
+ * @param {Object} kline - Kline with OHLC data
+ * @returns {Object} Inverted OHLC
+ */
+export function invertKline(kline) {
+    return {
+        time: kline.time,
+        open: 1 / kline.open,
+        high: 1 / kline.low,  // Inverse high is 1/low
+        low: 1 / kline.high,  // Inverse low is 1/high
+        close: 1 / kline.close
+    };
+}
+
+/**
+ * Multiply two klines' prices sharing the same open time (A * B)
+ * @param {Object} klineA - First kline
+ * @param {Object} klineB - Second kline
+ * @returns {Object} Product OHLC
+ */
+export function multiplyKlines(klineA, klineB) {
+    return {
+        time: klineA.time,
+        open: klineA.open * klineB.open,
+        high: klineA.high * klineB.high, // Max possible range: HighA * HighB
+        low: klineA.low * klineB.low,    // Min possible range: LowA * LowB
+        close: klineA.close * klineB.close
+    };
+}
+
+/**
+ * Notional a leg traded in one of its two assets
+ * Base volume is already in base units, quote volume in quote units
+ * @param {Object} leg - Route leg ({ baseAsset, quoteAsset })
+ * @param {Object} kline - Leg kline with volume and quoteVolume
+ * @param {string} asset - Asset to express the notional in
+ * @returns {number} Notional in `asset`
+ */
+function legNotional(leg, kline, asset) {
+    return asset === leg.quoteAsset ? kline.quoteVolume : kline.volume;
+}
+
+/**
+ * Calculate synthetic volume definitions for one candle
+ *
+ * - quote:    base-leg notional expressed in the pair's quote coin
+ * - min:      smallest leg notional, in the bridge (quote coin for single-leg routes)
+ * - combined: sum of leg notionals, in the same units as min
+ * @param {Object} route - Route ({ base, quote, bridge, legs })
+ * @param {Array<Object>} klines - One leg kline per route leg
+ * @returns {Object} Volumes ({ quote, min, combined })
+ */
+export function combineVolumes(route, klines) {
+    if (route.legs.length === 1) {
+        const notional = legNotional(route.legs[0], klines[0], route.quote);
+        return { quote: notional, min: notional, combined: notional };
+    }
+
+    const [legA, legB] = route.legs;
+    const [klineA, klineB] = klines;
+    const notionals = [legNotional(legA, klineA, route.bridge), legNotional(legB, klineB, route.bridge)];
+
+    // Price of the quote coin in the bridge, from its leg's close
+    const quotePrice = legB.quoteAsset === route.bridge ? klineB.close : 1 / klineB.close;
+
+    return {
+        quote: notionals[0] / quotePrice,
+        min: Math.min(...notionals),
+        combined: notionals[0] + notionals[1]
+    };
+}
+
+/**
+ * Units of each volume definition for a route
+ * @param {Object} route - Route ({ quote, bridge })
+ * @returns {Object} Asset per volume definition ({ quote, min, combined })
+ */
+export function getVolumeUnits(route) {
+    const poolUnit = route.bridge || route.quote;
+    return { quote: route.quote, min: poolUnit, combined: poolUnit };
+}
+
+/**
+ * Combine leg klines into a single synthetic kline
+ * Each leg is inverted if the route says so, then all legs are multiplied,
+ * e.g. A/B via USDT = AUSDT * (1 / BUSDT)
+ * @param {Object} route - Route ({ base, quote, bridge, legs })
+ * @param {Array<Object>} klines - One kline per leg, in route order
+ * @returns {Object} Synthetic kline with volume in quote-coin notional
+ */
+export function combineKlines(route, klines) {
+    const prices = klines
+        .map((kline, i) => (route.legs[i].invert ? invertKline(kline) : kline))
+        .reduce((product, kline) => multiplyKlines(product, kline));
+    const volumes = combineVolumes(route, klines);
+
+    return {
+        time: prices.time,
+        open: prices.open,
+        high: prices.high,
+        low: prices.low,
+        close: prices.close,
+        volume: volumes.quote,
+        volumes,
+        legVolumes: klines.map((kline, i) => ({
+            symbol: route.legs[i].symbol,
+            volume: kline.volume,
+            quoteVolume: kline.quoteVolume
+        }))
+    };
+}
+
+/**
+ * How candles missing from some legs are handled
+ * - drop:  skip the timestamp (candles either side end up adjacent)
+ * - ffill: carry the missing leg's last close forward as a flat candle
+ * - mark:  emit a whitespace entry ({ time, missingLegs }) so the chart shows a gap
+ */
+export const ALIGNMENT_POLICIES = ['drop', 'ffill', 'mark'];
+
+const MAX_REPORTED_GAPS = 100;
+const MAX_MARKED_STEPS = 1000; // Whitespace entries per gap where every leg is missing
+
+/**
+ * Build a flat kline from a previous close, used to forward-fill a leg
+ * @param {Object} previous - Last known kline of the leg
+ * @param {number} time - Open time of the missing candle
+ * @returns {Object} Flat kline with no volume
+ */
+function flatKline(previous, time) {
+    const price = previous.close;
+    return { time, open: price, high: price, low: price, close: price, volume: 0, quoteVolume: 0 };
+}
+
+/**
+ * Align leg kline series by open time and combine them
+ *
+ * Only the span where every leg has data (after the latest listing and
+ * before the earliest delisting) is combined. Inside it, timestamps missing
+ * from some legs are handled by the alignment policy, and steps longer than
+ * one interval (every leg missing, e.g. a maintenance halt) are reported as gaps.
+ * @param {Object} route - Route ({ base, quote, bridge, legs })
+ * @param {Array<Array<Object>>} legKlines - One kline series per leg, oldest first
+ * @param {Object} [options] - Alignment settings
+ * @param {string} [options.policy] - 'drop' (default), 'ffill' or 'mark'
+ * @param {number} [options.intervalSeconds] - Interval duration, enables halt detection
+ * @returns {{klines: Array<Object>, alignment: Object}} Synthetic klines and diagnostics
+ */
+export function combineSeries(route, legKlines, options = {}) {
+    const { policy = 'drop', intervalSeconds } = options;
+    const symbols = route.legs.map(leg => leg.symbol);
+    const maps = legKlines.map(klines => new Map(klines.map(k => [k.time, k])));
+
+    const legStats = legKlines.map((klines, i) => ({
+        symbol: symbols[i],
+        firstTime: klines[0]?.time ?? null,
+        lastTime: klines[klines.length - 1]?.time ?? null,
+        count: klines.length
+    }));
+
+    const alignment = {
+        policy,
+        legs: legStats,
+        overlap: null,
+        dropped: 0,
+        filled: 0,
+        incomplete: 0,
+        gapCount: 0,
+        gaps: []
+    };
+
+    // A leg with no data at all leaves nothing to combine
+    if (legStats.some(leg => leg.count === 0)) {
+        alignment.dropped = Math.max(...legStats.map(leg => leg.count));
+        return { klines: [], alignment };
+    }
+
+    const overlapFrom = Math.max(...legStats.map(leg => leg.firstTime));
+    const overlapTo = Math.min(...legStats.map(leg => leg.lastTime));
+    alignment.overlap = overlapFrom <= overlapTo ? { from: overlapFrom, to: overlapTo } : null;
+
+    // Union of every leg's timestamps, oldest first
+    const times = [...new Set(legKlines.flatMap(klines => klines.map(k => k.time)))].sort((a, b) => a - b);
+    const lastKnown = legKlines.map(() => null);
+    const klines = [];
+    let openGap = null;
+
+    const reportGap = (gap) => {
+        alignment.gapCount++;
+        if (alignment.gaps.length < MAX_REPORTED_GAPS) alignment.gaps.push(gap);
+    };
+
+    const closeGap = () => {
+        if (openGap) reportGap(openGap);
+        openGap = null;
+    };
+
+    let previousTime = null;
+
+    for (const time of times) {
+        const matches = maps.map(map => map.get(time));
+        matches.forEach((kline, i) => {
+            if (kline) lastKnown[i] = kline;
+        });
+
+        // Outside the span every leg covers, e.g. before a later listing
+        if (!alignment.overlap || time < overlapFrom || time > overlapTo) {
+            alignment.dropped++;
+            continue;
+        }
+
+        // Every leg skipped one or more intervals
+        if (intervalSeconds && previousTime !== null && time - previousTime > intervalSeconds * 1.5) {
+            closeGap();
+            const missing = Math.round((time - previousTime) / intervalSeconds) - 1;
+            reportGap({ from: previousTime + intervalSeconds, to: time - intervalSeconds, candles: missing, missingLegs: symbols });
+
+            if (policy === 'mark') {
+                for (let step = 1; step <= Math.min(missing, MAX_MARKED_STEPS); step++) {
+                    klines.push({ time: previousTime + step * intervalSeconds, missingLegs: symbols });
+                    alignment.incomplete++;
+                }
+            }
+        }
+        previousTime = time;
+
+        const missingLegs = symbols.filter((symbol, i) => !matches[i]);
+
+        if (missingLegs.length === 0) {
+            closeGap();
+            klines.push(combineKlines(route, matches));
+            continue;
+        }
+
+        // Track contiguous runs of partially missing candles as one gap
+        const gapKey = missingLegs.join(',');
+        if (openGap && openGap.key === gapKey) {
+            openGap.to = time;
+            openGap.candles++;
+        } else {
+            closeGap();
+            openGap = { key: gapKey, from: time, to: time, candles: 1, missingLegs };
+        }
+
+        if (policy === 'ffill') {
+            const filledLegs = matches.map((kline, i) => kline || flatKline(lastKnown[i], time));
+            klines.push({ ...combineKlines(route, filledLegs), filledLegs: missingLegs });
+            alignment.filled++;
+        } else if (policy === 'mark') {
+            klines.push({ time, missingLegs });
+            alignment.incomplete++;
+        } else {
+            alignment.dropped++;
+        }
+    }
+
+    closeGap();
+    alignment.gaps.forEach(gap => delete gap.key);
+
+    return { klines, alignment };
+}
+
+/**
+ * Rebuild synthetic wicks from lower-timeframe ratio candles
+ *
+ * Fast mode takes the high as HighA / LowB, which assumes both extremes
+ * happened at the same moment. Here the high is instead the largest ratio
+ * actually observed at a sub-candle open or close (plus the candle's own
+ * open/close), and likewise for the low.
+ *
+ * Error bound: within each sub-candle the ratio can only move inside that
+ * sub-candle's fast range, so the true high lies in [high, highBound] and
+ * the true low in [lowBound, low], where the bounds are the extreme fast
+ * wicks of the sub-candles.
+ * @param {Array<Object>} klines - Synthetic klines at the chart interval, oldest first
+ * @param {Array<Object>} subKlines - Synthetic klines at the lower interval, oldest first
+ * @returns {{klines: Array<Object>, maxError: {high: number, low: number}}}
+ *   Refined klines and the largest relative gap to the bounds
+ */
+export function refineWicks(klines, subKlines) {
+    const maxError = { high: 0, low: 0 };
+    let subIndex = 0;
+
+    const refined = klines.map((kline, i) => {
+        // Whitespace entries mark gaps and have no prices to refine
+        if (kline.close === undefined) return kline;
+
+        const nextTime = klines[i + 1]?.time ?? Infinity;
+
+        // Skip sub-candles before this candle (e.g. missing main candles)
+        while (subIndex < subKlines.length && subKlines[subIndex].time < kline.time) {
+            subIndex++;
+        }
+
+        const bucket = [];
+        while (subIndex < subKlines.length && subKlines[subIndex].time < nextTime) {
+            bucket.push(subKlines[subIndex++]);
+        }
+
+        // No lower-timeframe data, keep the fast wicks
+        if (bucket.length === 0) return kline;
+
+        const observed = [kline.open, kline.close, ...bucket.flatMap(k => [k.open, k.close])];
+        const high = Math.max(...observed);
+        const low = Math.min(...observed);
+        const highBound = Math.min(kline.high, Math.max(...bucket.map(k => k.high)));
+        const lowBound = Math.max(kline.low, Math.min(...bucket.map(k => k.low)));
+
+        maxError.high = Math.max(maxError.high, (highBound - high) / high);
+        maxError.low = Math.max(maxError.low, (low - lowBound) / low);
+
+        return { ...kline, high, low };
+    });
+
+    return { klines: refined, maxError };
+}
@@ -0,0 +1,454 @@
+/**
+ * Technical Indicators
+ * Pure functions shared by the server (/api/indicators) and the browser
+ * (served at /shared/indicators.js). Every series has one value per input
+ * candle, with null while an indicator is still warming up.
+ */
+
+const MAX_PERIOD = 1000; // Longest window of any indicator, in candles
+const MAX_MULT = 10; // Widest band multiplier
+
+/**
+ * Candle prices a single-series indicator can be computed from
+ */
+export const INDICATOR_SOURCES = {
+    close: k => k.close,
+    open: k => k.open,
+    high: k => k.high,
+    low: k => k.low,
+    hl2: k => (k.high + k.low) / 2,
+    hlc3: k => (k.high + k.low + k.close) / 3,
+    ohlc4: k => (k.open + k.high + k.low + k.close) / 4
+};
+
+/**
+ * Indicator catalogue: parameters with defaults and maximums, where the indicator is drawn,
+ * whether it takes a price source and how many candles it needs before its values settle
+ * compute(klines, params, { intervalSeconds, values }) gets the source prices as `values`
+ */
+export const INDICATORS = {
+    sma: {
+        label: 'SMA',
+        params: [['period', 20, MAX_PERIOD]],
+        pane: 'price',
+        usesSource: true,
+        lookback: ({ period }) => period,
+        compute: (klines, { period }, { values }) => ({ sma: sma(values, period) })
+    },
+    ema: {
+        label: 'EMA',
+        params: [['period', 50, MAX_PERIOD]],
+        pane: 'price',
+        usesSource: true,
+        lookback: ({ period }) => period * 3,
+        compute: (klines, { period }, { values }) => ({ ema: ema(values, period) })
+    },
+    bb: {
+        label: 'Bollinger Bands',
+        params: [['period', 20, MAX_PERIOD], ['mult', 2, MAX_MULT]],
+        pane: 'price',
+        usesSource: true,
+        lookback: ({ period }) => period,
+        compute: (klines, { period, mult }, { values }) => bollinger(values, period, mult)
+    },
+    vwap: {
+        label: 'VWAP',
+        params: [],
+        pane: 'price',
+        lookback: () => 0,
+        compute: (klines, params, { intervalSeconds }) => ({
+            // Intraday candles reset every UTC day, daily and longer run over the whole range
+            vwap: vwap(klines, intervalSeconds < 86400 ? 86400 : Infinity)
+        })
+    },
+    donchian: {
+        label: 'Donchian Channel',
+        params: [['period', 20, MAX_PERIOD]],
+        pane: 'price',
+        lookback: ({ period }) => period,
+        compute: (klines, { period }) => donchian(klines, period)
+    },
+    keltner: {
+        label: 'Keltner Channel',
+        params: [['period', 20, MAX_PERIOD], ['mult', 2, MAX_MULT], ['atrPeriod', 10, MAX_PERIOD]],
+        pane: 'price',
+        lookback: ({ period, atrPeriod }) => Math.max(period, atrPeriod) * 3,
+        compute: (klines, { period, mult, atrPeriod }) => keltner(klines, period, mult, atrPeriod)
+    },
+    rsi: {
+        label: 'RSI',
+        params: [['period', 14, MAX_PERIOD]],
+        pane: 'oscillator',
+        usesSource: true,
+        lookback: ({ period }) => period * 3,
+        compute: (klines, { period }, { values }) => ({ rsi: rsi(values, period) })
+    },
+    macd: {
+        label: 'MACD',
+        params: [['fast', 12, MAX_PERIOD], ['slow', 26, MAX_PERIOD], ['signal', 9, MAX_PERIOD]],
+        pane: 'oscillator',
+        usesSource: true,
+        lookback: ({ slow, signal }) => (slow + signal) * 3,
+        compute: (klines, { fast, slow, signal }, { values }) => macd(values, fast, slow, signal)
+    },
+    atr: {
+        label: 'ATR',
+        params: [['period', 14, MAX_PERIOD]],
+        pane: 'oscillator',
+        lookback: ({ period }) => period * 3,
+        compute: (klines, { period }) => ({ atr: atr(klines, period) })
+    },
+    stoch: {
+        label: 'Stochastic',
+        params: [['period', 14, MAX_PERIOD], ['smoothK', 3, MAX_PERIOD], ['smoothD', 3, MAX_PERIOD]],
+        pane: 'oscillator',
+        lookback: ({ period, smoothK, smoothD }) => period + smoothK + smoothD,
+        compute: (klines, { period, smoothK, smoothD }) => stochastic(klines, period, smoothK, smoothD)
+    }
+};
+
+/**
+ * Parse an indicator spec such as `rsi(14), macd(12,26,9), bb(20,2), sma(50):hl2, vwap`
+ * Omitted parameters take their defaults, and `:source` picks the candle price
+ * of indicators that take one (close by default)
+ * @param {string} spec - Comma-separated indicators with optional parameters
+ * @returns {Array<Object>} Indicators ({ id, name, params, source })
+ * @throws {Error} On unknown indicators, sources or invalid parameters
+ */
+export function parseIndicatorSpec(spec) {
+    const text = spec.replace(/\s+/g, '');
+    const pattern = /([a-z]+)(?:\(([^)]*)\))?(?::([a-z0-9]+))?(?:,|$)/gy;
+    const indicators = [];
+    let match;
+
+    while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+        const [, name, args = '', source = 'close'] = match;
+        const definition = INDICATORS[name];
+
+        if (!definition) {
+            throw new Error(`Unknown indicator: ${name} (expected ${Object.keys(INDICATORS).join(', ')})`);
+        }
+
+        const values = args === '' ? [] : args.split(',').map(Number);
+
+        if (values.length > definition.params.length) {
+            throw new Error(`${name} takes at most ${definition.params.length} parameter(s)`);
+        }
+
+        const params = Object.fromEntries(definition.params.map(([param, fallback, max], i) => {
+            const value = values[i] ?? fallback;
+
+            // Multipliers may be fractional, everything else is a candle count
+            const valid = (param === 'mult' ? value > 0 : Number.isInteger(value) && value > 0) && value <= max;
+            if (!valid) {
+                throw new Error(`Invalid ${param} for ${name}: ${values[i]} (expected ${param === 'mult' ? 'a number above 0' : 'an integer from 1'} up to ${max})`);
+            }
+
+            return [param, value];
+        }));
+
+        if (!INDICATOR_SOURCES[source]) {
+            throw new Error(`Unknown source for ${name}: ${source} (expected ${Object.keys(INDICATOR_SOURCES).join(', ')})`);
+        }
+
+        if (source !== 'close' && !definition.usesSource) {
+            throw new Error(`${name} is computed from whole candles and takes no source`);
+        }
+
+        const id = (definition.params.length > 0 ? `${name}(${Object.values(params).join(',')})` : name)
+            + (source !== 'close' ? `:${source}` : '');
+
+        indicators.push({ id, name, params, source });
+    }
+
+    if (pattern.lastIndex !== text.length || indicators.length === 0) {
+        throw new Error(`Invalid indicator spec: ${spec}`);
+    }
+
+    return indicators;
+}
+
+/**
+ * Candles an indicator set needs before the first value that should be shown
+ * @param {Array<Object>} indicators - Parsed indicators
+ * @returns {number} Warm-up candles
+ */
+export function getWarmup(indicators) {
+    return Math.max(0, ...indicators.map(({ name, params }) => INDICATORS[name].lookback(params)));
+}
+
+/**
+ * Compute indicators over candles
+ * @param {Array} klines - Priced candles, oldest first
+ * @param {Array<Object>} indicators - Parsed indicators ({ id, name, params, source? })
+ * @param {Object} options - Candle settings
+ * @param {number} options.intervalSeconds - Candle duration
+ * @returns {Array<Object>} Results ({ id, name, label, params, source, pane, lines: { name: values } })
+ */
+export function computeIndicators(klines, indicators, { intervalSeconds }) {
+    return indicators.map(({ id, name, params, source = 'close' }) => {
+        const definition = INDICATORS[name];
+        const values = klines.map(INDICATOR_SOURCES[source]);
+
+        return {
+            id,
+            name,
+            label: definition.label,
+            params,
+            source,
+            pane: definition.pane,
+            lines: definition.compute(klines, params, { intervalSeconds, values })
+        };
+    });
+}
+
+/**
+ * Simple moving average
+ * @param {Array<number|null>} values - Input values (leading nulls are skipped)
+ * @param {number} period - Window length
+ * @returns {Array<number|null>} Averages
+ */
+export function sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    let count = 0;
+
+    values.forEach((value, i) => {
+        if (value === null) return;
+
+        sum += value;
+        count++;
+
+        if (count > period) {
+            sum -= values[i - period];
+        }
+
+        if (count >= period) {
+            result[i] = sum / period;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period` values
+ * @param {Array<number|null>} values - Input values (leading nulls are skipped)
+ * @param {number} period - Smoothing period
+ * @returns {Array<number|null>} Averages
+ */
+export function ema(values, period) {
+    return smooth(values, period, 2 / (period + 1));
+}
+
+/**
+ * Wilder's moving average (RMA), as used by RSI and ATR
+ * @param {Array<number|null>} values - Input values (leading nulls are skipped)
+ * @param {number} period - Smoothing period
+ * @returns {Array<number|null>} Averages
+ */
+export function rma(values, period) {
+    return smooth(values, period, 1 / period);
+}
+
+/**
+ * Relative Strength Index
+ * @param {Array<number>} values - Closes
+ * @param {number} period - Smoothing period
+ * @returns {Array<number|null>} RSI, 0 to 100
+ */
+export function rsi(values, period = 14) {
+    const gains = values.map((value, i) => i === 0 ? null : Math.max(value - values[i - 1], 0));
+    const losses = values.map((value, i) => i === 0 ? null : Math.max(values[i - 1] - value, 0));
+    const avgGains = rma(gains, period);
+    const avgLosses = rma(losses, period);
+
+    return avgGains.map((gain, i) => {
+        if (gain === null) return null;
+        if (avgLosses[i] === 0) return gain === 0 ? 50 : 100;
+        return 100 - 100 / (1 + gain / avgLosses[i]);
+    });
+}
+
+/**
+ * Moving Average Convergence Divergence
+ * @param {Array<number>} values - Closes
+ * @param {number} fast - Fast EMA period
+ * @param {number} slow - Slow EMA period
+ * @param {number} signal - Signal EMA period
+ * @returns {{macd: Array, signal: Array, histogram: Array}} MACD line, signal line and their difference
+ */
+export function macd(values, fast = 12, slow = 26, signal = 9) {
+    const fastEma = ema(values, fast);
+    const slowEma = ema(values, slow);
+    const line = fastEma.map((value, i) => value === null || slowEma[i] === null ? null : value - slowEma[i]);
+    const signalLine = ema(line, signal);
+
+    return {
+        macd: line,
+        signal: signalLine,
+        histogram: line.map((value, i) => signalLine[i] === null ? null : value - signalLine[i])
+    };
+}
+
+/**
+ * Bollinger Bands: SMA plus and minus a multiple of the population standard deviation
+ * @param {Array<number>} values - Closes
+ * @param {number} period - Window length
+ * @param {number} mult - Standard deviations from the middle band
+ * @returns {{upper: Array, middle: Array, lower: Array}} Bands
+ */
+export function bollinger(values, period = 20, mult = 2) {
+    const middle = sma(values, period);
+    const deviations = middle.map((mean, i) => {
+        if (mean === null) return null;
+
+        const window = values.slice(i - period + 1, i + 1);
+        return Math.sqrt(window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period);
+    });
+
+    return {
+        upper: middle.map((mean, i) => mean === null ? null : mean + mult * deviations[i]),
+        middle,
+        lower: middle.map((mean, i) => mean === null ? null : mean - mult * deviations[i])
+    };
+}
+
+/**
+ * Average True Range
+ * @param {Array} klines - Candles with high, low and close
+ * @param {number} period - Smoothing period
+ * @returns {Array<number|null>} ATR
+ */
+export function atr(klines, period = 14) {
+    const trueRanges = klines.map((k, i) => {
+        if (i === 0) return k.high - k.low;
+
+        const previousClose = klines[i - 1].close;
+        return Math.max(k.high - k.low, Math.abs(k.high - previousClose), Math.abs(k.low - previousClose));
+    });
+
+    return rma(trueRanges, period);
+}
+
+/**
+ * Stochastic oscillator (slow %K and %D)
+ * @param {Array} klines - Candles with high, low and close
+ * @param {number} period - Look-back for the highest high and lowest low
+ * @param {number} smoothK - SMA period smoothing %K
+ * @param {number} smoothD - SMA period of %D over %K
+ * @returns {{k: Array, d: Array}} %K and %D, 0 to 100
+ */
+export function stochastic(klines, period = 14, smoothK = 3, smoothD = 3) {
+    const { upper, lower } = donchian(klines, period);
+    const rawK = klines.map((k, i) => {
+        if (upper[i] === null) return null;
+
+        // A flat window has no range, call it the middle
+        const range = upper[i] - lower[i];
+        return range === 0 ? 50 : (k.close - lower[i]) / range * 100;
+    });
+    const slowK = sma(rawK, smoothK);
+
+    return { k: slowK, d: sma(slowK, smoothD) };
+}
+
+/**
+ * Volume-weighted average price of the typical price, restarted every anchor period
+ * @param {Array} klines - Candles with high, low, close, volume and time (seconds)
+ * @param {number} anchorSeconds - Length of each VWAP session, Infinity for one session
+ * @returns {Array<number|null>} VWAP, null until a session has traded volume
+ */
+export function vwap(klines, anchorSeconds = 86400) {
+    let session = null;
+    let priceVolume = 0;
+    let volume = 0;
+
+    return klines.map(k => {
+        const kSession = Number.isFinite(anchorSeconds) ? Math.floor(k.time / anchorSeconds) : 0;
+
+        if (kSession !== session) {
+            session = kSession;
+            priceVolume = 0;
+            volume = 0;
+        }
+
+        const candleVolume = k.volume || 0;
+        priceVolume += (k.high + k.low + k.close) / 3 * candleVolume;
+        volume += candleVolume;
+
+        return volume > 0 ? priceVolume / volume : null;
+    });
+}
+
+/**
+ * Donchian Channel: highest high and lowest low over a window
+ * @param {Array} klines - Candles with high and low
+ * @param {number} period - Window length
+ * @returns {{upper: Array, middle: Array, lower: Array}} Channel
+ */
+export function donchian(klines, period = 20) {
+    const upper = klines.map((k, i) =>
+        i < period - 1 ? null : Math.max(...klines.slice(i - period + 1, i + 1).map(w => w.high))
+    );
+    const lower = klines.map((k, i) =>
+        i < period - 1 ? null : Math.min(...klines.slice(i - period + 1, i + 1).map(w => w.low))
+    );
+
+    return {
+        upper,
+        middle: upper.map((high, i) => high === null ? null : (high + lower[i]) / 2),
+        lower
+    };
+}
+
+/**
+ * Keltner Channel: EMA of closes plus and minus a multiple of ATR
+ * @param {Array} klines - Candles with high, low and close
+ * @param {number} period - EMA period of the middle line
+ * @param {number} mult - ATRs from the middle line
+ * @param {number} atrPeriod - ATR period
+ * @returns {{upper: Array, middle: Array, lower: Array}} Channel
+ */
+export function keltner(klines, period = 20, mult = 2, atrPeriod = 10) {
+    const middle = ema(closes(klines), period);
+    const range = atr(klines, atrPeriod);
+    const band = (sign) => middle.map((value, i) =>
+        value === null || range[i] === null ? null : value + sign * mult * range[i]
+    );
+
+    return { upper: band(1), middle, lower: band(-1) };
+}
+
+/**
+ * Exponential smoothing seeded with the SMA of the first `period` values
+ * @param {Array<number|null>} values - Input values (leading nulls are skipped)
+ * @param {number} period - Seed length
+ * @param {number} alpha - Weight of each new value
+ * @returns {Array<number|null>} Smoothed values
+ */
+function smooth(values, period, alpha) {
+    const result = new Array(values.length).fill(null);
+    const start = values.findIndex(value => value !== null);
+
+    if (start === -1 || values.length - start < period) return result;
+
+    let average = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+    result[start + period - 1] = average;
+
+    for (let i = start + period; i < values.length; i++) {
+        average = (values[i] - average) * alpha + average;
+        result[i] = average;
+    }
+
+    return result;
+}
+
+/**
+ * Closing prices of candles
+ * @param {Array} klines - Candles
+ * @returns {Array<number>} Closes
+ */
+function closes(klines) {
+    return klines.map(k => k.close);
+}
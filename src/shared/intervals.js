@@ -0,0 +1,86 @@
+/**
+ * Kline Interval Helpers
+ * Durations and time arithmetic for Binance kline intervals
+ * Shared by the server and the browser (served at /shared/intervals.js)
+ */
+
+/**
+ * Duration of each interval in seconds
+ * 1M is approximated as 30 days, Binance aligns it to calendar months
+ */
+export const INTERVAL_SECONDS = {
+    '1m': 60,
+    '3m': 180,
+    '5m': 300,
+    '15m': 900,
+    '30m': 1800,
+    '1h': 3600,
+    '2h': 7200,
+    '4h': 14400,
+    '6h': 21600,
+    '8h': 28800,
+    '12h': 43200,
+    '1d': 86400,
+    '3d': 259200,
+    '1w': 604800,
+    '1M': 2592000
+};
+
+/**
+ * Check whether an interval is supported
+ * @param {string} interval - Kline interval (e.g., '1h')
+ * @returns {boolean} True if the interval is known
+ */
+export function isValidInterval(interval) {
+    return Object.hasOwn(INTERVAL_SECONDS, interval);
+}
+
+/**
+ * Get the duration of an interval
+ * @param {string} interval - Kline interval (e.g., '1h')
+ * @returns {number} Duration in seconds
+ */
+export function getIntervalSeconds(interval) {
+    return INTERVAL_SECONDS[interval] || INTERVAL_SECONDS['1h'];
+}
+
+/**
+ * Estimate how many candles fit in a time range
+ * @param {string} interval - Kline interval
+ * @param {number} from - Range start in seconds
+ * @param {number} to - Range end in seconds
+ * @returns {number} Approximate candle count
+ */
+export function estimateCandles(interval, from, to) {
+    return Math.ceil((to - from) / getIntervalSeconds(interval));
+}
+
+/**
+ * Lower timeframe used to rebuild accurate synthetic wicks for each interval
+ * Chosen to keep roughly 100 or fewer sub-candles per candle
+ */
+export const WICK_SUB_INTERVALS = {
+    '3m': '1m',
+    '5m': '1m',
+    '15m': '1m',
+    '30m': '1m',
+    '1h': '1m',
+    '2h': '5m',
+    '4h': '5m',
+    '6h': '15m',
+    '8h': '15m',
+    '12h': '15m',
+    '1d': '15m',
+    '3d': '1h',
+    '1w': '4h',
+    '1M': '1d'
+};
+
+/**
+ * Get the lower timeframe used for accurate wicks
+ * @param {string} interval - Kline interval
+ * @returns {string|null} Sub-interval, or null if the interval is already the finest
+ */
+export function getWickSubInterval(interval) {
+    return WICK_SUB_INTERVALS[interval] || null;
+}
@@ -0,0 +1,135 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns';
+import { parseAlertRule, isPrivateAddress, lookupPublic } from '../src/server/alerts.js';
+
+const PRIVATE = [
+    '127.0.0.1', '127.255.0.9',                                   // Loopback
+    '10.0.0.1', '172.16.0.1', '172.31.255.255', '192.168.1.10',   // RFC 1918
+    '169.254.169.254',                                            // Link-local, cloud metadata
+    '0.0.0.0', '100.64.0.1', '198.18.0.1', '224.0.0.1', '255.255.255.255',
+    '::1', '::',                                                  // IPv6 loopback and unspecified
+    'fc00::1', 'fd12:3456::1',                                    // Unique local
+    'fe80::1', 'febf::1',                                         // Link-local
+    '::ffff:127.0.0.1', '::ffff:10.0.0.1', '::ffff:a9fe:a9fe'     // IPv4-mapped
+];
+
+const PUBLIC = [
+    '8.8.8.8', '1.1.1.1', '172.32.0.1', '100.128.0.1', '192.169.0.1',
+    '2606:4700:4700::1111', 'fec0::1',
+    '::ffff:8.8.8.8'
+];
+
+/**
+ * Build an alert rule posting to one webhook
+ * @param {string} url - Webhook URL
+ * @returns {Object} Rule fields
+ */
+function ruleWithWebhook(url) {
+    return {
+        coinA: 'BTC',
+        coinB: 'ETH',
+        condition: { type: 'threshold', direction: 'above', value: 0 },
+        webhooks: [url]
+    };
+}
+
+/**
+ * Resolve a hostname through lookupPublic
+ * @param {string} hostname - Host to resolve
+ * @returns {Promise<Array<Object>>} Addresses ({ address, family })
+ */
+function lookup(hostname) {
+    return new Promise((resolve, reject) => {
+        lookupPublic(hostname, {}, (error, addresses) => (error ? reject(error) : resolve(addresses)));
+    });
+}
+
+/**
+ * Make DNS resolve every hostname to the given addresses
+ * @param {Array<string>} addresses - IPv4 or IPv6 addresses
+ */
+function stubDns(addresses) {
+    mock.method(dns, 'lookup', (hostname, options, callback) => {
+        callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+    });
+}
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('loopback, private, link-local and reserved addresses are private', () => {
+    for (const address of PRIVATE) {
+        assert.equal(isPrivateAddress(address), true, `${address} should be private`);
+    }
+});
+
+test('public addresses, including IPv4-mapped ones, are not private', () => {
+    for (const address of PUBLIC) {
+        assert.equal(isPrivateAddress(address), false, `${address} should be public`);
+    }
+});
+
+test('webhook URLs to local hosts are rejected when a rule is saved', () => {
+    for (const url of [
+        'http://localhost:3000/api/alerts/sink',
+        'http://LOCALHOST./hook',
+        'http://api.localhost/hook',
+        'http://127.0.0.1/hook',
+        'http://10.0.0.5:8080/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/hook',
+        'http://[fd00::1]/hook',
+        'http://[fe80::1]/hook',
+        'http://[::ffff:192.168.0.1]/hook',
+        'http://2130706433/hook' // 127.0.0.1 as one number
+    ]) {
+        assert.throws(() => parseAlertRule(ruleWithWebhook(url)), /ALERT_PRIVATE_WEBHOOKS=true/, url);
+    }
+});
+
+test('webhook URLs to public hosts are accepted', () => {
+    const rule = parseAlertRule(ruleWithWebhook('https://example.com/hooks/trading'));
+    assert.deepEqual(rule.webhooks, ['https://example.com/hooks/trading']);
+
+    assert.doesNotThrow(() => parseAlertRule(ruleWithWebhook('http://8.8.8.8/hook')));
+    assert.doesNotThrow(() => parseAlertRule(ruleWithWebhook('http://[2606:4700::1111]/hook')));
+});
+
+test('delivery refuses hosts that resolve to a private address', async () => {
+    stubDns(['203.0.113.7', '10.0.0.1']);
+    await assert.rejects(lookup('rebind.example'), error => {
+        assert.equal(error.code, 'EPRIVATEHOST');
+        assert.match(error.message, /rebind\.example resolves to a private address \(10\.0\.0\.1\)/);
+        return true;
+    });
+
+    stubDns(['::ffff:127.0.0.1']);
+    await assert.rejects(lookup('mapped.example'), { code: 'EPRIVATEHOST' });
+});
+
+test('delivery resolves public hosts to all their addresses', async () => {
+    stubDns(['93.184.216.34', '2606:2800:220:1::1']);
+
+    assert.deepEqual(await lookup('example.com'), [
+        { address: '93.184.216.34', family: 4 },
+        { address: '2606:2800:220:1::1', family: 6 }
+    ]);
+    assert.equal(dns.lookup.mock.calls[0].arguments[1].all, true);
+});
+
+test('ALERT_PRIVATE_WEBHOOKS=true allows local webhook hosts', async () => {
+    process.env.ALERT_PRIVATE_WEBHOOKS = 'true';
+
+    try {
+        // A fresh copy of the module reads the setting again
+        const { parseAlertRule: parseWithPrivate } = await import('../src/server/alerts.js?private');
+        const rule = parseWithPrivate(ruleWithWebhook('http://localhost:3000/api/alerts/sink'));
+
+        assert.deepEqual(rule.webhooks, ['http://localhost:3000/api/alerts/sink']);
+        assert.doesNotThrow(() => parseWithPrivate(ruleWithWebhook('http://192.168.1.10/hook')));
+    } finally {
+        delete process.env.ALERT_PRIVATE_WEBHOOKS;
+    }
+});
@@ -0,0 +1,169 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import cache from '../src/server/cache.js';
+
+const HOUR = 3600;
+const T0 = 1704067200; // 2024-01-01 00:00 UTC, an hour boundary
+
+/**
+ * Build hourly candles with open times in [from, to]
+ * @param {number} from - First open time in seconds, rounded up to the hour
+ * @param {number} to - Last open time in seconds
+ * @param {number} [close] - Close of every candle (default: the open time)
+ * @returns {Array<Object>} Candles, oldest first
+ */
+function candles(from, to, close) {
+    const klines = [];
+
+    for (let time = Math.ceil(from / HOUR) * HOUR; time <= to; time += HOUR) {
+        klines.push({ time, close: close ?? time });
+    }
+
+    return klines;
+}
+
+/**
+ * Stub upstream fetch that records the ranges it was asked for
+ * @param {Function} [respond] - (from, to) => candles, hourly candles by default
+ * @returns {Function} fetchRange with a `calls` array of [from, to]
+ */
+function stubFetch(respond = candles) {
+    const fetchRange = async (from, to) => {
+        fetchRange.calls.push([from, to]);
+        return respond(from, to);
+    };
+
+    fetchRange.calls = [];
+    return fetchRange;
+}
+
+let clock;
+
+/**
+ * Move the clock the cache reads
+ * @param {number} seconds - Current time in seconds
+ */
+function setNow(seconds) {
+    clock.mock.mockImplementation(() => seconds * 1000);
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    clock = mock.method(Date, 'now', () => (T0 + HOUR / 2) * 1000);
+    cache.flush();
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('a range inside the cached span is served without fetching', async () => {
+    const fetchRange = stubFetch();
+
+    await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 10 * HOUR, T0, fetchRange);
+    const klines = await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 5 * HOUR, T0 - 2 * HOUR, fetchRange);
+
+    assert.deepEqual(fetchRange.calls, [[T0 - 10 * HOUR, T0]]);
+    assert.deepEqual(klines.map(k => k.time), [T0 - 5 * HOUR, T0 - 4 * HOUR, T0 - 3 * HOUR, T0 - 2 * HOUR]);
+});
+
+test('a range reaching past the oldest cached candle fetches only the older edge', async () => {
+    const fetchRange = stubFetch();
+
+    await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 10 * HOUR, T0, fetchRange);
+    const klines = await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 14 * HOUR, T0 - 8 * HOUR, fetchRange);
+
+    assert.deepEqual(fetchRange.calls[1], [T0 - 14 * HOUR, T0 - 10 * HOUR - 1]);
+    assert.deepEqual(klines.map(k => k.time), candles(T0 - 14 * HOUR, T0 - 8 * HOUR).map(k => k.time));
+});
+
+test('a fresh span is trusted up to now, a top-up refetches the candle that was forming', async () => {
+    const fetchRange = stubFetch();
+
+    await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 10 * HOUR, T0, fetchRange);
+    await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 2 * HOUR, T0, fetchRange);
+    assert.equal(fetchRange.calls.length, 1);
+
+    const updated = stubFetch((from, to) => candles(from, to, -1));
+    const klines = await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 2 * HOUR, T0, updated, { topUp: true });
+
+    // Only candles that had closed when fetched are kept, the one at T0 was still forming
+    assert.deepEqual(updated.calls, [[T0 - HOUR / 2 + 1, T0]]);
+    assert.deepEqual(klines.map(k => k.close), [T0 - 2 * HOUR, T0 - HOUR, -1]);
+});
+
+test('a stale span replaces its forming candle and extends to newer ones', async () => {
+    const fetchRange = stubFetch();
+
+    await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 10 * HOUR, T0, fetchRange);
+
+    setNow(T0 + HOUR + HOUR / 2);
+    const klines = await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - HOUR, T0 + HOUR, fetchRange);
+
+    assert.deepEqual(fetchRange.calls[1], [T0 - HOUR / 2 + 1, T0 + HOUR]);
+    assert.deepEqual(klines.map(k => k.time), [T0 - HOUR, T0, T0 + HOUR]);
+    assert.equal(cache.getStats().candles, 12);
+});
+
+test('a range away from the cached span replaces it', async () => {
+    const fetchRange = stubFetch();
+
+    await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 10 * HOUR, T0, fetchRange);
+    const klines = await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 100 * HOUR, T0 - 90 * HOUR, fetchRange);
+
+    assert.deepEqual(fetchRange.calls[1], [T0 - 100 * HOUR, T0 - 90 * HOUR]);
+    assert.equal(klines.length, 11);
+    assert.equal(cache.getStats().candles, 11);
+});
+
+test('a failed edge fetch leaves the cached span intact', async () => {
+    const fetchRange = stubFetch();
+
+    await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 10 * HOUR, T0, fetchRange);
+
+    const failing = stubFetch(() => {
+        throw new Error('upstream down');
+    });
+    await assert.rejects(
+        cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 20 * HOUR, T0, failing),
+        /upstream down/
+    );
+
+    const klines = await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 10 * HOUR, T0, fetchRange);
+    assert.equal(fetchRange.calls.length, 1);
+    assert.deepEqual(klines, candles(T0 - 10 * HOUR, T0));
+});
+
+test('loads queued behind a failed one still run, and are served from what it cached', async () => {
+    const failing = stubFetch(() => {
+        throw new Error('upstream down');
+    });
+    const fetchRange = stubFetch();
+    const coalesced = cache.getStats().coalesced;
+
+    const [first, second, third] = await Promise.allSettled([
+        cache.getLegKlines('test', 'ETHUSDT', '1h', T0 - 10 * HOUR, T0, failing),
+        cache.getLegKlines('test', 'ETHUSDT', '1h', T0 - 10 * HOUR, T0, fetchRange),
+        cache.getLegKlines('test', 'ETHUSDT', '1h', T0 - 5 * HOUR, T0, fetchRange)
+    ]);
+
+    assert.equal(first.status, 'rejected');
+    assert.equal(second.value.length, 11);
+    assert.equal(third.value.length, 6);
+    assert.equal(fetchRange.calls.length, 1);
+    assert.equal(cache.getStats().coalesced, coalesced + 2);
+});
+
+test('a span past the candle limit shrinks to the last request', async () => {
+    const fetchRange = stubFetch();
+
+    await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 60000 * HOUR, T0, fetchRange);
+    const klines = await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 110000 * HOUR, T0 - 59990 * HOUR, fetchRange);
+
+    assert.equal(klines.length, 50011);
+    assert.equal(cache.getStats().candles, 50011);
+
+    // Candles after the request were dropped, so asking for them again fetches
+    await cache.getLegKlines('test', 'BTCUSDT', '1h', T0 - 59980 * HOUR, T0 - 59980 * HOUR, fetchRange);
+    assert.equal(fetchRange.calls.length, 3);
+});
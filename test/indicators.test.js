@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sma, ema, rsi, bollinger, donchian, parseIndicatorSpec, getWarmup } from '../src/shared/indicators.js';
+
+/**
+ * Assert two series match, nulls exactly and numbers to a tolerance
+ * @param {Array<number|null>} actual - Computed series
+ * @param {Array<number|null>} expected - Expected series
+ */
+function assertSeries(actual, expected) {
+    assert.equal(actual.length, expected.length);
+
+    expected.forEach((value, i) => {
+        if (value === null) {
+            assert.equal(actual[i], null, `index ${i} should be warming up`);
+        } else {
+            assert.ok(Math.abs(actual[i] - value) < 1e-9, `index ${i}: expected ${value}, got ${actual[i]}`);
+        }
+    });
+}
+
+test('sma averages the last `period` values after its warm-up', () => {
+    assertSeries(sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+});
+
+test('sma skips leading nulls and stays null on short input', () => {
+    assertSeries(sma([null, 1, 2, 3], 2), [null, null, 1.5, 2.5]);
+    assertSeries(sma([1, 2], 3), [null, null]);
+});
+
+test('ema is seeded with the sma of the first `period` values', () => {
+    // alpha = 2 / (3 + 1) = 0.5, seed (2 + 4 + 6) / 3 = 4
+    assertSeries(ema([2, 4, 6, 8, 3], 3), [null, null, 4, 6, 4.5]);
+    assertSeries(ema([1, 2], 3), [null, null]);
+});
+
+test('rsi uses Wilder smoothing of gains and losses', () => {
+    // Gains 1, 1, 0, 2 and losses 0, 0, 1, 0 smoothed with alpha 0.5
+    assertSeries(rsi([1, 2, 3, 2, 4], 2), [null, null, 100, 50, 100 - 100 / 6]);
+});
+
+test('rsi is 50 on a flat series and null on short input', () => {
+    assertSeries(rsi([5, 5, 5], 2), [null, null, 50]);
+    assertSeries(rsi([1, 2], 2), [null, null]);
+});
+
+test('bollinger bands are the sma plus and minus a multiple of the population deviation', () => {
+    const deviation = Math.sqrt(2 / 3);
+    const bands = bollinger([1, 2, 3, 4, 5], 3, 2);
+
+    assertSeries(bands.middle, [null, null, 2, 3, 4]);
+    assertSeries(bands.upper, [null, null, 2 + 2 * deviation, 3 + 2 * deviation, 4 + 2 * deviation]);
+    assertSeries(bands.lower, [null, null, 2 - 2 * deviation, 3 - 2 * deviation, 4 - 2 * deviation]);
+    assertSeries(bollinger([1, 2], 3, 2).middle, [null, null]);
+});
+
+test('donchian tracks the highest high and lowest low of the window', () => {
+    const klines = [
+        { high: 3, low: 1 },
+        { high: 5, low: 2 },
+        { high: 4, low: 0 },
+        { high: 2, low: 1 }
+    ];
+    const channel = donchian(klines, 2);
+
+    assertSeries(channel.upper, [null, 5, 5, 4]);
+    assertSeries(channel.lower, [null, 1, 0, 0]);
+    assertSeries(channel.middle, [null, 3, 2.5, 2]);
+    assertSeries(donchian(klines.slice(0, 1), 3).upper, [null]);
+});
+
+test('parseIndicatorSpec fills defaults and builds ids', () => {
+    const indicators = parseIndicatorSpec('rsi(14), macd, sma(50):hl2');
+
+    assert.deepEqual(indicators.map(({ id }) => id), ['rsi(14)', 'macd(12,26,9)', 'sma(50):hl2']);
+    assert.deepEqual(indicators[1].params, { fast: 12, slow: 26, signal: 9 });
+    assert.equal(getWarmup(indicators), (26 + 9) * 3);
+});
+
+test('parseIndicatorSpec bounds every parameter', () => {
+    assert.equal(parseIndicatorSpec('rsi(1000)')[0].params.period, 1000);
+    assert.throws(() => parseIndicatorSpec('rsi(99999999)'), /Invalid period for rsi/);
+    assert.throws(() => parseIndicatorSpec('donchian(1001)'), /Invalid period for donchian/);
+    assert.throws(() => parseIndicatorSpec('bb(20,10.5)'), /Invalid mult for bb/);
+    assert.throws(() => parseIndicatorSpec('sma(0)'), /Invalid period for sma/);
+    assert.throws(() => parseIndicatorSpec('ema(2.5)'), /Invalid period for ema/);
+});
+
+test('parseIndicatorSpec rejects unknown indicators, sources and extra parameters', () => {
+    assert.throws(() => parseIndicatorSpec('foo(3)'), /Unknown indicator: foo/);
+    assert.throws(() => parseIndicatorSpec('sma(20):wick'), /Unknown source for sma/);
+    assert.throws(() => parseIndicatorSpec('atr(14):hl2'), /takes no source/);
+    assert.throws(() => parseIndicatorSpec('sma(1,2)'), /at most 1 parameter/);
+    assert.throws(() => parseIndicatorSpec(''), /Invalid indicator spec/);
+});
@@ -0,0 +1,167 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import recorder from '../src/server/recorder.js';
+import { RequestQueue } from '../src/server/queue.js';
+
+const START = 1704067201000; // One second into a minute window
+
+/**
+ * Build the error axios rejects with for an HTTP error status
+ * @param {number} status - Response status
+ * @param {Object} [headers] - Response headers
+ * @returns {Error} Error with a `response`
+ */
+function httpError(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers, data: {} };
+    return error;
+}
+
+/**
+ * Stub the HTTP client the queue sends requests through
+ * @param {Function} respond - (url, call number) => response, or throws an error
+ * @returns {Object} Mock whose `mock.calls` are the requests sent
+ */
+function stubClient(respond) {
+    return mock.method(recorder, 'get', async url => {
+        return respond(url, recorder.get.mock.callCount());
+    });
+}
+
+/**
+ * Let pending promise callbacks run
+ * @returns {Promise<void>}
+ */
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+const ok = (headers = {}) => ({ status: 200, headers, data: [] });
+
+beforeEach(() => {
+    for (const method of ['log', 'warn', 'error']) {
+        mock.method(console, method, () => {});
+    }
+
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+test('requests past the weight budget wait for the next minute window', async () => {
+    const client = stubClient(() => ok());
+    const queue = new RequestQueue({ name: 'Test', weightLimit: 10 }); // Budget of 8
+
+    const first = queue.get('https://api.test/a', {}, 5);
+    const second = queue.get('https://api.test/b', {}, 5);
+
+    await first;
+    assert.equal(client.mock.callCount(), 1);
+    assert.equal(queue.getStats().queued, 1);
+    assert.ok(queue.getStats().throttled > 0);
+
+    mock.timers.tick(59000);
+    await second;
+    assert.equal(client.mock.callCount(), 2);
+    assert.equal(queue.getStats().usedWeight, 5);
+});
+
+test('the used weight follows the upstream weight header', async () => {
+    const client = stubClient(() => ok({ 'x-used-weight': '7' }));
+    const queue = new RequestQueue({ name: 'Test', weightLimit: 10, weightHeader: 'x-used-weight' });
+
+    await queue.get('https://api.test/a', {}, 1);
+    assert.equal(queue.getStats().usedWeight, 7);
+
+    // Other clients on the same IP used the rest of the budget
+    const next = queue.get('https://api.test/b', {}, 2);
+    await settle();
+    assert.equal(client.mock.callCount(), 1);
+
+    mock.timers.tick(59000);
+    await next;
+    assert.equal(client.mock.callCount(), 2);
+});
+
+test('a 429 opens the circuit until its Retry-After has passed', async () => {
+    const client = stubClient((url, call) => {
+        if (call === 0) throw httpError(429, { 'retry-after': '30' });
+        return ok();
+    });
+    const queue = new RequestQueue({ name: 'Test', weightLimit: 1000 });
+
+    await assert.rejects(queue.get('https://api.test/a'), /status code 429/);
+    await assert.rejects(
+        queue.get('https://api.test/b'),
+        /Test rate limit reached \(too many requests\), requests paused for 30s/
+    );
+    assert.equal(client.mock.callCount(), 1);
+    assert.equal(queue.getStats().circuit.open, true);
+    assert.equal(queue.getStats().rejected, 1);
+
+    mock.timers.tick(30000);
+    await queue.get('https://api.test/c');
+    assert.equal(client.mock.callCount(), 2);
+    assert.equal(queue.getStats().circuit.open, false);
+});
+
+test('a 418 without Retry-After bans requests for the default minute', async () => {
+    const client = stubClient((url, call) => {
+        if (call === 0) throw httpError(418);
+        return ok();
+    });
+    const queue = new RequestQueue({ name: 'Test', weightLimit: 1000 });
+
+    await assert.rejects(queue.get('https://api.test/a'), /status code 418/);
+
+    mock.timers.tick(59000);
+    await assert.rejects(queue.get('https://api.test/b'), /\(IP banned\), requests paused for 1s/);
+
+    mock.timers.tick(1000);
+    await queue.get('https://api.test/c');
+    assert.equal(client.mock.callCount(), 2);
+});
+
+test('queued requests fail fast once the circuit opens', async () => {
+    const client = stubClient(() => {
+        throw httpError(429, { 'retry-after': '10' });
+    });
+    const queue = new RequestQueue({ name: 'Test', weightLimit: 10 });
+
+    // The second request waits for the next window, by then the circuit is open
+    const first = queue.get('https://api.test/a', {}, 5);
+    const second = queue.get('https://api.test/b', {}, 5);
+
+    await assert.rejects(first, /status code 429/);
+    await assert.rejects(second, /requests paused/);
+    assert.equal(client.mock.callCount(), 1);
+});
+
+test('network errors and 5xx responses are retried with backoff, other 4xx are not', async () => {
+    const client = stubClient((url, call) => {
+        if (url.endsWith('/bad')) throw httpError(400);
+        if (call === 0) throw new Error('socket hang up');
+        if (call === 1) throw httpError(503);
+        return ok();
+    });
+    const queue = new RequestQueue({ name: 'Test', weightLimit: 1000 });
+
+    const retried = queue.get('https://api.test/a');
+
+    // Backoff is 500ms doubled per attempt, plus up to 500ms of jitter
+    for (const delay of [1000, 1500]) {
+        await settle();
+        mock.timers.tick(delay);
+    }
+
+    assert.equal((await retried).status, 200);
+    assert.equal(client.mock.callCount(), 3);
+    assert.equal(queue.getStats().retries, 2);
+
+    await assert.rejects(queue.get('https://api.test/bad'), /status code 400/);
+    assert.equal(client.mock.callCount(), 4);
+    assert.equal(queue.getStats().retries, 2);
+});